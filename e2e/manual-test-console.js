@@ -6,7 +6,7 @@ import { WebSocketTransport } from '@modelcontextprotocol/sdk/client/websocket.j
 async function testConsoleLogs() {
   console.log('Starting manual console logs test...');
   
-  const transport = new WebSocketTransport(new URL('ws://localhost:61822/mcp'));
+  const transport = new WebSocketTransport(new URL(`ws://localhost:${process.env.LLM_BROWSER_BOT_PORT || 61822}/mcp`));
   const client = new Client({ name: 'console-test', version: '1.0.0' }, { capabilities: {} });
   
   await client.connect(transport);
@@ -2,18 +2,48 @@ import { spawn } from 'child_process';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { WebSocketClientTransport } from '@modelcontextprotocol/sdk/client/websocket.js';
 import WebSocket from 'ws';
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
 import {delay} from "./test/helpers.js";
 
 // Make WebSocket available globally for the MCP SDK
 globalThis.WebSocket = WebSocket;
 
+// Same lookup as the server: env var first, then the token file written by setup
+export function loadAuthToken() {
+  if (process.env.LLM_BROWSER_BOT_TOKEN) {
+    return process.env.LLM_BROWSER_BOT_TOKEN.trim();
+  }
+  const tokenPath = join(homedir(), '.llm-browser-bot', 'auth-token');
+  return existsSync(tokenPath) ? readFileSync(tokenPath, 'utf-8').trim() || null : null;
+}
+
+// Same lookup as the server (minus --port): env var, then the config file, then the default
+export function loadServerPort() {
+  if (process.env.LLM_BROWSER_BOT_PORT) {
+    return Number(process.env.LLM_BROWSER_BOT_PORT.trim());
+  }
+  const configPath = join(homedir(), '.llm-browser-bot', 'config.json');
+  if (existsSync(configPath)) {
+    const { port } = JSON.parse(readFileSync(configPath, 'utf-8'));
+    if (port) return Number(port);
+  }
+  return 61822;
+}
+
 class TestFramework {
   constructor() {
     this.mcpClient = null;
-    this.serverPort = 61822;
+    this.serverPort = loadServerPort();
+    this.authToken = loadAuthToken();
     this.testTab = null; // Store the test tab for the entire test run
   }
 
+  get baseUrl() {
+    return `http://localhost:${this.serverPort}`;
+  }
+
   async startServer() {
     console.log('Starting server...');
     const serverProcess = spawn('npm', ['start'], {
@@ -26,7 +56,11 @@ class TestFramework {
     serverProcess.unref(); // Allow parent to exit without killing child
   }
   async connectMCP() {
-    const transport = new WebSocketClientTransport(new URL(`ws://localhost:${this.serverPort}/mcp`));
+    const url = new URL(`ws://localhost:${this.serverPort}/mcp`);
+    if (this.authToken) {
+      url.searchParams.set('token', this.authToken);
+    }
+    const transport = new WebSocketClientTransport(url);
 
     this.mcpClient = new Client({
       name: 'kapture-e2e-test',
@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Actionability', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should wait for an element that appears later', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#show-delayed-button' });
+
+    const clicked = await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#delayed-button' });
+    expect(clicked.clicked).to.be.true;
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#actionability-result' });
+    expect(text.text).to.equal('Delayed button clicked');
+  });
+
+  it('should wait for a disabled element to be enabled', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#show-delayed-button' });
+
+    const clicked = await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#enable-later-button' });
+    expect(clicked.clicked).to.be.true;
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#actionability-result' });
+    expect(text.text).to.equal('Enabled button clicked');
+  });
+
+  it('should report a covered element', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: '#covered-button',
+      waitTimeout: 500
+    });
+    expect(result.error.code).to.equal('ELEMENT_NOT_ACTIONABLE');
+    expect(result.error.check).to.equal('receivesEvents');
+    expect(result.error.coveredBy).to.equal('#cover-overlay');
+    expect(result.error.waitTime).to.be.at.least(500);
+  });
+
+  it('should report a disabled element', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: '#disabled-button',
+      waitTimeout: 300
+    });
+    expect(result.error.code).to.equal('ELEMENT_NOT_ACTIONABLE');
+    expect(result.error.check).to.equal('enabled');
+    expect(result.error.message).to.include('disabled');
+  });
+
+  it('should report a read-only input to fill', async function() {
+    const result = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#readonly-input',
+      value: 'changed',
+      waitTimeout: 300
+    });
+    expect(result.error.code).to.equal('ELEMENT_NOT_ACTIONABLE');
+    expect(result.error.check).to.equal('editable');
+  });
+
+  it('should report a hidden element', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: '#hidden-element',
+      waitTimeout: 300
+    });
+    expect(result.error.check).to.equal('visible');
+    expect(result.error.message).to.include('hidden by CSS');
+  });
+
+  it('should report a missing element as not found after waiting', async function() {
+    const result = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#never-appears',
+      value: 'x',
+      waitTimeout: 300
+    });
+    expect(result.error.code).to.equal('ELEMENT_NOT_FOUND');
+    expect(result.error.waitTime).to.be.at.least(300);
+  });
+
+  it('should act immediately with autoWait false', async function() {
+    const result = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#readonly-input',
+      value: 'forced',
+      autoWait: false
+    });
+    expect(result).to.not.have.property('error');
+  });
+});
@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import { writeFileSync, unlinkSync, existsSync } from 'fs';
+import { framework } from '../test-framework.js';
+import { delay } from './helpers.js';
+
+// Approval settings live in the site policy file, so like the site policy tests
+// these only run when the server was started with LLM_BROWSER_BOT_POLICY set.
+// Nobody clicks Approve during the run, so approvals always time out.
+const policyPath = process.env.LLM_BROWSER_BOT_POLICY;
+
+async function writePolicy(content) {
+  writeFileSync(policyPath, content);
+  await delay(50);
+}
+
+describe('Approval', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    if (!policyPath) {
+      this.skip();
+    }
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(function() {
+    if (policyPath && existsSync(policyPath)) {
+      unlinkSync(policyPath);
+    }
+  });
+
+  it('should fail a required tool when nobody approves it in time', async function() {
+    await writePolicy('approval:\n  require: [reload]\n  timeoutMs: 1000\n');
+
+    const start = Date.now();
+    const resultData = await framework.callToolAndParse('reload', { tabId: testTab.tabId });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('APPROVAL_TIMEOUT');
+    expect(resultData.error.message).to.include('reload');
+    expect(Date.now() - start).to.be.at.least(1000);
+  });
+
+  it('should not ask about clicks that do not submit a form', async function() {
+    await writePolicy('approval:\n  require: [submit-click]\n  timeoutMs: 1000\n');
+
+    const resultData = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: '#test-button'
+    });
+    expect(resultData).to.not.have.property('error');
+    expect(resultData.clicked).to.equal(true);
+  });
+
+  it('should ask before a pointer gesture presses a submit button', async function() {
+    await writePolicy('approval:\n  require: [submit-click]\n  timeoutMs: 1000\n');
+
+    const resultData = await framework.callToolAndParse('pointer', {
+      tabId: testTab.tabId,
+      action: 'double-click',
+      selector: '#gesture-submit'
+    });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('APPROVAL_TIMEOUT');
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#gesture-result' });
+    expect(text.text).to.not.equal('Form submitted');
+  });
+
+  it('should ask before navigating to a new origin only', async function() {
+    await writePolicy('approval:\n  require: [new-origin-navigate]\n  timeoutMs: 1000\n');
+
+    const sameOrigin = await framework.callToolAndParse('navigate', {
+      tabId: testTab.tabId,
+      url: `${framework.baseUrl}/test.html?approval=1`
+    });
+    expect(sameOrigin).to.not.have.property('error');
+
+    const newOrigin = await framework.callToolAndParse('navigate', {
+      tabId: testTab.tabId,
+      url: `http://127.0.0.1:${framework.serverPort}/test.html`
+    });
+    expect(newOrigin).to.have.property('error');
+    expect(newOrigin.error.code).to.equal('APPROVAL_TIMEOUT');
+  });
+});
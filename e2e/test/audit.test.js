@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Audit Log', function() {
+  const baseUrl = framework.baseUrl;
+  let testTab;
+
+  async function fetchAudit(query) {
+    const headers = framework.authToken ? { Authorization: `Bearer ${framework.authToken}` } : {};
+    const response = await fetch(`${baseUrl}/audit?${new URLSearchParams(query)}`, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should record a tool call with its tab, args and result', async function() {
+    await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#test-button' });
+
+    const { status, body } = await fetchAudit({ tool: 'get_text', tabId: testTab.tabId, limit: 1 });
+    expect(status).to.equal(200);
+    expect(body.entries).to.have.lengthOf(1);
+
+    const entry = body.entries[0];
+    expect(entry.tool).to.equal('get_text');
+    expect(entry.tabId).to.equal(testTab.tabId);
+    expect(entry.url).to.include('test.html');
+    expect(entry.args.selector).to.equal('#test-button');
+    expect(entry.isError).to.be.false;
+    expect(entry.result.summary).to.be.a('string');
+    expect(entry.durationMs).to.be.a('number');
+    expect(entry.client).to.have.property('name');
+  });
+
+  it('should record failed calls with their error', async function() {
+    await framework.callTool('click', { tabId: testTab.tabId, selector: '#does-not-exist' });
+
+    const { body } = await fetchAudit({ tool: 'click', tabId: testTab.tabId, errors: 'true', limit: 1 });
+    expect(body.entries).to.have.lengthOf(1);
+    expect(body.entries[0].isError).to.be.true;
+    expect(body.entries[0].error.message).to.be.a('string');
+  });
+
+  it('should export a tab\'s calls as a replay script', async function() {
+    const since = new Date().toISOString();
+    await framework.callToolAndParse('fill', { tabId: testTab.tabId, selector: '#text-input', value: 'audited' });
+
+    await framework.callToolAndParse('evaluate', { tabId: testTab.tabId, code: `return '${'x'.repeat(3000)}'.length` });
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#test-button' });
+
+    const { body } = await fetchAudit({ tabId: testTab.tabId, since, format: 'script' });
+    expect(body.tabId).to.equal(testTab.tabId);
+    // Typed text is never logged, so the step asks for it instead of typing "[redacted]"
+    expect(body.steps).to.deep.include({ tool: 'fill', args: { selector: '#text-input' }, needsInput: ['value'] });
+    expect(body.steps).to.deep.include({ tool: 'click', args: { selector: '#test-button' } });
+    // Cut arguments are never exported
+    expect(body.steps.map(step => step.tool)).to.not.include('evaluate');
+    expect(body.skipped.map(call => call.tool)).to.include('evaluate');
+
+    const replay = await framework.callToolAndParse('replay_script', { tabId: testTab.tabId, steps: body.steps, stepDelay: 0 });
+    expect(replay.success).to.be.false;
+    expect(replay.results.find(step => !step.success).error.code).to.equal('NEEDS_INPUT');
+
+    body.steps.find(step => step.needsInput).args.value = 'replayed';
+    const filled = await framework.callToolAndParse('replay_script', { tabId: testTab.tabId, steps: body.steps, stepDelay: 0 });
+    expect(filled.success).to.be.true;
+  });
+
+  it('should redact typed text inside sequences and cut long nested values', async function() {
+    await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      steps: [
+        { tool: 'fill', args: { selector: '#text-input', value: 'secret-password' } },
+        { tool: 'evaluate', args: { code: `return '${'x'.repeat(3000)}'` } }
+      ]
+    });
+
+    const { body } = await fetchAudit({ tool: 'run_sequence', tabId: testTab.tabId, limit: 1 });
+    const [fill, evaluate] = body.entries[0].args.steps;
+    expect(fill.args.value).to.equal('[redacted]');
+    expect(evaluate.args.code).to.have.length.below(2100);
+    expect(JSON.stringify(body.entries[0])).to.not.include('secret-password');
+  });
+
+  it('should reject a script export without a tab', async function() {
+    const { status, body } = await fetchAudit({ format: 'script' });
+    expect(status).to.equal(400);
+    expect(body.error).to.include('tabId');
+  });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Auth Token', function() {
+  const baseUrl = framework.baseUrl;
+
+  beforeEach(function() {
+    // Only meaningful when the server was started with a token
+    if (!framework.authToken) {
+      this.skip();
+    }
+  });
+
+  it('should reject resource requests without a token', async function() {
+    const response = await fetch(`${baseUrl}/tabs`);
+    expect(response.status).to.equal(401);
+
+    const body = await response.json();
+    expect(body.code).to.equal('UNAUTHORIZED');
+    expect(body.error).to.include('Authorization: Bearer');
+  });
+
+  it('should reject resource requests with a wrong token', async function() {
+    const response = await fetch(`${baseUrl}/tabs`, {
+      headers: { Authorization: 'Bearer not-the-token' }
+    });
+    expect(response.status).to.equal(401);
+  });
+
+  it('should accept the token as a bearer header', async function() {
+    const response = await fetch(`${baseUrl}/tabs`, {
+      headers: { Authorization: `Bearer ${framework.authToken}` }
+    });
+    expect(response.status).to.equal(200);
+  });
+
+  it('should accept the token as a query parameter', async function() {
+    const response = await fetch(`${baseUrl}/tabs?token=${encodeURIComponent(framework.authToken)}`);
+    expect(response.status).to.equal(200);
+  });
+
+  it('should reject MCP HTTP requests without a token', async function() {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    expect(response.status).to.equal(401);
+  });
+
+  it('should leave the health endpoint open but only report counts without a token', async function() {
+    const response = await fetch(`${baseUrl}/health`);
+    expect(response.status).to.equal(200);
+
+    const health = await response.json();
+    expect(health.status).to.equal('ok');
+    expect(health.tabs.total).to.be.a('number');
+    expect(health.connections.total).to.be.a('number');
+    expect(health.tabs).to.not.have.property('details');
+    expect(health.connections).to.not.have.property('details');
+    expect(health).to.not.have.property('commandQueues');
+  });
+
+  it('should report full diagnostics in the health endpoint with the token', async function() {
+    const response = await fetch(`${baseUrl}/health`, {
+      headers: { Authorization: `Bearer ${framework.authToken}` }
+    });
+    const health = await response.json();
+    expect(health.tabs.details).to.be.an('array');
+    expect(health.commandQueues).to.be.an('array');
+  });
+
+  it('should reject the connection listing without a token', async function() {
+    const response = await fetch(`${baseUrl}/`);
+    expect(response.status).to.equal(401);
+  });
+});
@@ -49,25 +49,25 @@ describe('Kapture E2E Tests', function() {
       // Refresh the page to reset state by navigating to itself
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: "http://localhost:61822/test.html"
+        url: `${framework.baseUrl}/test.html`
       });
     });
 
     it('should navigate to a URL', async function() {
       const result = await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://localhost:61822/test.html?navigated=true'
+        url: `${framework.baseUrl}/test.html?navigated=true`
       });
 
       // Check that we got a response with all common properties
       const resultData = JSON.parse(result.content[0].text);
       expectValidTabInfo(resultData);
-      expect(resultData.url).to.equal('http://localhost:61822/test.html?navigated=true');
+      expect(resultData.url).to.equal(`${framework.baseUrl}/test.html?navigated=true`);
 
       // Verify navigation happened by checking current tab state
       const tabInfo = await framework.readResource(`kapture://tab/${testTab.tabId}`);
       const tab = JSON.parse(tabInfo.contents[0].text);
-      expect(tab.url).to.equal('http://localhost:61822/test.html?navigated=true');
+      expect(tab.url).to.equal(`${framework.baseUrl}/test.html?navigated=true`);
     });
 
     it('should take a screenshot', async function() {
@@ -91,12 +91,12 @@ describe('Kapture E2E Tests', function() {
       // First navigate to a new page to have history
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://localhost:61822/test.html'
+        url: `${framework.baseUrl}/test.html`
       });
 
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://lvh.me:61822/test.html'
+        url: `http://lvh.me:${framework.serverPort}/test.html`
       });
 
       // Now go back
@@ -110,19 +110,19 @@ describe('Kapture E2E Tests', function() {
       // Verify we're back at localhost
       const tabInfo = await framework.readResource(`kapture://tab/${testTab.tabId}`);
       const tab = JSON.parse(tabInfo.contents[0].text);
-      expect(tab.url).to.include('localhost:61822');
+      expect(tab.url).to.include(`localhost:${framework.serverPort}`);
     });
 
     it.skip('should navigate forward in history', async function() {
       // First set up history
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://lvh.me:61822/test.html?page=1'
+        url: `http://lvh.me:${framework.serverPort}/test.html?page=1`
       });
 
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://lvh.me:61822/test.html?page=2'
+        url: `http://lvh.me:${framework.serverPort}/test.html?page=2`
       });
 
       // Go back to page=1
@@ -159,7 +159,7 @@ describe('Kapture E2E Tests', function() {
       // First navigate to reset history
       await framework.callTool('navigate', {
         tabId: testTab.tabId,
-        url: 'http://lvh.me:61822/test.html'
+        url: `http://lvh.me:${framework.serverPort}/test.html`
       });
 
       // Try to go back when there's no history
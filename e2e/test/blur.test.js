@@ -6,7 +6,7 @@ describe('Blur Tool Tests', function() {
   beforeEach(async function() {
     // Navigate to test page for clean state
     await framework.callTool('navigate', {
-      url: "http://localhost:61822/test.html?t=" + Date.now()
+      url: `${framework.baseUrl}/test.html?t=` + Date.now()
     });
   });
 
@@ -253,7 +253,7 @@ describe('Blur Tool Tests', function() {
   it('should work after navigation', async function() {
     // Navigate to a different URL
     await framework.callTool('navigate', {
-      url: 'http://localhost:61822/test.html?page=blur-test'
+      url: `${framework.baseUrl}/test.html?page=blur-test`
     });
 
     // Focus an element
@@ -6,7 +6,7 @@ describe('Click Tool Tests', function() {
   beforeEach(async function() {
     // Navigate to test page to ensure clean state
     await framework.callTool('navigate', {
-      url: "http://localhost:61822/test.html"
+      url: `${framework.baseUrl}/test.html`
     });
 
     // Wait a bit for page to fully load
@@ -77,10 +77,11 @@ describe('Click Tool Tests', function() {
 
   it('should handle clicking disabled button', async function() {
     const resultData = await framework.callToolAndParse('click', {
-      selector: '#disabled-button'
+      selector: '#disabled-button',
+      autoWait: false
     });
 
-    // Click should succeed even on disabled elements
+    // Without auto-wait, click should succeed even on disabled elements
     expectValidTabInfo(resultData);
     expect(resultData).to.have.property('clicked').that.equals(true);
     expect(resultData).to.have.property('selector').that.equals('#disabled-button');
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Per-Tab Command Queue', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should run overlapping commands on one tab one after another', async function() {
+    // Typing 10 characters with a 100ms delay keeps the tab busy for about a second
+    const typing = framework.callToolAndParse('type', {
+      tabId: testTab.tabId,
+      selector: '#text-input',
+      text: 'abcdefghij',
+      delay: 100
+    });
+    const filling = framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#email-input',
+      value: 'queued@example.com'
+    });
+
+    const [typed, filled] = await Promise.all([typing, filling]);
+    expect(typed).to.not.have.property('error');
+    expect(filled).to.not.have.property('error');
+    expect(filled.queued).to.exist;
+    expect(filled.queued.behind.command).to.equal('type');
+    expect(filled.queued.waitedMs).to.be.greaterThan(0);
+
+    const elements = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#text-input' });
+    expect(elements.elements[0].value).to.equal('abcdefghij');
+  });
+
+  it('should not let other commands run between the steps of a sequence', async function() {
+    // The stepDelay leaves gaps between steps that a queued fill could otherwise take
+    const sequence = framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      stepDelay: 300,
+      steps: [
+        { tool: 'fill', args: { selector: '#text-input', value: 'first' } },
+        { tool: 'fill', args: { selector: '#text-input', value: 'second' } },
+        { id: 'read', tool: 'elements', args: { selector: '#text-input' } }
+      ]
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const filling = framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#text-input',
+      value: 'other client'
+    });
+
+    const [result, filled] = await Promise.all([sequence, filling]);
+    expect(result.success).to.be.true;
+    expect(result.results[2].result.elements[0].value).to.equal('second');
+    expect(filled.queued.behind.command).to.equal('run_sequence');
+  });
+
+  it('should report queues in the health endpoint', async function() {
+    // Queues are only reported to clients with the token, when one is set
+    const headers = framework.authToken ? { Authorization: `Bearer ${framework.authToken}` } : {};
+    const response = await fetch(`${framework.baseUrl}/health`, { headers });
+    const health = await response.json();
+    expect(health.commandQueues).to.be.an('array');
+  });
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Console Page Errors', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  async function triggerAndFind(button, type) {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: button });
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const result = await framework.callToolAndParse('console_logs', { tabId: testTab.tabId, type, limit: 500 });
+    expect(result.logs).to.be.an('array').that.is.not.empty;
+    return result.logs;
+  }
+
+  it('should capture uncaught exceptions with source and stack', async function() {
+    const logs = await triggerAndFind('#throw-error-button', 'exception');
+    const entry = logs.find(log => log.args[0].includes('Widget exploded'));
+    expect(entry).to.exist;
+    expect(entry.level).to.equal('error');
+    expect(entry.args[0]).to.include('TypeError');
+    expect(entry.source.url).to.include('test.html');
+    expect(entry.source.line).to.be.a('number');
+    expect(entry.stackTrace).to.include('Widget exploded');
+  });
+
+  it('should capture unhandled promise rejections', async function() {
+    const logs = await triggerAndFind('#reject-promise-button', 'unhandledrejection');
+    const entry = logs.find(log => log.args[0].includes('Save failed'));
+    expect(entry).to.exist;
+    expect(entry.args[0]).to.match(/^Uncaught \(in promise\) Error: Save failed/);
+  });
+
+  it('should capture failed element loads', async function() {
+    const logs = await triggerAndFind('#broken-image-button', 'resource');
+    const entry = logs.find(log => log.source.url.includes('/missing-image.png'));
+    expect(entry).to.exist;
+    expect(entry.details.tagName).to.equal('img');
+  });
+
+  it('should capture fetch responses with an error status', async function() {
+    const logs = await triggerAndFind('#failed-fetch-button', 'network');
+    const entry = logs.find(log => log.source.url.includes('/missing-endpoint.json'));
+    expect(entry).to.exist;
+    expect(entry.details.status).to.equal(404);
+    expect(entry.args[0]).to.include('status of 404');
+  });
+
+  it('should mark console calls with the console type', async function() {
+    await framework.callToolAndParse('evaluate', { tabId: testTab.tabId, world: 'main', code: 'console.warn("plain warning")' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const result = await framework.callToolAndParse('console_logs', { tabId: testTab.tabId, type: 'console', level: 'warn' });
+    const entry = result.logs.find(log => log.args[0] === 'plain warning');
+    expect(entry).to.exist;
+    expect(entry.type).to.equal('console');
+  });
+});
@@ -6,7 +6,7 @@ describe('DOM Tool Tests', function() {
   beforeEach(async function() {
     // Navigate to test page to ensure clean state
     await framework.callTool('navigate', {
-      url: "http://localhost:61822/test.html"
+      url: `${framework.baseUrl}/test.html`
     });
   });
 
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+// Newest complete download of the file; Chrome renames repeats to "report (1).csv"
+const waitForDownload = async (tabId, fileName, startedAfter = new Date(0)) => {
+  const [base, extension] = fileName.split('.');
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const { downloads } = await framework.callToolAndParse('list_downloads', { tabId, state: 'complete' });
+    const download = downloads.find(entry =>
+      entry.fileName?.startsWith(base) && entry.fileName.endsWith(`.${extension}`) &&
+      new Date(entry.startTime) >= startedAfter);
+    if (download) return download;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`Download ${fileName} did not complete`);
+};
+
+describe('Downloads', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should track a download started by a click', async function() {
+    const startedAfter = new Date(Date.now() - 1000);
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#download-link' });
+
+    const download = await waitForDownload(testTab.tabId, 'report.csv', startedAfter);
+    expect(download.state).to.equal('complete');
+    expect(download.mimeType).to.include('text/csv');
+    expect(download.size).to.be.greaterThan(0);
+  });
+
+  it('should return the content of a text download', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#download-link' });
+    const { id } = await waitForDownload(testTab.tabId, 'report.csv');
+
+    const result = await framework.callToolAndParse('get_download', { tabId: testTab.tabId, downloadId: id });
+    expect(result.download.encoding).to.equal('utf8');
+    expect(result.download.content).to.equal('id,name\n1,Alice\n');
+    expect(result.download.mirrorPath).to.include(`${id}-`);
+  });
+
+  it('should track a generated blob download', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#export-button' });
+    const { id } = await waitForDownload(testTab.tabId, 'export.json');
+
+    const result = await framework.callToolAndParse('get_download', { tabId: testTab.tabId, downloadId: id });
+    expect(JSON.parse(result.download.content)).to.deep.equal({ exported: true });
+  });
+
+  it('should leave out content when asked', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#download-link' });
+    const { id } = await waitForDownload(testTab.tabId, 'report.csv');
+
+    const result = await framework.callToolAndParse('get_download', {
+      tabId: testTab.tabId,
+      downloadId: id,
+      includeContent: false
+    });
+    expect(result.download).to.not.have.property('content');
+  });
+
+  it('should report an unknown download id', async function() {
+    const result = await framework.callToolAndParse('get_download', { tabId: testTab.tabId, downloadId: 999999 });
+    expect(result.error.code).to.equal('DOWNLOAD_NOT_FOUND');
+  });
+});
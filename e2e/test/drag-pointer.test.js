@@ -0,0 +1,119 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Drag and Pointer Gestures', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  async function gestureResult() {
+    const result = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#gesture-result' });
+    return result.text;
+  }
+
+  describe('drag', function() {
+    it('should use HTML5 drag and drop for draggable elements', async function() {
+      const result = await framework.callToolAndParse('drag', {
+        tabId: testTab.tabId,
+        selector: '#card-1',
+        targetSelector: '#done-column'
+      });
+      expect(result.dragged).to.be.true;
+      expect(result.mode).to.equal('html5');
+      expect(result.dropAccepted).to.be.true;
+      expect(await gestureResult()).to.equal('Dropped in done-column');
+
+      const column = await framework.callToolAndParse('dom', { tabId: testTab.tabId, selector: '#done-column #card-1' });
+      expect(column.error).to.be.undefined;
+    });
+
+    it('should drag with mouse events for elements that are not draggable', async function() {
+      const result = await framework.callToolAndParse('drag', {
+        tabId: testTab.tabId,
+        selector: '#slider-thumb',
+        targetSelector: '#slider-track',
+        steps: 15
+      });
+      expect(result.dragged).to.be.true;
+      expect(result.mode).to.equal('mouse');
+      expect(await gestureResult()).to.equal('Slider at 50');
+    });
+
+    it('should require a drop target', async function() {
+      const result = await framework.callToolAndParse('drag', {
+        tabId: testTab.tabId,
+        selector: '#slider-thumb',
+        mode: 'mouse'
+      });
+      expect(result.error.code).to.equal('TARGET_REQUIRED');
+    });
+
+    it('should require a source', async function() {
+      const result = await framework.callToolAndParse('drag', {
+        tabId: testTab.tabId,
+        targetSelector: '#slider-track'
+      });
+      expect(result.error.code).to.equal('SOURCE_REQUIRED');
+    });
+  });
+
+  describe('pointer', function() {
+    it('should double-click', async function() {
+      const result = await framework.callToolAndParse('pointer', {
+        tabId: testTab.tabId,
+        action: 'double-click',
+        selector: '#gesture-pad'
+      });
+      expect(result.doubleClicked).to.be.true;
+      expect(await gestureResult()).to.equal('Double clicked');
+    });
+
+    it('should right-click', async function() {
+      await framework.callToolAndParse('pointer', {
+        tabId: testTab.tabId,
+        action: 'right-click',
+        selector: '#gesture-pad'
+      });
+      expect(await gestureResult()).to.equal('Context menu (button 2)');
+    });
+
+    it('should hold the mouse button across down, move and up calls', async function() {
+      await framework.callToolAndParse('pointer', { tabId: testTab.tabId, action: 'down', selector: '#slider-thumb' });
+      await framework.callToolAndParse('pointer', { tabId: testTab.tabId, action: 'move', selector: '#slider-track' });
+      const result = await framework.callToolAndParse('pointer', { tabId: testTab.tabId, action: 'up' });
+      expect(result.released).to.be.true;
+      expect(await gestureResult()).to.equal('Slider at 50');
+    });
+
+    it('should scroll with the mouse wheel', async function() {
+      const result = await framework.callToolAndParse('pointer', {
+        tabId: testTab.tabId,
+        action: 'wheel',
+        selector: '#gesture-pad',
+        deltaY: 120
+      });
+      expect(result.scrolled).to.deep.equal({ deltaX: 0, deltaY: 120 });
+      expect(await gestureResult()).to.equal('Wheel 120');
+    });
+
+    it('should swipe with touch events', async function() {
+      await framework.callToolAndParse('pointer', {
+        tabId: testTab.tabId,
+        action: 'swipe',
+        selector: '#gesture-pad',
+        deltaX: -60
+      });
+      expect(await gestureResult()).to.equal('Swipe -60');
+    });
+
+    it('should pinch out and in', async function() {
+      await framework.callToolAndParse('pointer', { tabId: testTab.tabId, action: 'pinch', selector: '#gesture-pad', scale: 2 });
+      expect(await gestureResult()).to.equal('Pinch out');
+
+      await framework.callToolAndParse('pointer', { tabId: testTab.tabId, action: 'pinch', selector: '#gesture-pad', scale: 0.5 });
+      expect(await gestureResult()).to.equal('Pinch in');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Element Refs', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should not add ids or classes to elements it reports', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#ref-list li'
+    });
+    expect(result.elements).to.have.lengthOf(3);
+    expect(result.elements[0].ref).to.be.a('string');
+    expect(result.elements[0]).to.not.have.property('id');
+    expect(result.elements[0].selector).to.equal('#ref-list > li:nth-of-type(1)');
+
+    const html = await framework.callToolAndParse('dom', { tabId: testTab.tabId, selector: '#ref-list' });
+    expect(html.html).to.not.include('kapture-');
+  });
+
+  it('should build selectors from test ids and labels', async function() {
+    const result = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      xpath: '//button[text()="Prepend item"]'
+    });
+    expect(result.elements[0].selector).to.equal('[data-testid="ref-prepend"]');
+
+    const shadow = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      selector: 'pierce/button'
+    });
+    expect(shadow.elements[0].selector).to.include('>>>');
+  });
+
+  it('should act on an element by ref', async function() {
+    const found = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      selector: '.ref-item-button'
+    });
+    const { ref } = found.elements[0];
+
+    const clicked = await framework.callToolAndParse('click', { tabId: testTab.tabId, ref });
+    expect(clicked).to.not.have.property('error');
+    expect(clicked.ref).to.equal(ref);
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#ref-result' });
+    expect(text.text).to.equal('Clicked Second item');
+  });
+
+  it('should keep a ref on its element when siblings move', async function() {
+    const found = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#ref-list li' });
+    const third = found.elements[2];
+
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '[data-testid="ref-prepend"]' });
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, ref: third.ref });
+    expect(text.text).to.equal('Third item');
+    // The selector moved with the element
+    expect(text.selector).to.equal('#ref-list > li:nth-of-type(4)');
+  });
+
+  it('should return the same ref for the same element', async function() {
+    const first = await framework.callToolAndParse('element', { tabId: testTab.tabId, selector: '#ref-list' });
+    const second = await framework.callToolAndParse('element', { tabId: testTab.tabId, xpath: '//ul[@id="ref-list"]' });
+    expect(second.elements[0].ref).to.equal(first.elements[0].ref);
+  });
+
+  it('should report a ref to a removed element as stale', async function() {
+    const found = await framework.callToolAndParse('element', { tabId: testTab.tabId, selector: '.ref-item-button' });
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '[data-testid="ref-rerender"]' });
+
+    const result = await framework.callToolAndParse('click', { tabId: testTab.tabId, ref: found.elements[0].ref });
+    expect(result.error.code).to.equal('STALE_REF');
+    expect(result.ref).to.equal(found.elements[0].ref);
+  });
+
+  it('should report a ref from before a reload as stale', async function() {
+    const found = await framework.callToolAndParse('element', { tabId: testTab.tabId, selector: '#ref-list' });
+    await framework.callToolAndParse('reload', { tabId: testTab.tabId });
+
+    const result = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, ref: found.elements[0].ref });
+    expect(result.error.code).to.equal('STALE_REF');
+  });
+
+  it('should return refs from the accessibility tree', async function() {
+    const result = await framework.callToolAndParse('accessibility_tree', {
+      tabId: testTab.tabId,
+      selector: '#refs-section'
+    });
+    const findButton = node => node.name === 'Prepend item' ? node : (node.children || []).map(findButton).find(Boolean);
+    const button = findButton(result.tree);
+    expect(button.ref).to.be.a('string');
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, ref: button.ref });
+    expect(text.text).to.equal('Prepend item');
+  });
+});
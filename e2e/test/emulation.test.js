@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Emulation', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(async function() {
+    await framework.callToolAndParse('reset_emulation', { tabId: testTab.tabId });
+  });
+
+  it('should emulate a viewport size', async function() {
+    const result = await framework.callToolAndParse('emulate', {
+      tabId: testTab.tabId,
+      width: 500,
+      height: 700,
+      deviceScaleFactor: 2
+    });
+    expect(result).to.not.have.property('error');
+    expect(result.emulation.viewport).to.deep.equal({ width: 500, height: 700, deviceScaleFactor: 2 });
+    expect(result.viewportDimensions.width).to.equal(500);
+  });
+
+  it('should apply a device preset', async function() {
+    const result = await framework.callToolAndParse('emulate', { tabId: testTab.tabId, device: 'iphone-15' });
+    expect(result.emulation.device).to.equal('iphone-15');
+    expect(result.emulation.touch).to.be.true;
+    expect(result.emulation.userAgent).to.include('iPhone');
+  });
+
+  it('should show emulation in tab_detail', async function() {
+    await framework.callToolAndParse('emulate', {
+      tabId: testTab.tabId,
+      colorScheme: 'dark',
+      timezone: 'Asia/Tokyo',
+      locale: 'de-DE'
+    });
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.emulation).to.deep.equal({ colorScheme: 'dark', timezone: 'Asia/Tokyo', locale: 'de-DE' });
+  });
+
+  it('should keep earlier settings when adding new ones', async function() {
+    await framework.callToolAndParse('emulate', { tabId: testTab.tabId, colorScheme: 'dark' });
+    const result = await framework.callToolAndParse('emulate', { tabId: testTab.tabId, reducedMotion: 'reduce' });
+    expect(result.emulation).to.deep.equal({ colorScheme: 'dark', reducedMotion: 'reduce' });
+  });
+
+  it('should reset selected settings', async function() {
+    await framework.callToolAndParse('emulate', { tabId: testTab.tabId, colorScheme: 'dark', cpuThrottling: 4 });
+
+    const result = await framework.callToolAndParse('reset_emulation', {
+      tabId: testTab.tabId,
+      settings: ['cpuThrottling']
+    });
+    expect(result.emulation).to.deep.equal({ colorScheme: 'dark' });
+  });
+
+  it('should reset everything', async function() {
+    await framework.callToolAndParse('emulate', { tabId: testTab.tabId, device: 'pixel-7', network: 'fast-3g' });
+    await framework.callToolAndParse('reset_emulation', { tabId: testTab.tabId });
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.emulation).to.equal('none');
+  });
+
+  it('should reject an invalid timezone and keep earlier settings', async function() {
+    await framework.callToolAndParse('emulate', { tabId: testTab.tabId, colorScheme: 'dark' });
+
+    const result = await framework.callToolAndParse('emulate', { tabId: testTab.tabId, timezone: 'Not/AZone' });
+    expect(result.error.code).to.equal('EMULATION_FAILED');
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.emulation).to.deep.equal({ colorScheme: 'dark' });
+  });
+
+  it('should reject latitude without longitude', async function() {
+    const result = await framework.callToolAndParse('emulate', { tabId: testTab.tabId, latitude: 35.68 });
+    expect(result.error.code).to.equal('INVALID_EMULATION');
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Evaluate', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(async function() {
+    await framework.callToolAndParse('release_handles', { tabId: testTab.tabId });
+  });
+
+  it('should run code in the isolated world by default', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      code: 'return { title: document.title, hasStore: typeof window.appStore !== "undefined" }'
+    });
+    expect(result.world).to.equal('isolated');
+    expect(result.result.title).to.be.a('string');
+    expect(result.result.hasStore).to.be.false;
+  });
+
+  it('should pass args to the code', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      code: 'return args[0] + args[1].length',
+      args: [40, [1, 2]]
+    });
+    expect(result.result).to.equal(42);
+  });
+
+  it('should see page globals in the main world', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'return window.appStore.getState().user'
+    });
+    expect(result.world).to.equal('main');
+    expect(result.type).to.equal('object');
+    expect(result.result).to.deep.equal({ name: 'Ada' });
+  });
+
+  it('should keep objects as handles and accept them as args', async function() {
+    const handle = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'return window.appStore',
+      returnHandle: true
+    });
+    expect(handle.handle).to.match(/^h\d+$/);
+    expect(handle.result).to.be.undefined;
+
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'return args[0].dispatch(args[1]).counter',
+      args: [{ handle: handle.handle }, { type: 'increment', by: 5 }]
+    });
+    expect(result.result).to.be.at.least(5);
+
+    const released = await framework.callToolAndParse('release_handles', { tabId: testTab.tabId, handles: [handle.handle] });
+    expect(released.released).to.deep.equal([handle.handle]);
+
+    const missing = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'return args[0]',
+      args: [{ handle: handle.handle }]
+    });
+    expect(missing.error.code).to.equal('HANDLE_NOT_FOUND');
+  });
+
+  it('should reject handles in the isolated world', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      code: 'return window',
+      returnHandle: true
+    });
+    expect(result.error.code).to.equal('INVALID_EVALUATION');
+  });
+
+  it('should report errors thrown by the code', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'throw new TypeError("bad state")'
+    });
+    expect(result.error.code).to.equal('EVALUATION_ERROR');
+    expect(result.error.message).to.include('bad state');
+  });
+
+  it('should stop waiting after the timeout', async function() {
+    const result = await framework.callToolAndParse('evaluate', {
+      tabId: testTab.tabId,
+      world: 'main',
+      code: 'await new Promise(resolve => setTimeout(resolve, 5000))',
+      timeout: 300
+    });
+    expect(result.error.code).to.equal('EVALUATION_TIMEOUT');
+  });
+});
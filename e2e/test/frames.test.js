@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+import { delay } from './helpers.js';
+
+describe('Frames', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(async function() {
+    await framework.callTool('switch_to_frame', { tabId: testTab.tabId, frame: 'main' });
+  });
+
+  it('should list frames with their frameIds', async function() {
+    const result = await framework.callToolAndParse('list_frames', { tabId: testTab.tabId });
+
+    const sameOrigin = result.frames.find(frame => frame.name === 'same-origin-frame');
+    expect(sameOrigin).to.exist;
+    expect(sameOrigin.frameId).to.be.greaterThan(0);
+    expect(sameOrigin.crossOrigin).to.be.false;
+
+    const crossOrigin = result.frames.find(frame => frame.name === 'cross-origin-frame');
+    expect(crossOrigin).to.exist;
+    expect(crossOrigin.crossOrigin).to.be.true;
+  });
+
+  it('should run element commands inside the selected frame', async function() {
+    const switched = await framework.callToolAndParse('switch_to_frame', {
+      tabId: testTab.tabId,
+      frame: 'same-origin-frame'
+    });
+    expect(switched.switched).to.be.true;
+    expect(switched.frameId).to.be.greaterThan(0);
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.frame.frameId).to.equal(switched.frameId);
+
+    const filled = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#frame-input',
+      value: 'inside the frame'
+    });
+    expect(filled.filled).to.be.true;
+    // Results describe the tab, with the frame alongside
+    expect(filled.url).to.include('localhost');
+    expect(filled.frame.frameId).to.equal(switched.frameId);
+
+    const elements = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#frame-input' });
+    expect(elements.elements[0].value).to.equal('inside the frame');
+  });
+
+  it('should click inside a frame with translated coordinates', async function() {
+    await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: '#same-origin-frame' });
+
+    const clicked = await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#frame-button' });
+    expect(clicked).to.not.have.property('error');
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#frame-result' });
+    expect(text.text).to.equal('Frame button clicked');
+  });
+
+  it('should work in cross-origin frames', async function() {
+    // Give the cross-origin copy of the page time to load
+    await delay(1000);
+    const switched = await framework.callToolAndParse('switch_to_frame', {
+      tabId: testTab.tabId,
+      frame: 'cross-origin-frame'
+    });
+    expect(switched.switched).to.be.true;
+    expect(switched.crossOrigin).to.be.true;
+    expect(switched.src).to.include('127.0.0.1');
+
+    await framework.callToolAndParse('fill', { tabId: testTab.tabId, selector: '#text-input', value: 'cross-origin' });
+    const elements = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#text-input' });
+    expect(elements.elements[0].value).to.equal('cross-origin');
+    expect(elements.frame.url).to.include('127.0.0.1');
+  });
+
+  it('should go back to the main document', async function() {
+    await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: 'same-origin-frame' });
+    const parent = await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: 'parent' });
+    expect(parent.frameId).to.equal(0);
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.frame).to.equal('main');
+
+    const elements = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#frame-input' });
+    expect(elements.elements).to.have.lengthOf(0);
+  });
+
+  it('should reset the frame when the tab navigates', async function() {
+    await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: 'same-origin-frame' });
+    await framework.callToolAndParse('reload', { tabId: testTab.tabId });
+
+    const detail = await framework.callToolAndParse('tab_detail', { tabId: testTab.tabId });
+    expect(detail.frame).to.equal('main');
+  });
+
+  it('should report a missing frame', async function() {
+    const result = await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: '#no-such-frame' });
+    expect(result.error.code).to.equal('FRAME_NOT_FOUND');
+  });
+});
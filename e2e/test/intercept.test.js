@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Intercept Tools', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(async function() {
+    await framework.callTool('intercept_remove', { tabId: testTab.tabId });
+  });
+
+  it('should add, list and remove rules', async function() {
+    const added = await framework.callToolAndParse('intercept_add', {
+      tabId: testTab.tabId,
+      action: 'block',
+      urlPattern: '*/blocked-api*',
+      method: 'post'
+    });
+
+    expect(added.rule.id).to.be.a('string');
+    expect(added.rule.action).to.equal('block');
+    expect(added.rule.method).to.equal('POST');
+    expect(added.rule.errorReason).to.equal('BlockedByClient');
+
+    const list = await framework.callToolAndParse('intercept_list', { tabId: testTab.tabId });
+    expect(list.active).to.be.true;
+    expect(list.rules.map(r => r.id)).to.include(added.rule.id);
+
+    const removed = await framework.callToolAndParse('intercept_remove', {
+      tabId: testTab.tabId,
+      ruleId: added.rule.id
+    });
+    expect(removed.removed).to.deep.equal([added.rule.id]);
+    expect(removed.ruleCount).to.equal(0);
+  });
+
+  it('should serve a mocked response', async function() {
+    await framework.callToolAndParse('intercept_add', {
+      tabId: testTab.tabId,
+      action: 'mock',
+      urlPattern: '*/mocked-page*',
+      status: 500,
+      contentType: 'text/html',
+      body: '<html><body><h1 id="mocked">Server Error</h1></body></html>'
+    });
+
+    await framework.callTool('navigate', {
+      tabId: testTab.tabId,
+      url: `${framework.baseUrl}/mocked-page`
+    });
+
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#mocked'
+    });
+    expect(result.elements).to.have.lengthOf(1);
+
+    const list = await framework.callToolAndParse('intercept_list', { tabId: testTab.tabId });
+    expect(list.rules[0].hitCount).to.be.at.least(1);
+  });
+
+  it('should require delayMs for the delay action', async function() {
+    const result = await framework.callTool('intercept_add', {
+      tabId: testTab.tabId,
+      action: 'delay'
+    });
+
+    const resultData = JSON.parse(result.content[0].text);
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('DELAY_MS_REQUIRED');
+  });
+
+  it('should return an error for an unknown rule id', async function() {
+    const result = await framework.callTool('intercept_remove', {
+      tabId: testTab.tabId,
+      ruleId: 'rule-does-not-exist'
+    });
+
+    const resultData = JSON.parse(result.content[0].text);
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('RULE_NOT_FOUND');
+  });
+});
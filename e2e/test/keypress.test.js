@@ -6,7 +6,7 @@ describe('Keypress Tool Tests', function() {
   beforeEach(async function() {
     // Navigate to test page to ensure clean state and get updated HTML
     await framework.callTool('navigate', {
-      url: "http://localhost:61822/test.html?t=" + Date.now() // Force reload
+      url: `${framework.baseUrl}/test.html?t=` + Date.now() // Force reload
     });
 
     // Clear any existing input values
@@ -0,0 +1,104 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Semantic Locators', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should click a button by role and name', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      locator: 'role=button[name="Test Button"]'
+    });
+    expect(result).to.not.have.property('error');
+    expect(result.locator).to.equal('role=button[name="Test Button"]');
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#click-result' });
+    expect(text.text).to.include('Test button clicked');
+  });
+
+  it('should fill an input by its label', async function() {
+    const filled = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      locator: 'label=Email Input',
+      value: 'user@example.com'
+    });
+    expect(filled.filled).to.be.true;
+
+    const elements = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: '#email-input' });
+    expect(elements.elements[0].value).to.equal('user@example.com');
+  });
+
+  it('should find elements by placeholder, test id and text', async function() {
+    const byPlaceholder = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      locator: 'placeholder=enter text'
+    });
+    expect(byPlaceholder.element.selector).to.equal('#text-input');
+
+    const byTestId = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      locator: 'testid=ref-prepend'
+    });
+    expect(byTestId.element.selector).to.equal('[data-testid="ref-prepend"]');
+
+    const byText = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      locator: 'text=Third item'
+    });
+    expect(byText.element.tagName).to.equal('li');
+  });
+
+  it('should match names partially unless the value is quoted', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      locator: 'role=button[name="button"]'
+    });
+    expect(result.elements.length).to.be.greaterThan(1);
+    expect(result.elements.map(element => element.selector)).to.include('#test-button');
+
+    // A quoted value only matches exactly
+    const exact = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      locator: 'text="Test Button"'
+    });
+    expect(exact.elements).to.have.lengthOf(1);
+    expect(exact.elements[0].selector).to.equal('#test-button');
+  });
+
+  it('should reach into shadow roots', async function() {
+    const result = await framework.callToolAndParse('element', {
+      tabId: testTab.tabId,
+      locator: 'role=button[name="Shadow Button"]'
+    });
+    expect(result.element.selector).to.equal('#shadow-host >>> #shadow-button');
+  });
+
+  it('should wait for an element by locator', async function() {
+    const result = await framework.callToolAndParse('wait_for_element', {
+      tabId: testTab.tabId,
+      locator: 'text=Test Link',
+      timeout: 1000
+    });
+    expect(result.found).to.be.true;
+  });
+
+  it('should report an element that matches nothing', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      locator: 'role=button[name="No Such Button"]'
+    });
+    expect(result.error.code).to.equal('ELEMENT_NOT_FOUND');
+  });
+
+  it('should reject an unknown locator kind', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      locator: 'color=red'
+    });
+    expect(result.error.code).to.equal('INVALID_LOCATOR');
+  });
+});
@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Navigation Wait Conditions', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should navigate and wait for load', async function() {
+    const result = await framework.callToolAndParse('navigate', {
+      tabId: testTab.tabId,
+      url: testTab.url,
+      waitUntil: 'load'
+    });
+    expect(result).to.not.have.property('error');
+    expect(result.url).to.include('test.html');
+  });
+
+  it('should navigate and wait for the network to go idle', async function() {
+    const result = await framework.callToolAndParse('navigate', {
+      tabId: testTab.tabId,
+      url: testTab.url,
+      waitUntil: 'networkidle'
+    });
+    expect(result).to.not.have.property('error');
+  });
+
+  it('should wait for requests the page starts while loading before the network is idle', async function() {
+    const added = await framework.callToolAndParse('intercept_add', {
+      tabId: testTab.tabId,
+      action: 'delay',
+      urlPattern: '*load-data*',
+      delayMs: 2000
+    });
+
+    try {
+      const result = await framework.callToolAndParse('navigate', {
+        tabId: testTab.tabId,
+        url: `${testTab.url}${testTab.url.includes('?') ? '&' : '?'}load-fetch`,
+        waitUntil: 'networkidle'
+      });
+      expect(result).to.not.have.property('error');
+
+      const loaded = await framework.callToolAndParse('evaluate', {
+        tabId: testTab.tabId,
+        code: 'return document.body.dataset.loadFetch'
+      });
+      expect(loaded.result).to.equal('done');
+    } finally {
+      await framework.callTool('intercept_remove', { tabId: testTab.tabId, ruleId: added.rule.id });
+    }
+  });
+
+  it('should reload and wait for domcontentloaded', async function() {
+    const result = await framework.callToolAndParse('reload', {
+      tabId: testTab.tabId,
+      waitUntil: 'domcontentloaded'
+    });
+    expect(result).to.not.have.property('error');
+  });
+
+  it('should wait for the URL a clicked link leads to', async function() {
+    const result = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: '#test-link',
+      waitUntil: 'urlMatches',
+      waitForUrl: '#anchor1'
+    });
+    expect(result.clicked).to.be.true;
+    expect(result.waitUntil).to.equal('urlMatches');
+    expect(result).to.not.have.property('error');
+  });
+
+  it('should wait for a client-side route change', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#delayed-route-button' });
+
+    const result = await framework.callToolAndParse('wait_for_navigation', {
+      tabId: testTab.tabId,
+      waitUntil: 'urlMatches',
+      waitForUrl: '/route=details$/',
+      timeout: 3000
+    });
+    expect(result).to.not.have.property('error');
+    expect(result.waitTime).to.be.at.least(300);
+  });
+
+  it('should wait for a selector after a route change', async function() {
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#delayed-route-button' });
+
+    const result = await framework.callToolAndParse('wait_for_navigation', {
+      tabId: testTab.tabId,
+      waitUntil: 'selector',
+      waitForSelector: '#route-loaded',
+      timeout: 3000
+    });
+    expect(result).to.not.have.property('error');
+    expect(result.waitUntil).to.equal('selector');
+  });
+
+  it('should time out when no navigation happens', async function() {
+    const result = await framework.callToolAndParse('wait_for_navigation', {
+      tabId: testTab.tabId,
+      waitUntil: 'load',
+      timeout: 500
+    });
+    expect(result.error.code).to.equal('NAVIGATION_TIMEOUT');
+  });
+
+  it('should reject urlMatches without waitForUrl', async function() {
+    const result = await framework.callToolAndParse('wait_for_navigation', {
+      tabId: testTab.tabId,
+      waitUntil: 'urlMatches'
+    });
+    expect(result.error.code).to.equal('INVALID_WAIT_CONDITION');
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Network Tools', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+
+    // The recorder runs from the moment the tab connects, so this navigation is captured
+    await framework.callTool('navigate', {
+      tabId: testTab.tabId,
+      url: `${framework.baseUrl}/test.html?net=${Date.now()}`
+    });
+  });
+
+  it('should record the document request', async function() {
+    const result = await framework.callToolAndParse('network_requests', {
+      tabId: testTab.tabId,
+      resourceType: 'document'
+    });
+
+    expect(result.requests).to.be.an('array').that.is.not.empty;
+    expect(result.recordingSince).to.be.a('string');
+
+    const doc = result.requests.find(r => r.url.includes('test.html?net='));
+    expect(doc).to.exist;
+    expect(doc.method).to.equal('GET');
+    expect(doc.status).to.equal(200);
+    expect(doc.resourceType).to.equal('document');
+  });
+
+  it('should filter by URL pattern and paginate', async function() {
+    const result = await framework.callToolAndParse('network_requests', {
+      tabId: testTab.tabId,
+      resourceType: 'all',
+      urlPattern: `localhost:${framework.serverPort}`,
+      limit: 1
+    });
+
+    expect(result.requests).to.have.lengthOf(1);
+    expect(result.requests[0].url).to.include(`localhost:${framework.serverPort}`);
+    expect(result).to.have.property('hasMore').that.is.a('boolean');
+  });
+
+  it('should return request details with the response body', async function() {
+    const list = await framework.callToolAndParse('network_requests', {
+      tabId: testTab.tabId,
+      resourceType: 'document'
+    });
+    const doc = list.requests.find(r => r.url.includes('test.html?net='));
+
+    const result = await framework.callToolAndParse('network_request_detail', {
+      tabId: testTab.tabId,
+      requestId: doc.id,
+      includeBody: true
+    });
+
+    expect(result.request.id).to.equal(doc.id);
+    expect(result.request.responseHeaders).to.be.an('object');
+    expect(result.request.body).to.include('<html');
+  });
+
+  it('should return an error for an unknown request id', async function() {
+    const result = await framework.callTool('network_request_detail', {
+      tabId: testTab.tabId,
+      requestId: 'does-not-exist'
+    });
+
+    const resultData = JSON.parse(result.content[0].text);
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('REQUEST_NOT_FOUND');
+  });
+});
+
+describe('Network Recording', function() {
+  it('should list requests made before the first network_requests call', async function() {
+    const testTab = await framework.openTestPage();
+    await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#failed-fetch-button' });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const result = await framework.callToolAndParse('network_requests', {
+      tabId: testTab.tabId,
+      urlPattern: 'missing-endpoint'
+    });
+    expect(result.requests).to.have.lengthOf(1);
+    expect(result.requests[0].status).to.equal(404);
+  });
+});
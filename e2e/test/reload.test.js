@@ -12,7 +12,7 @@ describe('Reload Tool', function() {
     const timestamp = Date.now();
     await framework.callTool('navigate', {
       tabId: testTab.tabId,
-      url: `http://localhost:61822/test.html?ts=${timestamp}`
+      url: `${framework.baseUrl}/test.html?ts=${timestamp}`
     });
   });
 
@@ -64,7 +64,7 @@ describe('Reload Tool', function() {
 
   it('should maintain the same URL after reload', async function() {
     // Navigate to a specific URL with query parameters
-    const testUrl = 'http://localhost:61822/test.html?test=reload&value=123';
+    const testUrl = `${framework.baseUrl}/test.html?test=reload&value=123`;
     await framework.callTool('navigate', {
       tabId: testTab.tabId,
       url: testUrl
@@ -86,7 +86,7 @@ describe('Reload Tool', function() {
 
   it('should handle reload with anchors in URL', async function() {
     // Navigate to URL with anchor
-    const anchorUrl = 'http://localhost:61822/test.html#anchor1';
+    const anchorUrl = `${framework.baseUrl}/test.html#anchor1`;
     await framework.callTool('navigate', {
       tabId: testTab.tabId,
       url: anchorUrl
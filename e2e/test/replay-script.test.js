@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Replay Script Tool', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should run every step and report results', async function() {
+    const result = await framework.callToolAndParse('replay_script', {
+      tabId: testTab.tabId,
+      stepDelay: 100,
+      steps: [
+        { tool: 'navigate', args: { url: `${framework.baseUrl}/test.html` } },
+        { tool: 'fill', args: { selector: '#text-input', value: 'replayed' } }
+      ]
+    });
+
+    expect(result.success).to.be.true;
+    expect(result.total).to.equal(2);
+    expect(result.completed).to.equal(2);
+    expect(result.results.map(step => step.tool)).to.deep.equal(['navigate', 'fill']);
+    result.results.forEach(step => {
+      expect(step.success).to.be.true;
+      expect(step.durationMs).to.be.a('number');
+    });
+
+    const elements = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#text-input'
+    });
+    expect(elements.elements[0].value).to.equal('replayed');
+  });
+
+  it('should stop at the first failing step', async function() {
+    const result = await framework.callToolAndParse('replay_script', {
+      tabId: testTab.tabId,
+      stepDelay: 0,
+      steps: [
+        { tool: 'click', args: { selector: '#does-not-exist' } },
+        { tool: 'fill', args: { selector: '#text-input', value: 'never' } }
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.completed).to.equal(1);
+    expect(result.results[0].success).to.be.false;
+    expect(result.results[0].error.code).to.equal('ELEMENT_NOT_FOUND');
+  });
+
+  it('should continue after failures when continueOnError is set', async function() {
+    const result = await framework.callToolAndParse('replay_script', {
+      tabId: testTab.tabId,
+      stepDelay: 0,
+      continueOnError: true,
+      steps: [
+        { tool: 'not_a_tool', args: {} },
+        { tool: 'fill', args: { selector: '#text-input', value: 'continued' } }
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.completed).to.equal(2);
+    expect(result.failed).to.equal(1);
+    expect(result.results[1].success).to.be.true;
+  });
+});
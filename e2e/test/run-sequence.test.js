@@ -0,0 +1,65 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Run Sequence Tool', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should run steps and pass earlier outputs to later steps', async function() {
+    const result = await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      steps: [
+        { id: 'input', tool: 'elements', args: { selector: '#text-input' } },
+        { tool: 'fill', args: { selector: '{{input.elements[0].selector}}', value: 'from sequence' } },
+        { tool: 'elements', args: { selector: '{{1.selector}}' } }
+      ]
+    });
+
+    expect(result.success).to.be.true;
+    expect(result.completed).to.equal(3);
+    expect(result.results[1].args.selector).to.equal('{{input.elements[0].selector}}');
+    expect(result.results[2].result.elements[0].value).to.equal('from sequence');
+  });
+
+  it('should stop at the first failing step', async function() {
+    const result = await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      steps: [
+        { tool: 'fill', args: { selector: '#does-not-exist', value: 'x' } },
+        { tool: 'fill', args: { selector: '#text-input', value: 'never' } }
+      ]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.completed).to.equal(1);
+    expect(result.results[0].error.code).to.equal('ELEMENT_NOT_FOUND');
+  });
+
+  it('should fail a step with an unresolved reference', async function() {
+    const result = await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      continueOnError: true,
+      steps: [
+        { tool: 'fill', args: { selector: '{{missing.selector}}', value: 'x' } },
+        { tool: 'fill', args: { selector: '#text-input', value: 'still runs' } }
+      ]
+    });
+
+    expect(result.failed).to.equal(1);
+    expect(result.results[0].error.message).to.include('{{missing.selector}}');
+    expect(result.results[1].success).to.be.true;
+  });
+
+  it('should not allow nested sequences', async function() {
+    const result = await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      steps: [{ tool: 'run_sequence', args: { steps: [] } }]
+    });
+
+    expect(result.success).to.be.false;
+    expect(result.results[0].error.message).to.include('cannot be nested');
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import { framework } from '../test-framework.js';
+
+describe('Shadow DOM', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should find elements through a shadow host with >>>', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#shadow-host >>> #shadow-input'
+    });
+    expect(result.elements).to.have.lengthOf(1);
+    expect(result.elements[0].tagName).to.equal('input');
+    // The returned selector re-resolves through the host
+    expect(result.elements[0].selector).to.equal('#shadow-host >>> #shadow-input');
+  });
+
+  it('should return selectors that pick out one element in a shadow root without ids', async function() {
+    // The top-level span's path from the top of the root also fits the nested one
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#shadow-host >>> span'
+    });
+    expect(result.elements).to.have.lengthOf(2);
+
+    const texts = [];
+    for (const element of result.elements) {
+      const matches = await framework.callToolAndParse('elements', { tabId: testTab.tabId, selector: element.selector });
+      expect(matches.elements).to.have.lengthOf(1);
+      const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: element.selector });
+      texts.push(text.text);
+    }
+    expect(texts).to.deep.equal(['Top-level span', 'Nested span']);
+  });
+
+  it('should find elements in any shadow root with pierce/', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: 'pierce/#shadow-button'
+    });
+    expect(result.elements).to.have.lengthOf(1);
+    expect(result.elements[0].visible).to.be.true;
+  });
+
+  it('should fill and click inside a shadow root', async function() {
+    const filled = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: 'shadow-form >>> input',
+      value: 'from outside'
+    });
+    expect(filled.filled).to.be.true;
+
+    const clicked = await framework.callToolAndParse('click', {
+      tabId: testTab.tabId,
+      selector: 'pierce/#shadow-button'
+    });
+    expect(clicked).to.not.have.property('error');
+
+    const text = await framework.callToolAndParse('get_text', {
+      tabId: testTab.tabId,
+      selector: '#shadow-host >>> #shadow-result'
+    });
+    expect(text.text).to.equal('Shadow button clicked');
+  });
+
+  it('should not match shadow content with a plain selector', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#shadow-input'
+    });
+    expect(result.elements).to.have.lengthOf(0);
+  });
+
+  it('should include shadow content in the accessibility tree', async function() {
+    const result = await framework.callToolAndParse('accessibility_tree', {
+      tabId: testTab.tabId,
+      selector: '#shadow-section'
+    });
+    expect(JSON.stringify(result.tree)).to.include('Shadow Button');
+  });
+
+  it('should reject a dangling >>>', async function() {
+    const result = await framework.callToolAndParse('elements', {
+      tabId: testTab.tabId,
+      selector: '#shadow-host >>>'
+    });
+    expect(result.error.code).to.equal('INVALID_SELECTOR');
+  });
+});
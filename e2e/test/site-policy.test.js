@@ -0,0 +1,183 @@
+import { expect } from 'chai';
+import { writeFileSync, unlinkSync, existsSync } from 'fs';
+import { framework } from '../test-framework.js';
+import { delay } from './helpers.js';
+
+// The server re-reads its policy file when it changes. These tests only run when
+// the server was started with LLM_BROWSER_BOT_POLICY pointing at a scratch file.
+const policyPath = process.env.LLM_BROWSER_BOT_POLICY;
+
+async function writePolicy(content) {
+  writeFileSync(policyPath, content);
+  // Make sure the next write gets a different mtime
+  await delay(50);
+}
+
+describe('Site Policy', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    if (!policyPath) {
+      this.skip();
+    }
+    testTab = await framework.openTestPage();
+  });
+
+  afterEach(function() {
+    if (policyPath && existsSync(policyPath)) {
+      unlinkSync(policyPath);
+    }
+  });
+
+  it('should refuse interaction on a read-only site but allow reading it', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [read-only]\n');
+
+    const result = await framework.callTool('click', { tabId: testTab.tabId, selector: '#test-button' });
+    expect(result.isError).to.be.true;
+    const resultData = JSON.parse(result.content[0].text);
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('POLICY_DENIED');
+    expect(resultData.error.restriction).to.equal('read-only');
+    expect(resultData.error.tool).to.equal('click');
+    expect(resultData.error.host).to.equal('localhost');
+
+    const dom = await framework.callToolAndParse('dom', { tabId: testTab.tabId, selector: '#test-button' });
+    expect(dom).to.not.have.property('error');
+  });
+
+  it('should refuse every tool on a blocked site', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [blocked]\n');
+
+    const resultData = await framework.callToolAndParse('dom', { tabId: testTab.tabId });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('POLICY_DENIED');
+    expect(resultData.error.restriction).to.equal('blocked');
+  });
+
+  it('should refuse navigation to a blocked site', async function() {
+    await writePolicy('sites:\n  - hosts: [blocked.example]\n    restrictions: [blocked]\n');
+
+    const resultData = await framework.callToolAndParse('navigate', {
+      tabId: testTab.tabId,
+      url: 'https://www.blocked.example/login'
+    });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('POLICY_DENIED');
+    expect(resultData.error.host).to.equal('www.blocked.example');
+  });
+
+  it('should hold changes on confirm sites until someone approves them', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [confirm]\napproval:\n  timeoutMs: 1000\n');
+
+    const resultData = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#text-input',
+      value: 'hello'
+    });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('APPROVAL_TIMEOUT');
+  });
+
+  it('should pause automation while the policy file is invalid', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [sometimes]\n');
+
+    const resultData = await framework.callToolAndParse('dom', { tabId: testTab.tabId });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('POLICY_INVALID');
+    expect(resultData.error.message).to.include('sometimes');
+  });
+
+  it('should apply the selected frame\'s rules to commands that run in it', async function() {
+    // The cross-origin frame serves the test page from 127.0.0.1
+    await writePolicy('sites:\n  - hosts: [127.0.0.1]\n    restrictions: [read-only]\n');
+    await delay(1000);
+
+    try {
+      await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: 'cross-origin-frame' });
+
+      const denied = await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#test-button' });
+      expect(denied).to.have.property('error');
+      expect(denied.error.code).to.equal('POLICY_DENIED');
+      expect(denied.error.host).to.equal('127.0.0.1');
+
+      const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#test-button' });
+      expect(text).to.not.have.property('error');
+    } finally {
+      await framework.callTool('switch_to_frame', { tabId: testTab.tabId, frame: 'main' });
+    }
+
+    const allowed = await framework.callToolAndParse('click', { tabId: testTab.tabId, selector: '#test-button' });
+    expect(allowed).to.not.have.property('error');
+  });
+
+  it('should follow the selected frame to a blocked host it navigates to', async function() {
+    // [::1] serves the same test page as a host of its own
+    await writePolicy('sites:\n  - hosts: ["[::1]"]\n    restrictions: [blocked]\n');
+
+    try {
+      await framework.callToolAndParse('switch_to_frame', { tabId: testTab.tabId, frame: 'cross-origin-frame' });
+      const navigating = await framework.callToolAndParse('evaluate', {
+        tabId: testTab.tabId,
+        code: `location.href = 'http://[::1]:${framework.serverPort}/test.html'; return true;`
+      });
+      expect(navigating).to.not.have.property('error');
+      await delay(1500);
+
+      const denied = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#test-button' });
+      expect(denied).to.have.property('error');
+      expect(denied.error.code).to.equal('POLICY_DENIED');
+      expect(denied.error.host).to.equal('[::1]');
+      expect(denied.error.restriction).to.equal('blocked');
+    } finally {
+      await framework.callTool('switch_to_frame', { tabId: testTab.tabId, frame: 'main' });
+    }
+  });
+
+  it('should block form submission by pointer gestures on no-form-submit sites', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [no-form-submit]\n');
+
+    const resultData = await framework.callToolAndParse('pointer', {
+      tabId: testTab.tabId,
+      action: 'long-press',
+      selector: '#gesture-submit',
+      holdMs: 50
+    });
+    expect(resultData).to.have.property('error');
+    expect(resultData.error.code).to.equal('FORM_SUBMIT_BLOCKED');
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#gesture-result' });
+    expect(text.text).to.not.equal('Form submitted');
+  });
+
+  it('should mark tabs on protected sites as unsafe in list_tabs', async function() {
+    const findTestTab = async () => {
+      const tabs = await framework.callToolAndParse('list_tabs', {});
+      return tabs.tabs.find(tab => tab.tabId === testTab.tabId);
+    };
+
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [protected]\n');
+    const protectedTab = await findTestTab();
+    expect(protectedTab).to.exist;
+    expect(protectedTab.automationSafe).to.be.false;
+
+    await writePolicy('mode: replace\nsites: []\n');
+    const allowedTab = await findTestTab();
+    expect(allowedTab).to.exist;
+    expect(allowedTab.automationSafe).to.be.true;
+  });
+
+  it('should check each step of a sequence', async function() {
+    await writePolicy('sites:\n  - hosts: [localhost]\n    restrictions: [read-only]\n');
+
+    const result = await framework.callToolAndParse('run_sequence', {
+      tabId: testTab.tabId,
+      steps: [
+        { tool: 'get_text', args: { selector: '#test-button' } },
+        { tool: 'click', args: { selector: '#test-button' } }
+      ]
+    });
+    expect(result.success).to.be.false;
+    expect(result.results[0].success).to.be.true;
+    expect(result.results[1].error.code).to.equal('POLICY_DENIED');
+  });
+});
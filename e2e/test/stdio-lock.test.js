@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import { spawn } from 'child_process';
+import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { delay } from './helpers.js';
+
+// These tests start their own `server --stdio` processes on a free port, with a
+// scratch HOME so the lock files do not touch the user's ~/.llm-browser-bot
+const serverPath = fileURLToPath(new URL('../../server/dist/index.js', import.meta.url));
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the stdio server');
+    }
+    await delay(50);
+  }
+}
+
+describe('Stdio Lock', function() {
+  let home;
+  let port;
+  let lockPath;
+  let children;
+
+  function startStdioServer() {
+    const child = spawn(process.execPath, [serverPath, '--stdio', '--port', String(port)], {
+      env: { ...process.env, HOME: home, USERPROFILE: home, LLM_BROWSER_BOT_TOKEN: '', LLM_BROWSER_BOT_PORT: '' },
+      stdio: ['pipe', 'ignore', 'pipe']
+    });
+    child.stderrText = '';
+    child.stderr.on('data', chunk => { child.stderrText += chunk.toString(); });
+    child.exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+    children.push(child);
+    return child;
+  }
+
+  function readLockOwner() {
+    try {
+      return JSON.parse(readFileSync(lockPath, 'utf-8')).pid;
+    } catch {
+      return null;
+    }
+  }
+
+  beforeEach(async function() {
+    if (!existsSync(serverPath)) {
+      this.skip();
+    }
+    home = mkdtempSync(join(tmpdir(), 'llm-browser-bot-stdio-'));
+    port = await getFreePort();
+    lockPath = join(home, '.llm-browser-bot', `stdio-${port}.lock`);
+    children = [];
+  });
+
+  afterEach(async function() {
+    for (const child of children ?? []) {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+        await child.exited;
+      }
+    }
+    if (home) {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  it('should refuse a second stdio server on the same port', async function() {
+    const first = startStdioServer();
+    await waitFor(() => readLockOwner() === first.pid && first.stderrText.includes('Server Started'));
+
+    const second = startStdioServer();
+    expect(await second.exited).to.equal(1);
+    expect(second.stderrText).to.include(`Another stdio server (PID ${first.pid}) is already using port ${port}`);
+    expect(readLockOwner()).to.equal(first.pid);
+  });
+
+  it('should take over a lock whose process is gone', async function() {
+    // A process that has already exited leaves a PID nothing runs under
+    const finished = spawn(process.execPath, ['-e', '']);
+    await new Promise(resolve => finished.once('exit', resolve));
+    mkdirSync(join(home, '.llm-browser-bot'), { recursive: true });
+    writeFileSync(lockPath, JSON.stringify({ pid: finished.pid, port }));
+
+    const server = startStdioServer();
+    await waitFor(() => readLockOwner() === server.pid);
+    expect(server.exitCode).to.equal(null);
+  });
+
+  it('should release the lock when the server exits', async function() {
+    const server = startStdioServer();
+    await waitFor(() => readLockOwner() === server.pid && server.stderrText.includes('Server Started'));
+
+    // The MCP client hanging up stops the server
+    server.stdin.end();
+    expect(await server.exited).to.equal(0);
+    expect(existsSync(lockPath)).to.be.false;
+  });
+});
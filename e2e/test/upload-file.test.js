@@ -0,0 +1,125 @@
+import { expect } from 'chai';
+import { writeFileSync, mkdtempSync, mkdirSync } from 'fs';
+import { homedir, tmpdir } from 'os';
+import { delimiter, join } from 'path';
+import { framework } from '../test-framework.js';
+
+const base64 = text => Buffer.from(text).toString('base64');
+
+// The server only reads files inside its upload directories, the first one configured or ~/.llm-browser-bot/uploads
+const configuredRoots = process.env.LLM_BROWSER_BOT_UPLOAD_ROOTS?.trim();
+const uploadRoot = configuredRoots ? configuredRoots.split(delimiter).filter(Boolean)[0] : join(homedir(), '.llm-browser-bot', 'uploads');
+
+describe('Upload File', function() {
+  let testTab;
+
+  beforeEach(async function() {
+    testTab = await framework.openTestPage();
+  });
+
+  it('should set base64 content on a file input', async function() {
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      files: [{ name: 'contacts.csv', mimeType: 'text/csv', content: base64('name,email') }]
+    });
+    expect(result.uploaded).to.be.true;
+    expect(result.method).to.equal('dataTransfer');
+    expect(result.files).to.deep.equal([{ name: 'contacts.csv', mimeType: 'text/csv', size: 10 }]);
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#upload-result' });
+    expect(text.text).to.equal('file-input: contacts.csv (text/csv, 10): name,email');
+  });
+
+  it('should upload a server-local file by path', async function() {
+    mkdirSync(uploadRoot, { recursive: true });
+    const dir = mkdtempSync(join(uploadRoot, 'upload-test-'));
+    const path = join(dir, 'notes.txt');
+    writeFileSync(path, 'from disk');
+
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      paths: [path]
+    });
+    expect(result.uploaded).to.be.true;
+    expect(result.method).to.equal('setFileInputFiles');
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#upload-result' });
+    expect(text.text).to.equal('file-input: notes.txt (text/plain, 9): from disk');
+  });
+
+  it('should upload through a label for a hidden input', async function() {
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#hidden-file-label',
+      files: [{ name: 'a.txt', content: base64('hidden') }]
+    });
+    expect(result.uploaded).to.be.true;
+
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#upload-result' });
+    expect(text.text).to.equal('hidden-file-input: a.txt (text/plain, 6): hidden');
+  });
+
+  it('should drop files on a drop zone', async function() {
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#drop-zone',
+      files: [
+        { name: 'one.txt', content: base64('1') },
+        { name: 'two.json', content: base64('{}') }
+      ]
+    });
+    expect(result.method).to.equal('drop');
+    expect(result.dropAccepted).to.be.true;
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const text = await framework.callToolAndParse('get_text', { tabId: testTab.tabId, selector: '#upload-result' });
+    expect(text.text).to.equal('drop-zone: one.txt (text/plain, 1): 1; two.json (application/json, 2): {}');
+  });
+
+  it('should refuse several files for a single file input', async function() {
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      files: [{ name: 'one.txt', content: base64('1') }, { name: 'two.txt', content: base64('2') }]
+    });
+    expect(result.error.code).to.equal('INVALID_ELEMENT');
+  });
+
+  it('should report a missing local file', async function() {
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      paths: [join(uploadRoot, 'does-not-exist.csv')]
+    });
+    expect(result.error.code).to.equal('UPLOAD_FILE_NOT_FOUND');
+  });
+
+  it('should refuse paths outside the upload directories', async function() {
+    if (configuredRoots) {
+      this.skip();
+    }
+    const dir = mkdtempSync(join(tmpdir(), 'upload-test-'));
+    const path = join(dir, 'secret.txt');
+    writeFileSync(path, 'not for upload');
+
+    const result = await framework.callToolAndParse('upload_file', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      paths: [path]
+    });
+    expect(result.error.code).to.equal('UPLOAD_PATH_DENIED');
+  });
+
+  it('should point fill on a file input to upload_file', async function() {
+    const result = await framework.callToolAndParse('fill', {
+      tabId: testTab.tabId,
+      selector: '#file-input',
+      value: 'C:\\fakepath\\a.txt'
+    });
+    expect(result.error.code).to.equal('INVALID_ELEMENT');
+    expect(result.error.message).to.include('upload_file');
+  });
+});
@@ -2,6 +2,10 @@
 
 import { TabManager } from './modules/tab-manager.js';
 import { ConsoleLogEntry } from "./modules/models.js";
+import { handleNetworkEvent, handleNetworkRecorderDetached } from './modules/background-network.js';
+import { handleInterceptEvent } from './modules/background-intercept.js';
+import { findDownloadTab, trackDownload, handleDownloadChanged } from './modules/background-downloads.js';
+import { scanServers } from './modules/server-discovery.js';
 
 // Single source of truth for all tab state
 const tabManager = new TabManager();
@@ -14,7 +18,7 @@ function sendConnectionStateToTab(tabId, connectionState) {
       status: connectionState.status,
       connected: connectionState.connected
     }
-  }).catch(err => {
+  }, { frameId: 0 }).catch(err => {
     // Content script might not be injected yet, ignore error
     console.debug('Could not send connection state to tab:', err);
   });
@@ -77,6 +81,31 @@ tabManager.addListener((tabId, event, tabState, data) => {
         count: 0
       });
       break;
+
+    case 'recordingChanged':
+      tabState.broadcastToPorts({
+        type: 'recording',
+        tabId,
+        ...tabState.getRecording()
+      });
+      break;
+
+    case 'approvalsChanged': {
+      const approvals = tabState.getPendingApprovals();
+      tabState.broadcastToPorts({
+        type: 'approvals',
+        tabId,
+        approvals
+      });
+      // Flag the tab's toolbar icon until the user decides; null text falls back to the connection badge.
+      // Tab colors cannot be unset, so restore the one the connection badge uses.
+      chrome.action.setBadgeText({ tabId, text: approvals.length ? '?' : null });
+      chrome.action.setBadgeBackgroundColor({
+        tabId,
+        color: approvals.length ? '#fbbc04' : tabState.connectionInfo.status === 'retrying' ? '#ff9800' : '#4caf50'
+      });
+      break;
+    }
   }
 });
 
@@ -109,6 +138,12 @@ chrome.runtime.onConnect.addListener((port) => {
       tabManager.clearMessages(msg.tabId);
     } else if (msg.type === 'clearConsoleLogs' && msg.tabId) {
       tabManager.clearConsoleLogs(msg.tabId);
+    } else if (msg.type === 'setRecording' && msg.tabId) {
+      tabManager.setRecording(msg.tabId, !!msg.enabled);
+    } else if (msg.type === 'clearRecording' && msg.tabId) {
+      tabManager.clearRecording(msg.tabId);
+    } else if (msg.type === 'resolveApproval' && msg.tabId) {
+      tabManager.resolveApproval(msg.tabId, msg.approvalId, !!msg.approved);
     }
   });
 
@@ -141,6 +176,11 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
       if (tabState) {
         const connectionState = tabState.getConnectionState();
         sendConnectionStateToTab(sender.tab.id, connectionState);
+
+        // Keep recording across page loads
+        if (tabState.recording) {
+          chrome.tabs.sendMessage(sender.tab.id, { command: '_record', params: { enabled: true } }, { frameId: 0 }).catch(() => { });
+        }
       }
 
       sendResponse({ acknowledged: true });
@@ -174,6 +214,11 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
       return false;
     }
 
+    if (request.type === 'recordedStep') {
+      tabManager.addRecordedStep(sender.tab.id, request.step);
+      return false;
+    }
+
     if (request.type === 'consoleLog') {
       // Handle console log from content script
       const tabState = tabManager.getTab(sender.tab.id);
@@ -186,7 +231,8 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
           tabManager.addConsoleLog(sender.tab.id, new ConsoleLogEntry(
             request.level,
             request.args,
-            request.stackTrace
+            request.stack,
+            { type: request.logType, source: request.source, details: request.details }
           ));
         }
       }
@@ -214,6 +260,11 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
       return false;
     }
 
+    if (request.type === 'scanServers') {
+      sendResponse(await scanServers());
+      return true;
+    }
+
     if (request.type === 'getAllTabs') {
       try {
         const tabs = await chrome.tabs.query({});
@@ -244,6 +295,80 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
   }
 });
 
+// Tell the server when a frame loads a new document, so the site policy for a
+// frame selected with switch_to_frame follows it to its new host
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId, url }) => {
+  const tabState = tabManager.getTab(tabId);
+  if (frameId === 0 || !tabState) return;
+  // Dropped while the tab is not connected; the server forgets the frame on reconnect
+  tabManager.sendMessage(tabId, { type: 'frame-navigated', frameId, url });
+});
+
+// Record navigations the user starts from the browser UI while the panel is recording.
+// Link clicks and form submissions are already covered by the recorded click or keypress.
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId, url, transitionType, transitionQualifiers }) => {
+  const tabState = tabManager.getTab(tabId);
+  if (frameId !== 0 || !tabState || !tabState.recording) return;
+
+  if (transitionQualifiers.includes('forward_back')) {
+    return;
+  }
+  if (transitionType === 'reload') {
+    tabManager.addRecordedStep(tabId, { tool: 'reload', args: {} });
+  } else if (['typed', 'auto_bookmark', 'generated', 'keyword'].includes(transitionType)) {
+    tabManager.addRecordedStep(tabId, { tool: 'navigate', args: { url } });
+  }
+});
+
+// Route debugger Network domain events to the tab's request log
+chrome.debugger.onEvent.addListener((source, method, params) => {
+  const tabState = source.tabId && tabManager.getTab(source.tabId);
+  if (!tabState) return;
+  if (method.startsWith('Network.')) {
+    handleNetworkEvent(tabState, method, params);
+  } else if (method.startsWith('Fetch.')) {
+    handleInterceptEvent(tabState, method, params);
+  }
+});
+
+// The user dismissed the debugging infobar or the tab went away.
+// The next command re-attaches and restores enabled domains.
+chrome.debugger.onDetach.addListener((source, reason) => {
+  const tabState = source.tabId && tabManager.getTab(source.tabId);
+  if (!tabState) return;
+
+  console.log(`Debugger detached from tab ${source.tabId}: ${reason}`);
+  tabState.debuggerSession.handleDetach(reason);
+  if (tabState.networkRecordingSince) {
+    handleNetworkRecorderDetached(tabState);
+  }
+});
+
+// Track downloads started from connected tabs and tell the server when one finishes,
+// so it can copy the file
+function reportDownload(tabState, entry) {
+  tabManager.sendMessage(tabState.tabId, { type: 'download', download: entry.toJSON() });
+}
+
+chrome.downloads.onCreated.addListener(async (item) => {
+  const tabState = await findDownloadTab(tabManager.getAllTabs(), item);
+  if (!tabState) return;
+
+  const entry = trackDownload(tabState, item);
+  // Small downloads can finish while we were looking for their tab
+  const [latest] = await chrome.downloads.search({ id: item.id });
+  if (latest) entry.update(latest);
+  if (entry.state === 'complete') reportDownload(tabState, entry);
+});
+
+chrome.downloads.onChanged.addListener(async (delta) => {
+  const tabState = tabManager.getAllTabs().find(tabState => tabState.getDownload(delta.id));
+  if (!tabState) return;
+
+  const finished = await handleDownloadChanged(tabState, delta);
+  if (finished) reportDownload(tabState, finished);
+});
+
 // Clean up when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
   tabManager.removeTab(tabId);
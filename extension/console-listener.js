@@ -83,6 +83,82 @@
     originalConsole.clear.apply(console);
   };
 
+  // Errors the page never passes to console.*: uncaught exceptions, unhandled
+  // rejections, CSP violations and failed loads. Each gets its own type.
+  function report(type, level, message, { source, stack, details } = {}) {
+    const detail = {
+      level,
+      logType: type, // `type` is taken by the message the content script forwards
+      args: [message],
+      timestamp: new Date().toISOString()
+    };
+    if (source && source.url) detail.source = source;
+    if (stack) detail.stack = stack;
+    if (details) detail.details = details;
+    window.dispatchEvent(new CustomEvent('kapture-console', { detail }));
+  }
+
+  // Captured so failed <img>, <script> and <link> loads, which do not bubble, are seen too
+  window.addEventListener('error', (event) => {
+    if (event instanceof ErrorEvent) {
+      report('exception', 'error', event.message || 'Uncaught error', {
+        source: { url: event.filename, line: event.lineno, column: event.colno },
+        stack: event.error && event.error.stack
+      });
+      return;
+    }
+
+    const element = event.target;
+    const url = element && (element.currentSrc || element.src || element.href);
+    if (element && element.tagName && url) {
+      report('resource', 'error', `Failed to load resource: <${element.tagName.toLowerCase()}> ${url}`, {
+        source: { url },
+        details: { tagName: element.tagName.toLowerCase() }
+      });
+    }
+  }, true);
+
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    const message = reason instanceof Error
+      ? `${reason.name}: ${reason.message}`
+      : serializeArgs([reason])[0];
+    report('unhandledrejection', 'error', `Uncaught (in promise) ${message}`, {
+      stack: reason instanceof Error ? reason.stack : null
+    });
+  });
+
+  document.addEventListener('securitypolicyviolation', (event) => {
+    const directive = event.effectiveDirective || event.violatedDirective;
+    const blocked = event.blockedURI || 'inline';
+    report('csp', event.disposition === 'report' ? 'warn' : 'error',
+      `Refused to load ${blocked} because it violates the Content Security Policy directive "${directive}"` +
+      (event.disposition === 'report' ? ' (report only)' : ''), {
+      source: { url: event.sourceFile, line: event.lineNumber, column: event.columnNumber },
+      details: { blockedURI: event.blockedURI, directive, disposition: event.disposition }
+    });
+  }, true);
+
+  // Element loads fail with an error event above; fetch and XHR responses with an
+  // HTTP error status only show up here (for same-origin or CORS-enabled requests)
+  if (typeof PerformanceObserver !== 'undefined') {
+    try {
+      new PerformanceObserver((list) => {
+        list.getEntries().forEach(entry => {
+          if (!['fetch', 'xmlhttprequest', 'beacon', 'other'].includes(entry.initiatorType)) return;
+          if (!(entry.responseStatus >= 400)) return;
+          report('network', 'error',
+            `Failed to load resource: the server responded with a status of ${entry.responseStatus} (${entry.name})`, {
+            source: { url: entry.name },
+            details: { status: entry.responseStatus, initiatorType: entry.initiatorType }
+          });
+        });
+      }).observe({ type: 'resource', buffered: true });
+    } catch (e) {
+      // Older browsers without resource timing observers
+    }
+  }
+
   // Log that injection is complete
   originalConsole.log('[Kapture] Console listener attached');
 })();
@@ -29,5 +29,8 @@ function ready() {
   }
 }
 
-// Notify webpage that Kapture is loaded after DOMContentLoaded
-document.readyState === 'loading' ? document.addEventListener('DOMContentLoaded', ready) : ready();
+// Notify webpage that Kapture is loaded after DOMContentLoaded.
+// Helpers also run in iframes, but only the top document represents the tab.
+if (window === window.top) {
+  document.readyState === 'loading' ? document.addEventListener('DOMContentLoaded', ready) : ready();
+}
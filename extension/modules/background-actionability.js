@@ -0,0 +1,35 @@
+import { frameIdOf, runInFrame } from './background-frames.js';
+
+// What each interaction tool waits for before acting. Every tool also waits for
+// the element to be attached; `visible` scrolls it into view first if needed.
+const ACTIONABILITY_CHECKS = {
+  click: ['visible', 'stable', 'enabled', 'receivesEvents'],
+  hover: ['visible', 'stable', 'receivesEvents'],
+  fill: ['visible', 'enabled', 'editable'],
+  type: ['visible', 'enabled', 'editable'],
+  select: ['visible', 'enabled'],
+  drag: ['visible', 'stable', 'receivesEvents'],
+  pointer: ['visible', 'stable', 'receivesEvents'],
+  // File inputs are often hidden behind a styled label or drop zone
+  upload_file: []
+};
+
+export const DEFAULT_WAIT_TIMEOUT = 5000;
+
+/**
+ * Wait until the target of an interaction is ready for it. Resolves to null when the
+ * command can go ahead (including commands and calls that don't auto-wait), or to an
+ * error response naming the check that was still failing when waitTimeout ran out.
+ */
+export async function waitForActionable(tabId, command, params) {
+  const checks = ACTIONABILITY_CHECKS[command];
+  const { selector, xpath, locator, autoWait = true, waitTimeout = DEFAULT_WAIT_TIMEOUT } = params || {};
+  if (!checks || !autoWait || (!selector && !xpath && !locator)) {
+    return null;
+  }
+
+  const result = await runInFrame(tabId, frameIdOf(params), '_waitForActionable', {
+    selector, xpath, locator, checks, timeout: waitTimeout
+  });
+  return result?.error ? result : null;
+}
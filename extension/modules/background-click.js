@@ -1,29 +1,72 @@
 // Import helper functions from background-commands
 import { getFromContentScript, respondWith, respondWithError, attachDebugger, getElement } from './background-commands.js';
+import { frameIdOf, getFrameOffset } from './background-frames.js';
+import { LOAD_STATES, prepareNetworkIdle, validateWaitOptions, waitForNavigationCommit, waitForPageState } from './background-navigate.js';
 
-export async function click({ tabId, mousePosition }, { selector, xpath }) {
-  return await hover({ tabId, mousePosition }, { selector, xpath }, true);
+const DEFAULT_CLICK_NAVIGATION_TIMEOUT = 30000;
+
+export async function click(tab, params) {
+  const { tabId } = tab;
+  const { waitUntil, selector, xpath } = params;
+  if (!waitUntil) {
+    return await hover(tab, params, true);
+  }
+
+  const invalid = validateWaitOptions(params);
+  if (invalid) return respondWithError(tabId, 'INVALID_WAIT_CONDITION', invalid, selector, xpath);
+  const recorderError = await prepareNetworkIdle(tab, waitUntil);
+  if (recorderError) return recorderError;
+
+  // Listen before clicking, so a navigation that starts right away is not missed
+  const timeout = params.timeout || DEFAULT_CLICK_NAVIGATION_TIMEOUT;
+  const startedAt = new Date();
+  const navigation = LOAD_STATES.has(waitUntil) ? waitForNavigationCommit(tabId, timeout) : null;
+  navigation?.catch(() => { });
+
+  const result = await hover(tab, params, true);
+  if (result.error) {
+    navigation?.cancel();
+    return result;
+  }
+
+  try {
+    if (navigation) await navigation;
+    await waitForPageState(tab, params, startedAt.getTime() + timeout, startedAt);
+    return respondWith(tabId, { clicked: true, waitUntil }, selector, xpath);
+  } catch (error) {
+    return respondWith(tabId, {
+      clicked: true,
+      error: { code: error.code || 'NAVIGATION_FAILED', message: `Clicked. ${error.message}` }
+    }, selector, xpath);
+  }
 }
 
-export async function hover(tab, { selector, xpath }, click = false) {
+export async function hover(tab, params, click = false) {
+  const { selector, xpath, locator } = params;
+  const frameId = frameIdOf(params);
   const { tabId, mousePosition } = tab;
-  // Validate that either selector or xpath is provided
-  if (!selector && !xpath) {
-    return respondWithError(tabId, 'SELECTOR_OR_XPATH_REQUIRED', 'Either selector or xpath is required');
+  // Validate that a selector, xpath or locator is provided
+  if (!selector && !xpath && !locator) {
+    return respondWithError(tabId, 'SELECTOR_OR_XPATH_REQUIRED', 'Either selector, xpath, locator or ref is required');
   }
 
   // Get element and validate it exists and is visible
-  const elementResult = await getElement(tabId, selector, xpath, true);
+  const elementResult = await getElement(tabId, { selector, xpath, locator }, true, frameId);
   if (elementResult.error) return elementResult;
 
   // Get current mouse position
   const currentPosition = mousePosition || { x: 0, y: 0 };
 
-  // Calculate target position (center of element)
-  const targetX = elementResult.element.bounds.x + elementResult.element.bounds.width / 2;
-  const targetY = elementResult.element.bounds.y + elementResult.element.bounds.height / 2;
-
   try {
+    // Element bounds are relative to their frame; mouse events and the cursor use the top-level viewport
+    const offset = frameId ? await getFrameOffset(tabId, frameId) : { x: 0, y: 0 };
+    const toViewport = (bounds) => ({ ...bounds, x: bounds.x + offset.x, y: bounds.y + offset.y });
+
+    // Calculate target position (center of element)
+    const targetBounds = toViewport(elementResult.element.bounds);
+    const targetX = targetBounds.x + targetBounds.width / 2;
+    const targetY = targetBounds.y + targetBounds.height / 2;
+
     // Show cursor
     await getFromContentScript(tabId, '_cursor', { show: true });
 
@@ -34,7 +77,7 @@ export async function hover(tab, { selector, xpath }, click = false) {
     const pixelsPerSecond = 1000; // Adjust for desired speed
     const frameInterval = 16; // ~60fps
 
-    await attachDebugger(tabId, async () => {
+    await attachDebugger(tab, async () => {
       const sendCmd = (cmd, params) => chrome.debugger.sendCommand({ tabId }, cmd, params);
       const dispatchMouseEvent = (params) => sendCmd('Input.dispatchMouseEvent', params);
 
@@ -72,9 +115,9 @@ export async function hover(tab, { selector, xpath }, click = false) {
       // Try up to 5 times to ensure we're over the target element
       const maxAttempts = 5;
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        const finalCheck = await getElement(tabId, selector, xpath, true);
+        const finalCheck = await getElement(tabId, { selector, xpath, locator }, true, frameId);
         if (!finalCheck.error && finalCheck.element) {
-          const bounds = finalCheck.element.bounds;
+          const bounds = toViewport(finalCheck.element.bounds);
 
           // Check if cursor is actually over the element
           const isOverElement = finalPosition.x >= bounds.x &&
@@ -97,7 +140,7 @@ export async function hover(tab, { selector, xpath }, click = false) {
         }
       }
 
-      const bounds = await getFromContentScript(tabId, '_elementPosition', { id: elementResult.element.id });
+      const bounds = toViewport(await getFromContentScript(tabId, '_elementPosition', { selector: elementResult.element.selector }, frameId));
       const actualTargetX = bounds.x + bounds.width / 2;
       const actualTargetY = bounds.y + bounds.height / 2;
       await getFromContentScript(tabId, '_moveMouseSVG', { x: actualTargetX, y: actualTargetY });
@@ -1,13 +1,25 @@
 import { keypress } from './background-keypress.js';
 import { click, hover } from './background-click.js';
-import { navigate, back, forward, close, reload, show } from './background-navigate.js';
+import { navigate, back, forward, close, reload, show, wait_for_navigation } from './background-navigate.js';
 import { screenshot, scrolling_screenshot } from './background-screenshot.js';
 import { getLogs } from './background-console.js';
+import { getNetworkRequests, getNetworkRequestDetail } from './background-network.js';
+import { intercept_add, intercept_list, intercept_remove } from './background-intercept.js';
+import { emulate, reset_emulation } from './background-emulation.js';
+import { upload_file } from './background-upload.js';
+import { drag, pointer } from './background-pointer.js';
+import { evaluate, release_handles } from './background-evaluate.js';
+import { list_downloads, get_download } from './background-downloads.js';
+import { switch_to_frame, frameUnavailable, runInFrame } from './background-frames.js';
 
-export const getFromContentScript = async (tabId, command, params,) => {
+// Every frame runs the content script, so messages always name a frame (0 is the top document)
+export const getFromContentScript = async (tabId, command, params, frameId = 0) => {
   try {
-    return await chrome.tabs.sendMessage(tabId, { command, params });
+    return await chrome.tabs.sendMessage(tabId, { command, params }, { frameId });
   } catch (error) {
+    if (frameId) {
+      return await frameUnavailable(tabId, frameId, error);
+    }
     return {
       error: {
         code: 'CONTENT_SCRIPT_UNAVAILABLE',
@@ -44,8 +56,9 @@ export const detectBrowser = () => {
 };
 
 export const getTabInfo = async (tabId) => await getFromContentScript(tabId, 'getTabInfo');
-export const getElement = async (tabId, selector, xpath, visible) => {
-  return await getFromContentScript(tabId, 'element', { selector, xpath, visible });
+// target is { selector, xpath, locator }, as the tools take them
+export const getElement = async (tabId, { selector, xpath, locator }, visible, frameId = 0) => {
+  return await runInFrame(tabId, frameId, 'element', { selector, xpath, locator, visible });
 }
 
 export const getFallbackTabInfo = async (tabId) => {
@@ -77,28 +90,12 @@ export const respondWith = async (tabId, obj, selector, xpath) => {
 export const respondWithError = async (tabId, code, message, selector, xpath) => {
   return respondWith(tabId, { error: { code, message } }, selector, xpath);
 }
-export async function attachDebugger(tabId, action) {
-  let debuggerAttached = false;
-  try {
-    // Attach debugger to capture screenshot without making tab active
-    await chrome.debugger.attach({ tabId }, '1.3');
-    debuggerAttached = true;
-
-    // Enable the Page domain
-    await chrome.debugger.sendCommand({ tabId }, 'Page.enable');
-
-    return await action();
-  }
-  finally {
-    // Always detach debugger if attached
-    try {
-      if (debuggerAttached) await chrome.debugger.detach({ tabId: tabId });
-    }
-    catch (e) { }
-  }
+// Run an action against the tab's long-lived debugger session, attaching it if needed
+export async function attachDebugger(tabState, action) {
+  await tabState.debuggerSession.ensureAttached();
+  return await action();
 }
 
-
 export const backgroundCommands = {
   navigate,
   back,
@@ -106,11 +103,27 @@ export const backgroundCommands = {
   close,
   reload,
   show,
+  wait_for_navigation,
   click,
   hover,
+  drag,
+  pointer,
+  upload_file,
   keypress,
+  evaluate,
+  release_handles,
   screenshot,
   scrolling_screenshot,
   getLogs,
+  getNetworkRequests,
+  getNetworkRequestDetail,
+  intercept_add,
+  intercept_list,
+  intercept_remove,
+  list_downloads,
+  get_download,
+  emulate,
+  reset_emulation,
+  switch_to_frame,
   getAllTabs
 }
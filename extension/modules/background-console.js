@@ -1,13 +1,13 @@
 // Import helper functions from background-commands
 import { respondWith, respondWithError } from './background-commands.js';
 
-export async function getLogs(tabState, { before, limit = 100, level }) {
+export async function getLogs(tabState, { before, limit = 100, level, type }) {
   try {
     // Get the logs from the tab state using its built-in method
-    const logs = tabState.getConsoleLogs(limit, level, before);
+    const logs = tabState.getConsoleLogs(limit, level, before, type);
 
     // Check if there are more logs available
-    const totalFilteredCount = tabState.getConsoleLogs(null, level, before).length;
+    const totalFilteredCount = tabState.getConsoleLogs(null, level, before, type).length;
     const hasMore = totalFilteredCount > limit;
 
     return respondWith(tabState.tabId, {
@@ -0,0 +1,101 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+import { DownloadEntry } from './models.js';
+
+// Without a matching referrer, a download goes to the tab that ran a command this recently
+const RECENT_COMMAND_MS = 10000;
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+function mostRecentlyCommanded(tabStates) {
+  return tabStates
+    .filter(tabState => tabState.lastCommandAt && Date.now() - tabState.lastCommandAt < RECENT_COMMAND_MS)
+    .sort((a, b) => b.lastCommandAt - a.lastCommandAt)[0];
+}
+
+/**
+ * Pick the connected tab a new download came from. Chrome does not say which
+ * tab started a download, so match its referrer (or, for blob: and data:
+ * downloads, its URL) against the tabs' pages, and prefer the tab that just
+ * ran a command when several match.
+ */
+export async function findDownloadTab(tabStates, item) {
+  const connected = await Promise.all(tabStates
+    .filter(tabState => tabState.connectionInfo.connected)
+    .map(tabState => chrome.tabs.get(tabState.tabId).then(tab => ({ tabState, url: tab.url }), () => null)));
+  const tabs = connected.filter(Boolean);
+
+  const exact = tabs.filter(({ url }) => item.referrer && url === item.referrer);
+  if (exact.length === 1) return exact[0].tabState;
+
+  const origin = originOf(item.referrer) || originOf(item.url);
+  const sameOrigin = tabs.filter(({ url }) => origin && origin !== 'null' && originOf(url) === origin);
+  if (sameOrigin.length === 1) return sameOrigin[0].tabState;
+
+  const candidates = (sameOrigin.length ? sameOrigin : tabs).map(({ tabState }) => tabState);
+  return mostRecentlyCommanded(candidates) || (sameOrigin.length ? candidates[0] : null);
+}
+
+export function trackDownload(tabState, item) {
+  const entry = new DownloadEntry(item);
+  tabState.addDownload(entry);
+  return entry;
+}
+
+/**
+ * Refresh a tracked download after chrome.downloads.onChanged.
+ * Resolves to the entry when this change finished it, so it can be reported to the server.
+ */
+export async function handleDownloadChanged(tabState, delta) {
+  const entry = tabState.getDownload(delta.id);
+  if (!entry) return null;
+
+  const [item] = await chrome.downloads.search({ id: delta.id });
+  if (item) entry.update(item);
+  return delta.state?.current === 'complete' ? entry : null;
+}
+
+// Bring in-progress downloads up to date (onChanged does not fire for progress)
+async function refreshInProgress(entries) {
+  await Promise.all(entries
+    .filter(entry => entry.state === 'in_progress')
+    .map(async entry => {
+      const [item] = await chrome.downloads.search({ id: entry.id });
+      if (item) entry.update(item);
+    }));
+}
+
+export async function list_downloads(tabState, { state, limit = 20 }) {
+  try {
+    await refreshInProgress(tabState.downloads);
+    const downloads = state ? tabState.downloads.filter(entry => entry.state === state) : tabState.downloads;
+
+    return respondWith(tabState.tabId, {
+      downloads: downloads.slice(0, limit).map(entry => entry.toJSON()),
+      hasMore: downloads.length > limit,
+      totalCount: tabState.downloads.length
+    });
+  } catch (error) {
+    return respondWithError(tabState.tabId, 'DOWNLOADS_UNAVAILABLE', error.message);
+  }
+}
+
+export async function get_download(tabState, { downloadId }) {
+  const entry = tabState.getDownload(Number(downloadId));
+  if (!entry) {
+    return respondWithError(tabState.tabId, 'DOWNLOAD_NOT_FOUND', `No download with id ${downloadId} was started from this tab`);
+  }
+
+  try {
+    await refreshInProgress([entry]);
+  } catch (error) {
+    return respondWithError(tabState.tabId, 'DOWNLOADS_UNAVAILABLE', error.message);
+  }
+  return respondWith(tabState.tabId, { download: entry.toJSON() });
+}
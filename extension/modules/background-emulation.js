@@ -0,0 +1,248 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+
+// Viewport, touch and user agent of common devices, applied by the device option
+export const DEVICE_PRESETS = {
+  'iphone-15': {
+    viewport: { width: 393, height: 852, deviceScaleFactor: 3, mobile: true },
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'pixel-7': {
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true },
+    touch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36'
+  },
+  'ipad': {
+    viewport: { width: 820, height: 1180, deviceScaleFactor: 2, mobile: true },
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'laptop': {
+    viewport: { width: 1366, height: 768, deviceScaleFactor: 1, mobile: false },
+    touch: false
+  },
+  'desktop': {
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false },
+    touch: false
+  }
+};
+
+// Same throughput and latency as the DevTools throttling presets (bytes/s and ms)
+const NETWORK_PRESETS = {
+  'offline': { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+  'slow-3g': { offline: false, latency: 2000, downloadThroughput: 500 * 1000 / 8 * 0.8, uploadThroughput: 500 * 1000 / 8 * 0.8 },
+  'fast-3g': { offline: false, latency: 562.5, downloadThroughput: 1.6 * 1000 * 1000 / 8 * 0.9, uploadThroughput: 750 * 1000 / 8 * 0.9 },
+  'slow-4g': { offline: false, latency: 165, downloadThroughput: 9 * 1000 * 1000 / 8 * 0.9, uploadThroughput: 1.5 * 1000 * 1000 / 8 * 0.9 }
+};
+
+export const EMULATION_SETTINGS = [
+  'viewport', 'touch', 'userAgent', 'geolocation', 'timezone', 'locale',
+  'colorScheme', 'reducedMotion', 'cpuThrottling', 'network'
+];
+
+/**
+ * The CDP override behind each setting. params() builds the command from the
+ * whole emulation state, or returns null when none of its settings are active,
+ * in which case reset undoes it. Settings that share a command (the media
+ * features, user agent and Accept-Language) are sent together.
+ */
+const OVERRIDES = [
+  {
+    settings: ['viewport'],
+    method: 'Emulation.setDeviceMetricsOverride',
+    // A zero width, height or scale keeps the window's own value
+    params: ({ viewport }) => viewport && {
+      width: viewport.width || 0,
+      height: viewport.height || 0,
+      deviceScaleFactor: viewport.deviceScaleFactor || 0,
+      mobile: !!viewport.mobile
+    },
+    reset: ['Emulation.clearDeviceMetricsOverride']
+  },
+  {
+    settings: ['touch'],
+    method: 'Emulation.setTouchEmulationEnabled',
+    params: ({ touch }) => touch !== undefined && { enabled: touch, maxTouchPoints: touch ? 5 : 1 },
+    reset: ['Emulation.setTouchEmulationEnabled', { enabled: false }]
+  },
+  {
+    settings: ['userAgent', 'locale'],
+    method: 'Emulation.setUserAgentOverride',
+    params: ({ userAgent, locale }) => (userAgent || locale) && {
+      userAgent: userAgent || navigator.userAgent,
+      ...(locale && { acceptLanguage: locale })
+    },
+    reset: ['Emulation.setUserAgentOverride', { userAgent: '' }]
+  },
+  {
+    settings: ['locale'],
+    method: 'Emulation.setLocaleOverride',
+    params: ({ locale }) => locale && { locale },
+    reset: ['Emulation.setLocaleOverride']
+  },
+  {
+    settings: ['geolocation'],
+    method: 'Emulation.setGeolocationOverride',
+    params: ({ geolocation }) => geolocation && { accuracy: 100, ...geolocation },
+    reset: ['Emulation.clearGeolocationOverride']
+  },
+  {
+    settings: ['timezone'],
+    method: 'Emulation.setTimezoneOverride',
+    params: ({ timezone }) => timezone && { timezoneId: timezone },
+    reset: ['Emulation.setTimezoneOverride', { timezoneId: '' }]
+  },
+  {
+    settings: ['colorScheme', 'reducedMotion'],
+    method: 'Emulation.setEmulatedMedia',
+    params: ({ colorScheme, reducedMotion }) => (colorScheme || reducedMotion) && {
+      features: [
+        ...(colorScheme ? [{ name: 'prefers-color-scheme', value: colorScheme }] : []),
+        ...(reducedMotion ? [{ name: 'prefers-reduced-motion', value: reducedMotion }] : [])
+      ]
+    },
+    reset: ['Emulation.setEmulatedMedia', { features: [] }]
+  },
+  {
+    settings: ['cpuThrottling'],
+    method: 'Emulation.setCPUThrottlingRate',
+    params: ({ cpuThrottling }) => cpuThrottling > 1 && { rate: cpuThrottling },
+    reset: ['Emulation.setCPUThrottlingRate', { rate: 1 }]
+  },
+  {
+    settings: ['network'],
+    method: 'Network.emulateNetworkConditions',
+    params: ({ network }) => network && NETWORK_PRESETS[network],
+    reset: ['Network.emulateNetworkConditions', { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 }]
+  }
+];
+
+const isTrue = value => String(value) === 'true';
+
+// Drop settings that are unset so tab_detail only lists what is emulated
+function compact(emulation) {
+  return Object.fromEntries(Object.entries(emulation).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Work out the emulation state after applying params on top of the current one.
+ * A device preset comes first, so explicit options override parts of it.
+ */
+function mergeSettings(current, params) {
+  const { device, width, height, deviceScaleFactor, mobile, touch, userAgent, latitude, longitude, accuracy,
+    timezone, locale, colorScheme, reducedMotion, cpuThrottling, network } = params;
+  const next = { ...current };
+
+  if (device) {
+    const preset = DEVICE_PRESETS[device];
+    if (!preset) {
+      return { error: `Unknown device "${device}". Use one of: ${Object.keys(DEVICE_PRESETS).join(', ')}` };
+    }
+    Object.assign(next, { device, userAgent: undefined }, structuredClone(preset));
+  }
+
+  const viewport = { width, height, deviceScaleFactor, mobile: mobile === undefined ? undefined : isTrue(mobile) };
+  if (Object.values(viewport).some(value => value !== undefined)) {
+    next.viewport = compact({ ...next.viewport, ...compact(viewport) });
+  }
+
+  if (latitude !== undefined || longitude !== undefined) {
+    if (latitude === undefined || longitude === undefined) {
+      return { error: 'latitude and longitude must be given together' };
+    }
+    next.geolocation = compact({ latitude, longitude, accuracy });
+  }
+
+  if (touch !== undefined) next.touch = isTrue(touch);
+  if (userAgent !== undefined) next.userAgent = userAgent;
+  if (timezone !== undefined) next.timezone = timezone;
+  if (locale !== undefined) next.locale = locale;
+  if (colorScheme !== undefined) next.colorScheme = colorScheme;
+  if (reducedMotion !== undefined) next.reducedMotion = reducedMotion;
+  if (cpuThrottling !== undefined) next.cpuThrottling = cpuThrottling > 1 ? cpuThrottling : undefined;
+  if (network !== undefined) next.network = network === 'none' ? undefined : network;
+
+  // Options that change what the preset set up mean the tab no longer is that device
+  if (!device && next.device && ['viewport', 'touch', 'userAgent'].some(name => next[name] !== current[name])) {
+    next.device = undefined;
+  }
+
+  return { emulation: compact(next) };
+}
+
+// Send the overrides for the changed settings, undoing those that are no longer active
+async function syncOverrides(tabState, changed) {
+  const session = tabState.debuggerSession;
+  for (const override of OVERRIDES) {
+    if (!override.settings.some(name => changed.has(name))) continue;
+
+    const params = override.params(tabState.emulation);
+    if (params) {
+      await session.setOverride(override.method, params);
+    } else {
+      const [resetMethod, resetParams] = override.reset;
+      await session.clearOverride(override.method, resetMethod, resetParams);
+    }
+  }
+}
+
+async function applyEmulation(tabState, next) {
+  const previous = tabState.emulation;
+  const changed = new Set(EMULATION_SETTINGS.filter(name =>
+    JSON.stringify(previous[name]) !== JSON.stringify(next[name])));
+
+  tabState.emulation = next;
+  try {
+    await syncOverrides(tabState, changed);
+  } catch (error) {
+    // Put back what was there so the tab and tab_detail still agree
+    tabState.emulation = previous;
+    await syncOverrides(tabState, changed).catch(() => { });
+    throw error;
+  }
+}
+
+export async function emulate(tabState, params) {
+  const { tabId } = tabState;
+  const merged = mergeSettings(tabState.emulation, params);
+  if (merged.error) {
+    return respondWithError(tabId, 'INVALID_EMULATION', merged.error);
+  }
+
+  try {
+    await applyEmulation(tabState, merged.emulation);
+  } catch (error) {
+    return respondWithError(tabId, 'EMULATION_FAILED', error.message);
+  }
+
+  return respondWith(tabId, { emulation: tabState.emulation });
+}
+
+export async function reset_emulation(tabState, { settings }) {
+  const { tabId } = tabState;
+  // Arrays are not checked against the tool schema, so check the names here
+  const unknown = (settings || []).filter(name => name !== 'device' && !EMULATION_SETTINGS.includes(name));
+  if (unknown.length) {
+    return respondWithError(tabId, 'INVALID_EMULATION',
+      `Unknown setting ${unknown.join(', ')}. Use any of: ${EMULATION_SETTINGS.join(', ')}`);
+  }
+
+  let next = {};
+  if (settings?.length) {
+    // Resetting the device resets what the preset set up
+    const names = settings.includes('device') ? [...settings, 'device', 'viewport', 'touch', 'userAgent'] : settings;
+    next = compact(Object.fromEntries(Object.entries(tabState.emulation).filter(([name]) => !names.includes(name))));
+    if (next.device && ['viewport', 'touch', 'userAgent'].some(name => names.includes(name))) {
+      delete next.device;
+    }
+  }
+
+  try {
+    await applyEmulation(tabState, next);
+  } catch (error) {
+    return respondWithError(tabId, 'EMULATION_FAILED', error.message);
+  }
+
+  return respondWith(tabId, { emulation: tabState.emulation });
+}
@@ -0,0 +1,295 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+import { frameIdOf, runInFrame } from './background-frames.js';
+
+// Remote objects created by evaluate, released together by release_handles
+const OBJECT_GROUP = 'llm-browser-bot-evaluate';
+
+// Isolated world created through the debugger when the page's CSP blocks the content script's eval
+const ISOLATED_WORLD_NAME = 'llm-browser-bot';
+
+class EvaluateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Runs in the page on the result object (as `this`) and returns plain JSON,
+// like serializeValue in page-helpers.js. It cannot use anything outside itself.
+function serializeInPage() {
+  const seen = new WeakSet();
+  const serialize = (value, depth) => {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'boolean' || typeof value === 'number' || typeof value === 'string') return value;
+    if (typeof value === 'bigint') return value.toString() + 'n';
+    if (typeof value === 'function') return '[Function: ' + (value.name || 'anonymous') + ']';
+    if (typeof value === 'symbol') return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) return value.toString();
+    if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+    if (value instanceof Element) {
+      return {
+        nodeType: 'ELEMENT_NODE',
+        tagName: value.tagName,
+        id: value.id || undefined,
+        className: typeof value.className === 'string' ? value.className || undefined : undefined
+      };
+    }
+    if (depth >= 3) return '[Max depth reached]';
+    if (seen.has(value)) return '[Circular reference]';
+    seen.add(value);
+    if (Array.isArray(value)) return value.map(item => serialize(item, depth + 1));
+    if (value instanceof Map) return { type: 'Map', entries: Array.from(value).slice(0, 100).map(entry => serialize(entry, depth + 1)) };
+    if (value instanceof Set) return { type: 'Set', values: Array.from(value).slice(0, 100).map(item => serialize(item, depth + 1)) };
+    if (ArrayBuffer.isView(value)) return { type: value.constructor.name, length: value.length, data: '[Binary data]' };
+
+    const result = {};
+    const keys = Object.keys(value);
+    for (const key of keys.slice(0, 100)) {
+      try {
+        const serialized = serialize(value[key], depth + 1);
+        if (serialized !== undefined) result[key] = serialized;
+      } catch (e) {
+        result[key] = '[Error accessing property]';
+      }
+    }
+    if (keys.length > 100) result['...'] = `${keys.length - 100} more properties`;
+    return result;
+  };
+  return serialize(this, 0);
+}
+
+const isHandleArg = (arg) => arg && typeof arg === 'object' && !Array.isArray(arg) &&
+  Object.keys(arg).length === 1 && typeof arg.handle === 'string';
+
+// The content script's eval is subject to Content Security Policy; the debugger's is not
+const isCspError = (error) => /EvalError|Content Security Policy|unsafe-eval/i.test(`${error?.name} ${error?.message}`);
+
+function withTimeout(promise, timeout) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new EvaluateError('EVALUATION_TIMEOUT',
+        `Evaluation did not finish within ${timeout}ms. Code that is still running in the page is not stopped.`)), timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * The CDP frame id for a frame the extension knows by its frameId. Both list
+ * the same frames, so match on URL, preferring a frame whose parent matches too.
+ */
+async function findDebuggerFrame(tabState, frameId) {
+  const { frameTree } = await tabState.debuggerSession.send('Page.getFrameTree');
+  if (!frameId) return frameTree.frame.id;
+
+  const frame = await chrome.webNavigation.getFrame({ tabId: tabState.tabId, frameId });
+  if (!frame) {
+    throw new EvaluateError('FRAME_DETACHED', `The selected frame (${frameId}) no longer exists`);
+  }
+  const parent = frame.parentFrameId > 0
+    ? await chrome.webNavigation.getFrame({ tabId: tabState.tabId, frameId: frame.parentFrameId })
+    : null;
+
+  const matches = [];
+  const walk = (node, parentUrl) => {
+    const url = node.frame.url + (node.frame.urlFragment || '');
+    if (node !== frameTree && url === frame.url) matches.push({ id: node.frame.id, parentUrl });
+    (node.childFrames || []).forEach(child => walk(child, url));
+  };
+  walk(frameTree, null);
+
+  const parentUrl = parent ? parent.url : null;
+  const match = matches.find(candidate => !parentUrl || candidate.parentUrl === parentUrl) || matches[0];
+  if (!match) {
+    throw new EvaluateError('FRAME_UNAVAILABLE',
+      `Frame ${frameId} (${frame.url}) runs in a separate process the debugger cannot reach. Use world "isolated" for this frame.`);
+  }
+  return match.id;
+}
+
+/**
+ * Where Runtime.callFunctionOn runs: the frame's document object for the
+ * page's own (main) world, or a fresh isolated world for the CSP fallback
+ */
+async function callTarget(tabState, frameId, world) {
+  const { debuggerSession } = tabState;
+  const cdpFrameId = await findDebuggerFrame(tabState, frameId);
+
+  if (world === 'isolated') {
+    const { executionContextId } = await debuggerSession.send('Page.createIsolatedWorld', {
+      frameId: cdpFrameId,
+      worldName: ISOLATED_WORLD_NAME
+    });
+    return { executionContextId };
+  }
+
+  let backendNodeId;
+  if (!frameId) {
+    ({ root: { backendNodeId } } = await debuggerSession.send('DOM.getDocument', { depth: 0 }));
+  } else {
+    const owner = await debuggerSession.send('DOM.getFrameOwner', { frameId: cdpFrameId });
+    const { node } = await debuggerSession.send('DOM.describeNode', { backendNodeId: owner.backendNodeId, depth: 1 });
+    backendNodeId = node.contentDocument?.backendNodeId;
+    if (!backendNodeId) {
+      throw new EvaluateError('FRAME_UNAVAILABLE',
+        `Frame ${frameId} runs in a separate process the debugger cannot reach. Use world "isolated" for this frame.`);
+    }
+  }
+  // A node resolves into its frame's main world
+  const { object } = await debuggerSession.send('DOM.resolveNode', { backendNodeId, objectGroup: OBJECT_GROUP });
+  return { objectId: object.objectId };
+}
+
+function handleArgument(tabState, { handle }) {
+  const entry = tabState.evalHandles.get(handle);
+  if (!entry) {
+    throw new EvaluateError('HANDLE_NOT_FOUND', `No handle "${handle}". Handles come from evaluate with returnHandle: true.`);
+  }
+  return { objectId: entry.objectId };
+}
+
+function describeHandle(id, remoteObject) {
+  return {
+    handle: id,
+    subtype: remoteObject.subtype,
+    className: remoteObject.className,
+    description: remoteObject.description
+  };
+}
+
+// Turn a RemoteObject into a JSON value, keeping it alive as a handle if asked
+async function readResult(tabState, remoteObject, returnHandle) {
+  const { debuggerSession } = tabState;
+  if (!remoteObject.objectId) {
+    // Primitives come by value; NaN, Infinity, -0 and BigInts only as text
+    return { result: remoteObject.unserializableValue ?? remoteObject.value };
+  }
+
+  if (returnHandle) {
+    const id = `h${tabState.nextEvalHandleId++}`;
+    tabState.evalHandles.set(id, { objectId: remoteObject.objectId, description: remoteObject.description });
+    return describeHandle(id, remoteObject);
+  }
+
+  try {
+    const { result } = await debuggerSession.send('Runtime.callFunctionOn', {
+      objectId: remoteObject.objectId,
+      functionDeclaration: serializeInPage.toString(),
+      returnByValue: true
+    });
+    return { result: result.value };
+  } finally {
+    debuggerSession.send('Runtime.releaseObject', { objectId: remoteObject.objectId }).catch(() => { });
+  }
+}
+
+/**
+ * Run code through the debugger. It bypasses the page's Content Security
+ * Policy and, in the main world, sees the page's own globals.
+ */
+async function evaluateWithDebugger(tabState, params, world) {
+  const { debuggerSession } = tabState;
+  const { code, args = [], returnHandle = false, timeout = 5000 } = params;
+
+  const usesHandles = args.some(isHandleArg);
+  const callArguments = args.map(arg => isHandleArg(arg) ? handleArgument(tabState, arg) : { value: arg });
+  const target = await callTarget(tabState, frameIdOf(params), world);
+
+  let response;
+  try {
+    response = await withTimeout(debuggerSession.send('Runtime.callFunctionOn', {
+      ...target,
+      functionDeclaration: `async function (...args) {\n${code}\n}`,
+      arguments: callArguments,
+      awaitPromise: true,
+      returnByValue: false,
+      userGesture: true,
+      objectGroup: OBJECT_GROUP
+    }), timeout);
+  } catch (error) {
+    if (usesHandles && /Could not find object|Cannot find context|same JavaScript world/i.test(error.message)) {
+      throw new EvaluateError('HANDLE_STALE',
+        'A handle no longer exists, or belongs to another frame. Handles die when the page navigates or the debugger detaches.');
+    }
+    throw error;
+  } finally {
+    if (target.objectId) {
+      debuggerSession.send('Runtime.releaseObject', { objectId: target.objectId }).catch(() => { });
+    }
+  }
+
+  if (response.exceptionDetails) {
+    const { exception, text } = response.exceptionDetails;
+    return {
+      error: {
+        code: 'EVALUATION_ERROR',
+        message: exception?.description?.split('\n')[0] || text,
+        stack: exception?.description
+      }
+    };
+  }
+  return { ...await readResult(tabState, response.result, returnHandle), type: response.result.type };
+}
+
+export async function evaluate(tabState, params) {
+  const { tabId } = tabState;
+  const { code, args = [], returnHandle = false, world = 'isolated' } = params;
+  const frameId = frameIdOf(params);
+
+  if (!code) {
+    return respondWithError(tabId, 'CODE_REQUIRED', 'JavaScript code is required');
+  }
+  if (!Array.isArray(args)) {
+    return respondWithError(tabId, 'INVALID_EVALUATION', 'args must be a list of JSON values or { "handle": "h1" } objects');
+  }
+  if (world !== 'main' && (returnHandle || args.some(isHandleArg))) {
+    return respondWithError(tabId, 'INVALID_EVALUATION', 'Handles only work with world: "main"');
+  }
+
+  try {
+    if (world === 'main') {
+      return respondWith(tabId, { ...await evaluateWithDebugger(tabState, params, 'main'), world });
+    }
+
+    const result = await runInFrame(tabId, frameId, 'evaluate', { code, args, timeout: params.timeout });
+    if (result?.error?.code !== 'EVALUATION_ERROR' || !isCspError(result.error)) {
+      return result;
+    }
+    // The page's CSP forbids eval in the content script; run in an isolated world the debugger creates
+    return respondWith(tabId, { ...await evaluateWithDebugger(tabState, params, 'isolated'), world, viaDebugger: true });
+  } catch (error) {
+    return respondWithError(tabId, error.code || 'EVALUATION_FAILED', error.message);
+  }
+}
+
+export async function release_handles(tabState, { handles }) {
+  const { tabId, evalHandles, debuggerSession } = tabState;
+  const ids = handles?.length ? handles : Array.from(evalHandles.keys());
+  const released = [];
+  const notFound = [];
+
+  for (const id of ids) {
+    const entry = evalHandles.get(id);
+    if (!entry) {
+      notFound.push(id);
+      continue;
+    }
+    evalHandles.delete(id);
+    released.push(id);
+    if (debuggerSession.attached) {
+      await debuggerSession.send('Runtime.releaseObject', { objectId: entry.objectId }).catch(() => { });
+    }
+  }
+  if (!handles?.length && debuggerSession.attached) {
+    await debuggerSession.send('Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP }).catch(() => { });
+  }
+
+  return respondWith(tabId, {
+    released,
+    notFound: notFound.length ? notFound : undefined,
+    remaining: Array.from(evalHandles, ([handle, { description }]) => ({ handle, description }))
+  });
+}
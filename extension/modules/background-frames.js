@@ -0,0 +1,118 @@
+// Import helper functions from background-commands
+import { getFromContentScript, getTabInfo, respondWith, respondWithError } from './background-commands.js';
+
+// Content-script commands that act on the selected frame. Everything else
+// (tab info, cursor, screenshot labels, recording) stays in the top document.
+export const FRAME_COMMANDS = new Set([
+  'dom', 'elements_from_point', 'elements', 'element', 'focus', 'fill', 'paste', 'clear',
+  'select', 'blur', 'scroll', 'evaluate', 'get_attribute', 'get_computed_style', 'get_text',
+  'wait_for_element', 'type', 'select_text', 'get_selected_text', 'page_structure',
+  'accessibility_tree', 'highlight', 'list_frames',
+  '_elementPosition', '_submitTarget', '_guardFormSubmit', '_clearHighlights', '_waitForActionable',
+  '_fileTarget', '_setFiles', '_html5Drag'
+]);
+
+// The server sends the tab's selected frame with every command; 0 or missing is the top document
+export const frameIdOf = (params) => params?._frameId || 0;
+
+/**
+ * Error for a frame that no longer answers: it was removed or navigated, or
+ * the helpers could not be injected into it (e.g. a sandboxed frame)
+ */
+export async function frameUnavailable(tabId, frameId, error) {
+  const frame = await chrome.webNavigation.getFrame({ tabId, frameId }).catch(() => null);
+  if (!frame) {
+    return respondWithError(tabId, 'FRAME_DETACHED',
+      `The selected frame (${frameId}) no longer exists. Use list_frames and switch_to_frame to select it again, or switch_to_frame "main".`);
+  }
+  return respondWithError(tabId, 'FRAME_UNAVAILABLE',
+    `Cannot run commands in frame ${frameId} (${frame.url}): ${error?.message || 'the content script did not load'}`);
+}
+
+/**
+ * Run a content-script command in a frame. Results report the tab's URL and
+ * title as usual, with the frame's own under `frame`.
+ */
+export async function runInFrame(tabId, frameId, command, params) {
+  const result = await getFromContentScript(tabId, command, params, frameId);
+  // Only full tool responses carry page info; internal helpers return plain values
+  if (!frameId || !result || typeof result !== 'object' || !('success' in result)) {
+    return result;
+  }
+
+  const tabInfo = await getTabInfo(tabId);
+  return {
+    ...result,
+    ...(tabInfo && !tabInfo.error ? tabInfo : {}),
+    frame: { frameId, url: result.url, title: result.title }
+  };
+}
+
+/**
+ * Position of a frame's content in the top-level viewport, adding up the
+ * offsets of every iframe element between it and the top document
+ */
+export async function getFrameOffset(tabId, frameId) {
+  const offset = { x: 0, y: 0 };
+  let current = frameId;
+  while (current) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId: current });
+    if (!frame) {
+      throw new Error(`Frame ${current} no longer exists`);
+    }
+    const box = await getFromContentScript(tabId, '_childFrameBox', { frameId: current }, frame.parentFrameId);
+    if (!box || box.error) {
+      throw new Error(box?.error?.message || `Could not locate frame ${current} in its parent`);
+    }
+    offset.x += box.x;
+    offset.y += box.y;
+    current = frame.parentFrameId;
+  }
+  return offset;
+}
+
+export async function switch_to_frame(tabState, params) {
+  const { tabId } = tabState;
+  const { frame } = params;
+  const currentFrameId = frameIdOf(params);
+
+  if (!frame) {
+    return respondWithError(tabId, 'FRAME_REQUIRED', 'Frame identifier is required');
+  }
+
+  if (frame === 'main') {
+    return respondWith(tabId, { switched: true, frameId: 0, frame: 'main' });
+  }
+
+  if (frame === 'parent') {
+    const current = currentFrameId
+      ? await chrome.webNavigation.getFrame({ tabId, frameId: currentFrameId }).catch(() => null)
+      : null;
+    const parentFrameId = Math.max(current?.parentFrameId ?? 0, 0);
+    return respondWith(tabId, { switched: true, frameId: parentFrameId, frame: parentFrameId ? 'parent' : 'main' });
+  }
+
+  // Look the iframe element up inside the currently selected frame, so nested frames
+  // are reached one level at a time
+  const target = await getFromContentScript(tabId, '_resolveFrame', { frame }, currentFrameId);
+  if (!target || target.error) {
+    return target?.error
+      ? respondWithError(tabId, target.error.code, target.error.message)
+      : respondWithError(tabId, 'FRAME_NOT_FOUND', `Could not find iframe: ${frame}`);
+  }
+
+  // Make sure the helpers are running inside the frame before reporting success
+  const probe = await getFromContentScript(tabId, 'getTabInfo', {}, target.frameId);
+  if (probe?.error) {
+    return probe;
+  }
+
+  return respondWith(tabId, {
+    switched: true,
+    frameId: target.frameId,
+    parentFrameId: currentFrameId,
+    frame: target.selector,
+    src: probe.url,
+    crossOrigin: target.crossOrigin
+  }, target.selector);
+}
@@ -0,0 +1,184 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+import { InterceptRule } from './models.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fetch.fulfillRequest expects the body as base64 of its bytes
+function encodeBody(body) {
+  const bytes = new TextEncoder().encode(body);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+// Apply header overrides to CDP headers (object or [{name, value}] array).
+// A null override removes the header. Returns the [{name, value}] form Fetch expects.
+function mergeHeaders(original, overrides = {}) {
+  const entries = Array.isArray(original)
+    ? original.map(({ name, value }) => [name, value])
+    : Object.entries(original || {});
+  const merged = new Map(entries.map(([name, value]) => [name.toLowerCase(), { name, value }]));
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value === null) {
+      merged.delete(name.toLowerCase());
+    } else {
+      merged.set(name.toLowerCase(), { name, value: String(value) });
+    }
+  }
+  return [...merged.values()];
+}
+
+function buildFetchPatterns(rules) {
+  const patterns = [];
+  for (const rule of rules) {
+    patterns.push({ urlPattern: rule.urlPattern, requestStage: 'Request' });
+    if (rule.responseHeaders) {
+      patterns.push({ urlPattern: rule.urlPattern, requestStage: 'Response' });
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Enable, update or disable the debugger Fetch domain to match the tab's rules.
+ * Fetch.enable replaces any previously registered patterns, and the debugger
+ * session re-applies them if it has to re-attach.
+ */
+async function syncInterception(tabState) {
+  if (tabState.interceptRules.length === 0) {
+    await tabState.debuggerSession.disableDomain('Fetch');
+    return;
+  }
+
+  await tabState.debuggerSession.enableDomain('Fetch', {
+    patterns: buildFetchPatterns(tabState.interceptRules)
+  });
+}
+
+/**
+ * Resolve a paused request according to the first matching rule
+ */
+export async function handleInterceptEvent(tabState, method, params) {
+  if (method !== 'Fetch.requestPaused') return;
+
+  const debuggee = { tabId: tabState.tabId };
+  const { requestId, request, resourceType } = params;
+  const isResponseStage = params.responseStatusCode !== undefined || params.responseErrorReason !== undefined;
+  const rule = tabState.findInterceptRule(request.url, request.method, resourceType);
+
+  try {
+    if (isResponseStage) {
+      if (rule?.responseHeaders && params.responseStatusCode !== undefined) {
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.continueResponse', {
+          requestId,
+          responseHeaders: mergeHeaders(params.responseHeaders, rule.responseHeaders)
+        });
+      } else {
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.continueRequest', { requestId });
+      }
+      return;
+    }
+
+    if (!rule) {
+      await chrome.debugger.sendCommand(debuggee, 'Fetch.continueRequest', { requestId });
+      return;
+    }
+
+    rule.hitCount++;
+    if (rule.delayMs) {
+      await delay(rule.delayMs);
+    }
+
+    switch (rule.action) {
+      case 'block':
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.failRequest', {
+          requestId,
+          errorReason: rule.errorReason
+        });
+        break;
+
+      case 'mock': {
+        const headers = rule.contentType
+          ? { 'Content-Type': rule.contentType, ...rule.headers }
+          : rule.headers;
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.fulfillRequest', {
+          requestId,
+          responseCode: rule.status,
+          responseHeaders: mergeHeaders({}, headers),
+          body: encodeBody(rule.body)
+        });
+        break;
+      }
+
+      case 'modify':
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.continueRequest', rule.requestHeaders
+          ? { requestId, headers: mergeHeaders(request.headers, rule.requestHeaders) }
+          : { requestId });
+        break;
+
+      default:
+        await chrome.debugger.sendCommand(debuggee, 'Fetch.continueRequest', { requestId });
+    }
+  } catch (error) {
+    // The request may already be gone (tab navigated or closed while paused)
+    console.warn(`Failed to resolve intercepted request ${request.url}:`, error.message);
+  }
+}
+
+export async function intercept_add(tabState, params) {
+  const { action, delayMs } = params;
+
+  if (action === 'delay' && !delayMs) {
+    return respondWithError(tabState.tabId, 'DELAY_MS_REQUIRED', 'delayMs is required for the delay action');
+  }
+
+  const rule = new InterceptRule(`rule-${tabState.nextInterceptRuleId++}`, params);
+  tabState.addInterceptRule(rule);
+
+  try {
+    await syncInterception(tabState);
+  } catch (error) {
+    tabState.removeInterceptRule(rule.id);
+    return respondWithError(tabState.tabId, 'INTERCEPTION_UNAVAILABLE', error.message);
+  }
+
+  return respondWith(tabState.tabId, {
+    rule: rule.toJSON(),
+    ruleCount: tabState.interceptRules.length
+  });
+}
+
+export async function intercept_list(tabState) {
+  return respondWith(tabState.tabId, {
+    rules: tabState.interceptRules.map(rule => rule.toJSON()),
+    active: tabState.debuggerSession.isDomainEnabled('Fetch')
+  });
+}
+
+export async function intercept_remove(tabState, { ruleId }) {
+  let removed;
+  if (ruleId) {
+    if (!tabState.removeInterceptRule(ruleId)) {
+      return respondWithError(tabState.tabId, 'RULE_NOT_FOUND', `No interception rule with id ${ruleId}`);
+    }
+    removed = [ruleId];
+  } else {
+    removed = tabState.interceptRules.map(rule => rule.id);
+    tabState.interceptRules = [];
+  }
+
+  try {
+    await syncInterception(tabState);
+  } catch (error) {
+    return respondWithError(tabState.tabId, 'INTERCEPTION_UNAVAILABLE', error.message);
+  }
+
+  return respondWith(tabState.tabId, {
+    removed,
+    ruleCount: tabState.interceptRules.length
+  });
+}
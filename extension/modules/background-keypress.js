@@ -1,12 +1,14 @@
 // Import helper functions from background-commands
 import { getFromContentScript, respondWith, respondWithError, attachDebugger } from './background-commands.js';
+import { frameIdOf, runInFrame } from './background-frames.js';
 
 // Additional helper functions
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 // Send keypress event
-export async function keypress({tabId}, params) {
-  const { key, selector, xpath, delay = 50 } = params;
+export async function keypress(tabState, params) {
+  const { tabId } = tabState;
+  const { key, selector, xpath, locator, delay = 50 } = params;
 
   if (!key) {
     return respondWithError(tabId, 'KEY_REQUIRED', 'Key parameter is required');
@@ -16,9 +18,10 @@ export async function keypress({tabId}, params) {
   const keypressDelay = Math.max(0, Math.min(60000, delay));
 
   try {
-    // First, focus the target element if selector/xpath provided
-    if (selector || xpath) {
-      const focusResult = await getFromContentScript(tabId, 'focus', { selector, xpath });
+    // First, focus the target element if selector/xpath/locator provided
+    if (selector || xpath || locator) {
+      // Key events go to whichever frame has focus, so focusing inside the selected frame is enough
+      const focusResult = await runInFrame(tabId, frameIdOf(params), 'focus', { selector, xpath, locator });
       if (focusResult.error) {
         return focusResult;
       }
@@ -27,8 +30,8 @@ export async function keypress({tabId}, params) {
     // Parse key combination to extract key and modifiers
     const keyData = parseKeyCombination(key);
 
-    // Use attachDebugger helper to manage debugger lifecycle
-    return await attachDebugger(tabId, async () => {
+    // Use the tab's debugger session to dispatch key events
+    return await attachDebugger(tabState, async () => {
       // Helper function to send key event
       const sendKeyEvent = async (type, autoRepeat = false, text = null) => {
         const eventData = {
@@ -84,7 +87,7 @@ export async function keypress({tabId}, params) {
 
       // Keys that typically cause scrolling need extra time to settle
       const scrollKeys = ['PageUp', 'PageDown', 'Space', ' ', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
-      if (!selector && !xpath && scrollKeys.includes(keyData.key)) {
+      if (!selector && !xpath && !locator && scrollKeys.includes(keyData.key)) {
         // Additional delay for scroll to complete when key is pressed globally (not on a specific element)
         await wait(100);
       }
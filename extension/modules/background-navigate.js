@@ -1,5 +1,6 @@
 // Import helper functions from background-commands
 import { getFromContentScript, respondWith, respondWithError } from './background-commands.js';
+import { ensureRecording } from './background-network.js';
 
 // Check if URL is allowed for extension
 const isAllowedUrl = (url) => !!url && (url.startsWith('http://') || url.startsWith('https://'));
@@ -24,31 +25,214 @@ async function waitForContentScriptReady(tabId, timeout = 5000) {
   });
 }
 
-// Execute navigation and wait for content script
-async function executeNavigation(tabId, navigationFn) {
+const DEFAULT_NAVIGATION_TIMEOUT = 30000;
+const WAIT_POLL_INTERVAL = 100;
+// networkidle: no requests in flight for this long
+const NETWORK_IDLE_MS = 500;
+// Requests that stay open by design and would never let the page go idle
+const LONG_LIVED_RESOURCE_TYPES = new Set(['eventsource', 'websocket']);
+
+// Conditions that need a new document or URL before they mean anything
+export const LOAD_STATES = new Set(['domcontentloaded', 'load', 'networkidle']);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function navigationTimeout(message) {
+  return Object.assign(new Error(message), { code: 'NAVIGATION_TIMEOUT' });
+}
+
+// "*" globs, /regex/ or a plain substring
+function urlMatches(url, pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]).test(url);
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`).test(url);
+  }
+  return url.includes(pattern);
+}
+
+/**
+ * Resolve with the URL of the next main-frame navigation in the tab, including
+ * history API and fragment changes. Start it before triggering the navigation.
+ */
+export function waitForNavigationCommit(tabId, timeout = DEFAULT_NAVIGATION_TIMEOUT) {
+  const events = [
+    chrome.webNavigation.onCommitted,
+    chrome.webNavigation.onHistoryStateUpdated,
+    chrome.webNavigation.onReferenceFragmentUpdated
+  ];
+  let listener;
+  let timer;
+  const promise = new Promise((resolve, reject) => {
+    listener = (details) => {
+      if (details.tabId === tabId && details.frameId === 0) {
+        cleanup();
+        resolve(details.url);
+      }
+    };
+    timer = setTimeout(() => {
+      cleanup();
+      reject(navigationTimeout(`No navigation started within ${timeout}ms`));
+    }, timeout);
+    events.forEach(event => event.addListener(listener));
+  });
+  const cleanup = () => {
+    clearTimeout(timer);
+    events.forEach(event => event.removeListener(listener));
+  };
+  // Let callers give up on it without leaving listeners behind
+  promise.cancel = cleanup;
+  return promise;
+}
+
+/**
+ * Wait until the tab's page reaches waitUntil:
+ * - domcontentloaded / load: the document's readyState
+ * - networkidle: loaded, then no requests started since `since` in flight for NETWORK_IDLE_MS
+ * - urlMatches: the tab URL matches waitForUrl
+ * - selector: an element matches waitForSelector
+ */
+export async function waitForPageState(tabState, { waitUntil, waitForUrl, waitForSelector }, deadline, since) {
+  const { tabId } = tabState;
+  const timeLeft = () => deadline - Date.now();
+
+  if (waitUntil === 'urlMatches') {
+    let url;
+    while (timeLeft() > 0) {
+      url = (await chrome.tabs.get(tabId)).url;
+      if (urlMatches(url, waitForUrl)) return;
+      await wait(WAIT_POLL_INTERVAL);
+    }
+    throw navigationTimeout(`Tab URL ${url} did not match ${waitForUrl} in time`);
+  }
+
+  // The rest are answered by the page; before its new document is ready it may not answer at all
+  const targetState = waitUntil === 'domcontentloaded' ? ['interactive', 'complete'] : ['complete'];
+  let state;
+  while (timeLeft() > 0) {
+    state = await getFromContentScript(tabId, '_documentState', { selector: waitForSelector });
+    if (state?.error?.code === 'INVALID_SELECTOR') {
+      throw Object.assign(new Error(state.error.message), { code: 'INVALID_SELECTOR' });
+    }
+    const ready = waitUntil === 'selector'
+      ? state?.selectorFound
+      : state && !state.error && targetState.includes(state.readyState);
+    if (ready) break;
+    await wait(WAIT_POLL_INTERVAL);
+  }
+  if (timeLeft() <= 0) {
+    throw navigationTimeout(waitUntil === 'selector'
+      ? `No element matched ${waitForSelector} in time`
+      : `The page did not reach ${waitUntil} in time (readyState: ${state?.readyState || 'unknown'})`);
+  }
+
+  if (waitUntil === 'networkidle') {
+    await waitForNetworkIdle(tabState, deadline, since);
+  }
+}
+
+/**
+ * Start the Network recorder before the navigation when waiting for networkidle,
+ * so the requests the page makes while loading are seen. Returns an error
+ * response if the recorder cannot run.
+ */
+export async function prepareNetworkIdle(tabState, waitUntil) {
+  return waitUntil === 'networkidle' ? ensureRecording(tabState) : null;
+}
+
+async function waitForNetworkIdle(tabState, deadline, since) {
+  // Normally already running; restarts it if the debugger was detached meanwhile
+  const recorderError = await ensureRecording(tabState);
+  if (recorderError) {
+    throw Object.assign(new Error(recorderError.error.message), { code: recorderError.error.code });
+  }
+  let idleSince = Date.now();
+  while (Date.now() - idleSince < NETWORK_IDLE_MS) {
+    if (Date.now() >= deadline) {
+      const pending = tabState.getPendingNetworkRequests(since)
+        .filter(entry => !LONG_LIVED_RESOURCE_TYPES.has(entry.resourceType));
+      throw navigationTimeout(`The network did not go idle in time, ${pending.length} requests still in flight: ${pending.slice(0, 3).map(entry => entry.url).join(', ')}`);
+    }
+    const busy = tabState.getPendingNetworkRequests(since)
+      .some(entry => !LONG_LIVED_RESOURCE_TYPES.has(entry.resourceType));
+    if (busy) idleSince = Date.now();
+    await wait(WAIT_POLL_INTERVAL);
+  }
+}
+
+export function validateWaitOptions({ waitUntil, waitForUrl, waitForSelector }) {
+  if (waitUntil === 'urlMatches' && !waitForUrl) return 'waitUntil "urlMatches" needs waitForUrl';
+  if (waitUntil === 'selector' && !waitForSelector) return 'waitUntil "selector" needs waitForSelector';
+  return null;
+}
+
+// Execute navigation, wait for content script and then for the page state asked for
+async function executeNavigation(tabState, params, navigationFn) {
+  const { tabId } = tabState;
+  const { waitUntil, timeout = DEFAULT_NAVIGATION_TIMEOUT } = params;
+  const invalid = validateWaitOptions(params);
+  if (invalid) return respondWithError(tabId, 'INVALID_WAIT_CONDITION', invalid);
+  const recorderError = await prepareNetworkIdle(tabState, waitUntil);
+  if (recorderError) return recorderError;
+
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + timeout;
   try {
     await navigationFn();
     await waitForContentScriptReady(tabId);
-    return await respondWith(tabId, {});
+    if (waitUntil) {
+      await waitForPageState(tabState, params, deadline, startedAt);
+    }
+    return await respondWith(tabId, waitUntil ? { waitUntil } : {});
   } catch (error) {
-    return respondWithError(tabId, 'NAVIGATION_FAILED', error.message);
+    return respondWithError(tabId, error.code || 'NAVIGATION_FAILED', error.message);
   }
 }
 
 // Navigation commands
-export async function navigate({tabId}, { url }) {
+export async function navigate(tabState, params) {
+  const { tabId } = tabState;
+  const { url } = params;
   if (!isAllowedUrl(url)) {
     return respondWithError(tabId, 'NAVIGATION_BLOCKED', `Navigation to ${url} is not allowed`);
   }
-  return executeNavigation(tabId, async () => getFromContentScript(tabId, '_navigate', { url }));
+  return executeNavigation(tabState, params, async () => getFromContentScript(tabId, '_navigate', { url }));
+}
+
+export async function back(tabState, params) {
+  return executeNavigation(tabState, params, () => chrome.tabs.goBack(tabState.tabId));
 }
 
-export async function back({tabId}) {
-  return executeNavigation(tabId, () => chrome.tabs.goBack(tabId));
+export async function forward(tabState, params) {
+  return executeNavigation(tabState, params, () => chrome.tabs.goForward(tabState.tabId));
 }
 
-export async function forward({tabId}) {
-  return executeNavigation(tabId, () => chrome.tabs.goForward(tabId));
+/**
+ * Wait for a navigation the agent did not start itself, e.g. a form submitted
+ * with Enter or a client-side redirect. Load states wait for the next navigation
+ * to begin; urlMatches and selector are met as soon as they hold.
+ */
+export async function wait_for_navigation(tabState, params) {
+  const { tabId } = tabState;
+  const { waitUntil = 'load', timeout = DEFAULT_NAVIGATION_TIMEOUT } = params;
+  const invalid = validateWaitOptions({ ...params, waitUntil });
+  if (invalid) return respondWithError(tabId, 'INVALID_WAIT_CONDITION', invalid);
+  const recorderError = await prepareNetworkIdle(tabState, waitUntil);
+  if (recorderError) return recorderError;
+
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + timeout;
+  try {
+    let url;
+    if (LOAD_STATES.has(waitUntil)) {
+      url = await waitForNavigationCommit(tabId, timeout);
+    }
+    await waitForPageState(tabState, { ...params, waitUntil }, deadline, startedAt);
+    return await respondWith(tabId, { navigated: !!url, waitUntil, waitTime: Date.now() - startedAt.getTime() });
+  } catch (error) {
+    return respondWithError(tabId, error.code || 'NAVIGATION_FAILED', error.message);
+  }
 }
 
 export async function close({tabId}) {
@@ -60,8 +244,8 @@ export async function close({tabId}) {
   }
 }
 
-export async function reload({tabId}) {
-  return executeNavigation(tabId, () => chrome.tabs.reload(tabId));
+export async function reload(tabState, params) {
+  return executeNavigation(tabState, params, () => chrome.tabs.reload(tabState.tabId));
 }
 
 export async function show({tabId}) {
@@ -0,0 +1,166 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+import { NetworkRequestEntry } from './models.js';
+
+// Resource types returned when the caller does not ask for specific ones
+const DEFAULT_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+
+// Response bodies larger than this are truncated in network_request_detail
+const DEFAULT_MAX_BODY_LENGTH = 100000;
+
+/**
+ * Start the debugger Network-domain recorder for a tab.
+ * Recording runs on the tab's debugger session until the tab disconnects.
+ */
+export async function startNetworkRecording(tabState) {
+  await tabState.debuggerSession.enableDomain('Network', { maxPostDataSize: 65536 });
+  tabState.networkRecordingSince = new Date();
+}
+
+/**
+ * Mark the recorder as interrupted after Chrome detached the debugger.
+ * The session re-enables Network on re-attach; the next network_requests call
+ * resets recordingSince so callers can see the gap.
+ */
+export function handleNetworkRecorderDetached(tabState) {
+  tabState.networkRecordingSince = null;
+}
+
+/**
+ * Apply a debugger Network-domain event to the tab's request log
+ */
+export function handleNetworkEvent(tabState, method, params) {
+  switch (method) {
+    case 'Network.requestWillBeSent': {
+      const existing = tabState.getNetworkRequest(params.requestId);
+      if (existing && params.redirectResponse) {
+        // Same requestId is reused for each redirect hop
+        existing.redirectChain = existing.redirectChain || [];
+        existing.redirectChain.push({
+          url: existing.url,
+          status: params.redirectResponse.status
+        });
+        existing.url = params.request.url;
+        existing.method = params.request.method;
+        existing.requestHeaders = params.request.headers || {};
+        return;
+      }
+      tabState.addNetworkRequest(new NetworkRequestEntry(
+        params.requestId,
+        params.request,
+        params.type,
+        params.wallTime,
+        params.timestamp
+      ));
+      break;
+    }
+
+    case 'Network.responseReceived': {
+      const entry = tabState.getNetworkRequest(params.requestId);
+      if (!entry) return;
+      const { response } = params;
+      entry.status = response.status;
+      entry.statusText = response.statusText;
+      entry.responseHeaders = response.headers || {};
+      entry.mimeType = response.mimeType;
+      entry.fromCache = !!(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+      entry.remoteAddress = response.remoteIPAddress
+        ? `${response.remoteIPAddress}:${response.remotePort}`
+        : undefined;
+      entry.timing.responseMs = Math.round((params.timestamp - entry.startTime) * 1000);
+      if (params.type) {
+        entry.resourceType = params.type.toLowerCase();
+      }
+      break;
+    }
+
+    case 'Network.loadingFinished': {
+      const entry = tabState.getNetworkRequest(params.requestId);
+      if (!entry) return;
+      entry.finished = true;
+      entry.encodedDataLength = params.encodedDataLength;
+      entry.timing.durationMs = Math.round((params.timestamp - entry.startTime) * 1000);
+      break;
+    }
+
+    case 'Network.loadingFailed': {
+      const entry = tabState.getNetworkRequest(params.requestId);
+      if (!entry) return;
+      entry.finished = true;
+      entry.failed = true;
+      entry.errorText = params.errorText;
+      if (params.canceled) entry.canceled = true;
+      if (params.blockedReason) entry.blockedReason = params.blockedReason;
+      entry.timing.durationMs = Math.round((params.timestamp - entry.startTime) * 1000);
+      break;
+    }
+  }
+}
+
+export async function ensureRecording(tabState) {
+  if (tabState.networkRecordingSince && tabState.debuggerSession.isDomainEnabled('Network')) return null;
+  try {
+    await startNetworkRecording(tabState);
+    return null;
+  } catch (error) {
+    return respondWithError(tabState.tabId, 'NETWORK_RECORDER_UNAVAILABLE', error.message);
+  }
+}
+
+export async function getNetworkRequests(tabState, { before, limit = 100, resourceType, urlPattern, failedOnly = false }) {
+  const recorderError = await ensureRecording(tabState);
+  if (recorderError) return recorderError;
+
+  try {
+    const filters = {
+      resourceTypes: resourceType === 'all' ? null : resourceType ? [resourceType] : DEFAULT_RESOURCE_TYPES,
+      urlPattern,
+      failedOnly: String(failedOnly) === 'true'
+    };
+
+    const requests = tabState.getNetworkRequests(limit, filters, before);
+
+    // Check if there are more requests available
+    const totalFilteredCount = tabState.getNetworkRequests(null, filters, before).length;
+    const hasMore = totalFilteredCount > limit;
+
+    return respondWith(tabState.tabId, {
+      requests: requests.map(entry => entry.toSummary()),
+      hasMore: hasMore,
+      totalCount: tabState.getNetworkRequestCount(),
+      recordingSince: tabState.networkRecordingSince
+    });
+  } catch (error) {
+    return respondWithError(tabState.tabId, 'NETWORK_LOG_ERROR', error.message);
+  }
+}
+
+export async function getNetworkRequestDetail(tabState, { requestId, includeBody = false, maxBodyLength = DEFAULT_MAX_BODY_LENGTH }) {
+  const entry = tabState.getNetworkRequest(requestId);
+  if (!entry) {
+    return respondWithError(tabState.tabId, 'REQUEST_NOT_FOUND', `No recorded network request with id ${requestId}`);
+  }
+
+  const { startTime, ...detail } = entry;
+
+  if (String(includeBody) === 'true') {
+    if (!entry.finished || entry.failed) {
+      detail.bodyError = entry.failed ? 'Request failed, no response body' : 'Response has not finished loading yet';
+    } else if (!tabState.debuggerSession.isDomainEnabled('Network')) {
+      detail.bodyError = 'Network recorder is no longer attached, response body unavailable';
+    } else {
+      try {
+        const { body, base64Encoded } = await tabState.debuggerSession.send('Network.getResponseBody', { requestId });
+        detail.bodyLength = body.length;
+        detail.base64Encoded = base64Encoded;
+        detail.body = body.length > maxBodyLength ? body.slice(0, maxBodyLength) : body;
+        if (body.length > maxBodyLength) detail.bodyTruncated = true;
+      } catch (error) {
+        // Chrome evicts bodies from its buffer, or never stored them (e.g. redirects)
+        detail.bodyError = error.message;
+      }
+    }
+  }
+
+  return respondWith(tabState.tabId, { request: detail });
+}
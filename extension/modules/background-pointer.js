@@ -0,0 +1,296 @@
+// Import helper functions from background-commands
+import { getFromContentScript, respondWith, respondWithError, attachDebugger, getElement } from './background-commands.js';
+import { frameIdOf, getFrameOffset, runInFrame } from './background-frames.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Time between the intermediate moves of a drag, swipe or pinch (~60fps)
+const STEP_INTERVAL = 16;
+
+// Bits of the `buttons` field of mouse events while a button is held
+const BUTTON_MASKS = { left: 1, right: 2, middle: 4 };
+
+/**
+ * Resolve where a gesture happens, in top-level viewport coordinates: the
+ * center of an element, or an x/y point in the selected frame. prefix picks
+ * the target* parameters of drag. Returns { point } or { error }.
+ */
+async function resolvePoint(tabState, params, prefix = '') {
+  const { tabId } = tabState;
+  const name = key => prefix ? prefix + key[0].toUpperCase() + key.slice(1) : key;
+  const frameId = frameIdOf(params);
+  let selector = params[name('selector')];
+  const xpath = params[name('xpath')];
+  const locator = params[name('locator')];
+  const ref = prefix ? params[name('ref')] : undefined; // The source ref was already resolved with the command
+  const x = params[name('x')];
+  const y = params[name('y')];
+
+  if (ref) {
+    const resolved = await getFromContentScript(tabId, '_resolveRef', { ref }, frameId);
+    if (resolved?.error) return { error: resolved.error };
+    selector = resolved.selector;
+  }
+
+  const offset = frameId ? await getFrameOffset(tabId, frameId) : { x: 0, y: 0 };
+  if (selector || xpath || locator) {
+    const elementResult = await getElement(tabId, { selector, xpath, locator }, true, frameId);
+    if (elementResult.error) return { error: elementResult.error };
+    const { bounds } = elementResult.element;
+    return {
+      point: { x: offset.x + bounds.x + bounds.width / 2, y: offset.y + bounds.y + bounds.height / 2 },
+      selector: elementResult.element.selector
+    };
+  }
+  if (typeof x === 'number' && typeof y === 'number') {
+    return { point: { x: offset.x + x, y: offset.y + y } };
+  }
+  return { point: null };
+}
+
+function pointerError(tabState, code, message, params) {
+  return respondWithError(tabState.tabId, code, message, params.selector, params.xpath);
+}
+
+// Mouse events for the tab, with the held button's mask on every move
+function mouse(tabState) {
+  const dispatch = (event) => tabState.debuggerSession.send('Input.dispatchMouseEvent', event);
+  return {
+    move: async ({ x, y }) => {
+      const button = tabState.pressedMouseButton;
+      await dispatch({ type: 'mouseMoved', x, y, button: button || 'none', buttons: BUTTON_MASKS[button] || 0 });
+      tabState.setMousePosition({ x, y });
+    },
+    down: ({ x, y }, button = 'left', clickCount = 1) => {
+      tabState.pressedMouseButton = button;
+      return dispatch({ type: 'mousePressed', x, y, button, buttons: BUTTON_MASKS[button], clickCount });
+    },
+    up: ({ x, y }, button = 'left', clickCount = 1) => {
+      tabState.pressedMouseButton = null;
+      return dispatch({ type: 'mouseReleased', x, y, button, buttons: 0, clickCount });
+    },
+    wheel: ({ x, y }, deltaX, deltaY) => dispatch({ type: 'mouseWheel', x, y, deltaX, deltaY })
+  };
+}
+
+// Move the mouse and the visible cursor from one point to another in even steps
+async function glide(tabState, from, to, steps) {
+  const { move } = mouse(tabState);
+  for (let i = 1; i <= steps; i++) {
+    const point = {
+      x: from.x + (to.x - from.x) * i / steps,
+      y: from.y + (to.y - from.y) * i / steps
+    };
+    await getFromContentScript(tabState.tabId, '_moveMouseSVG', point);
+    await move(point);
+    await wait(STEP_INTERVAL);
+  }
+}
+
+async function showCursorAt(tabState, point) {
+  await getFromContentScript(tabState.tabId, '_cursor', { show: true });
+  await getFromContentScript(tabState.tabId, '_moveMouseSVG', point);
+}
+
+function hideCursorLater(tabState) {
+  setTimeout(() => getFromContentScript(tabState.tabId, '_cursor', { show: false }), 1000);
+}
+
+/**
+ * Touch points only reach the page as touch events while touch is emulated.
+ * Turn it on for the gesture unless emulate already did, and back off afterwards.
+ */
+async function withTouch(tabState, gesture) {
+  const emulated = tabState.emulation.touch === true;
+  if (!emulated) {
+    await tabState.debuggerSession.send('Emulation.setTouchEmulationEnabled', { enabled: true, maxTouchPoints: 5 });
+  }
+  try {
+    return await gesture((type, touchPoints) =>
+      tabState.debuggerSession.send('Input.dispatchTouchEvent', { type, touchPoints }));
+  } finally {
+    if (!emulated) {
+      const { touch } = tabState.emulation;
+      await tabState.debuggerSession.send('Emulation.setTouchEmulationEnabled',
+        { enabled: !!touch, maxTouchPoints: touch ? 5 : 1 }).catch(() => { });
+    }
+  }
+}
+
+export async function drag(tabState, params) {
+  const { tabId } = tabState;
+  const { selector, xpath, locator, mode = 'auto', steps = 10, holdMs = 50 } = params;
+  const frameId = frameIdOf(params);
+
+  const source = await resolvePoint(tabState, params);
+  if (source.error) return respondWith(tabId, { error: source.error }, selector, xpath);
+  if (!source.point) {
+    return pointerError(tabState, 'SOURCE_REQUIRED', 'Give the drag source as selector, xpath, locator, ref or x and y', params);
+  }
+
+  const hasTargetElement = params.targetSelector || params.targetXpath || params.targetLocator || params.targetRef;
+  const hasSourceElement = selector || xpath || locator;
+
+  // HTML5 drag and drop ignores synthetic mouse moves, so play its events in the page instead
+  if (mode !== 'mouse' && hasSourceElement) {
+    let targetSelector = params.targetSelector;
+    if (params.targetRef) {
+      const resolved = await getFromContentScript(tabId, '_resolveRef', { ref: params.targetRef }, frameId);
+      if (resolved?.error) return respondWith(tabId, { error: resolved.error }, selector, xpath);
+      targetSelector = resolved.selector;
+    }
+    const html5 = await runInFrame(tabId, frameId, '_html5Drag', {
+      selector, xpath, locator,
+      targetSelector,
+      targetXpath: params.targetXpath,
+      targetLocator: params.targetLocator,
+      targetX: params.targetX,
+      targetY: params.targetY,
+      onlyIfDraggable: mode === 'auto'
+    });
+    if (!html5.skipped) return html5;
+  } else if (mode === 'html5') {
+    return pointerError(tabState, 'SOURCE_REQUIRED', 'HTML5 drags need a source element, not a point', params);
+  }
+
+  const target = await resolvePoint(tabState, params, 'target');
+  if (target.error) return respondWith(tabId, { error: target.error }, selector, xpath);
+  if (!target.point) {
+    return pointerError(tabState, 'TARGET_REQUIRED', 'Give the drop target as targetSelector, targetXpath, targetLocator, targetRef or targetX and targetY', params);
+  }
+
+  try {
+    await showCursorAt(tabState, tabState.mousePosition);
+    await attachDebugger(tabState, async () => {
+      const { down, up } = mouse(tabState);
+      await glide(tabState, tabState.mousePosition, source.point, 5);
+      await down(source.point);
+      await wait(holdMs);
+      await glide(tabState, source.point, target.point, Math.max(1, steps));
+      await up(target.point);
+    });
+    hideCursorLater(tabState);
+
+    return respondWith(tabId, {
+      dragged: true,
+      mode: 'mouse',
+      from: source.point,
+      to: target.point,
+      target: hasTargetElement ? target.selector : undefined
+    }, selector, xpath);
+  } catch (error) {
+    if (tabState.pressedMouseButton) {
+      await mouse(tabState).up(target.point).catch(() => { });
+    }
+    await getFromContentScript(tabId, '_cursor', { show: false });
+    return pointerError(tabState, 'DRAG_FAILED', error.message, params);
+  }
+}
+
+export async function pointer(tabState, params) {
+  const { tabId } = tabState;
+  const {
+    action, selector, xpath, button = 'left', holdMs = 800,
+    deltaX = 0, deltaY = 0, scale = 2, steps = 10
+  } = params;
+
+  const resolved = await resolvePoint(tabState, params);
+  if (resolved.error) return respondWith(tabId, { error: resolved.error }, selector, xpath);
+
+  // Without a target, button releases and wheels happen where the mouse is
+  const point = resolved.point || (['up', 'wheel', 'move'].includes(action) ? tabState.mousePosition : null);
+  if (!point) {
+    return pointerError(tabState, 'TARGET_REQUIRED', `${action} needs a selector, xpath, locator, ref or x and y`, params);
+  }
+
+  try {
+    const result = await attachDebugger(tabState, async () => {
+      const { down, up, wheel } = mouse(tabState);
+
+      switch (action) {
+        case 'move':
+          await showCursorAt(tabState, tabState.mousePosition);
+          await glide(tabState, tabState.mousePosition, point, Math.max(1, steps));
+          return { moved: true };
+
+        case 'down':
+          await showCursorAt(tabState, tabState.mousePosition);
+          await glide(tabState, tabState.mousePosition, point, 5);
+          await down(point, button);
+          return { pressed: button };
+
+        case 'up':
+          await up(point, tabState.pressedMouseButton || button);
+          return { released: true };
+
+        case 'double-click':
+          await showCursorAt(tabState, tabState.mousePosition);
+          await glide(tabState, tabState.mousePosition, point, 5);
+          await down(point, 'left', 1);
+          await up(point, 'left', 1);
+          await down(point, 'left', 2);
+          await up(point, 'left', 2);
+          return { doubleClicked: true };
+
+        case 'right-click':
+          await showCursorAt(tabState, tabState.mousePosition);
+          await glide(tabState, tabState.mousePosition, point, 5);
+          await down(point, 'right');
+          await up(point, 'right');
+          return { rightClicked: true };
+
+        case 'long-press':
+          await showCursorAt(tabState, tabState.mousePosition);
+          await glide(tabState, tabState.mousePosition, point, 5);
+          await down(point, button);
+          await wait(holdMs);
+          await up(point, button);
+          return { pressed: button, heldMs: holdMs };
+
+        case 'wheel':
+          await mouse(tabState).move(point);
+          await wheel(point, deltaX, deltaY);
+          return { scrolled: { deltaX, deltaY } };
+
+        case 'swipe':
+          return await withTouch(tabState, async (touch) => {
+            const count = Math.max(1, steps);
+            await touch('touchStart', [point]);
+            for (let i = 1; i <= count; i++) {
+              await wait(STEP_INTERVAL);
+              await touch('touchMove', [{ x: point.x + deltaX * i / count, y: point.y + deltaY * i / count }]);
+            }
+            await touch('touchEnd', []);
+            return { swiped: { deltaX, deltaY } };
+          });
+
+        case 'pinch':
+          // Two fingers on either side of the point, moving apart (scale > 1) or together
+          return await withTouch(tabState, async (touch) => {
+            const count = Math.max(1, steps);
+            const startGap = 50;
+            const fingers = gap => [
+              { x: point.x - gap / 2, y: point.y, id: 0 },
+              { x: point.x + gap / 2, y: point.y, id: 1 }
+            ];
+            await touch('touchStart', fingers(startGap));
+            for (let i = 1; i <= count; i++) {
+              await wait(STEP_INTERVAL);
+              await touch('touchMove', fingers(startGap + (startGap * scale - startGap) * i / count));
+            }
+            await touch('touchEnd', []);
+            return { pinched: scale };
+          });
+
+        default:
+          return { error: { code: 'INVALID_ACTION', message: `Unknown pointer action: ${action}` } };
+      }
+    });
+
+    if (!['up', 'wheel', 'swipe', 'pinch'].includes(action)) hideCursorLater(tabState);
+    return respondWith(tabId, { ...result, x: point.x, y: point.y }, selector, xpath);
+  } catch (error) {
+    await getFromContentScript(tabId, '_cursor', { show: false });
+    return pointerError(tabState, 'POINTER_FAILED', error.message, params);
+  }
+}
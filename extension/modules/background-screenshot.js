@@ -1,5 +1,6 @@
 // Import helper functions from background-commands
 import { getElement, getTabInfo, respondWithError, attachDebugger } from './background-commands.js';
+import { frameIdOf, getFrameOffset } from './background-frames.js';
 
 /**
  * Helper function to wait for a specified duration
@@ -11,13 +12,14 @@ function sleep(ms) {
 /**
  * Capture a full-page scrolling screenshot by progressively scrolling and stitching
  */
-export async function scrolling_screenshot({ tabId }, {
+export async function scrolling_screenshot(tabState, {
   maxScrolls = 10,
   scrollDelay = 1000,
   scale = 0.3,
   quality = 0.85,
   format = 'webp'
 }) {
+  const { tabId } = tabState;
   const tabInfo = await getTabInfo(tabId);
   if (tabInfo.error) return tabInfo;
 
@@ -28,7 +30,7 @@ export async function scrolling_screenshot({ tabId }, {
   await chrome.tabs.sendMessage(tabId, {
     command: 'scroll',
     params: { y: 0, behavior: 'instant' }
-  });
+  }, { frameId: 0 });
 
   // Wait for scroll to complete
   await sleep(300);
@@ -38,7 +40,7 @@ export async function scrolling_screenshot({ tabId }, {
   let scrollCount = 0;
   let previousHeight = 0;
 
-  return attachDebugger(tabId, async () => {
+  return attachDebugger(tabState, async () => {
     while (scrollCount < maxScrolls) {
       // Get current document height
       const updatedTabInfo = await getTabInfo(tabId);
@@ -96,7 +98,7 @@ export async function scrolling_screenshot({ tabId }, {
       await chrome.tabs.sendMessage(tabId, {
         command: 'scroll',
         params: { y: currentScroll, behavior: 'instant' }
-      });
+      }, { frameId: 0 });
 
       // Wait for content to load
       await sleep(scrollDelay);
@@ -154,7 +156,7 @@ export async function scrolling_screenshot({ tabId }, {
           })()
         `
       }
-    });
+    }, { frameId: 0 });
 
     if (stitchResult.error) {
       return respondWithError(tabId, 'STITCH_ERROR', stitchResult.error.message);
@@ -173,10 +175,13 @@ export async function scrolling_screenshot({ tabId }, {
   });
 }
 
-export async function screenshot({ tabId }, { scale = 0.5, quality = 0.5, format = 'webp', selector, xpath }) {
+export async function screenshot(tabState, params) {
+  const { scale = 0.5, quality = 0.5, format = 'webp', selector, xpath, locator } = params;
+  const { tabId } = tabState;
+  const frameId = frameIdOf(params);
   let elementResult;
-  if (selector || xpath) {
-    elementResult = await getElement(tabId, selector, xpath, true);
+  if (selector || xpath || locator) {
+    elementResult = await getElement(tabId, { selector, xpath, locator }, true, frameId);
     if (elementResult.error) return elementResult;
   }
   else {
@@ -193,9 +198,21 @@ export async function screenshot({ tabId }, { scale = 0.5, quality = 0.5, format
 
   const clip = { ...elementResult.element.bounds };
 
+  // Elements inside a frame are positioned relative to it; move them into the top-level viewport
+  if (frameId && (selector || xpath || locator)) {
+    try {
+      const offset = await getFrameOffset(tabId, frameId);
+      clip.x += offset.x;
+      clip.y += offset.y;
+    } catch (error) {
+      return respondWithError(tabId, 'FRAME_DETACHED', error.message, selector, xpath);
+    }
+  }
+
   // For fixed positioned elements, we need viewport-relative coordinates
-  // For non-fixed elements, we need document-relative coordinates
-  if (elementResult.element.position !== 'fixed') {
+  // For non-fixed elements, we need document-relative coordinates.
+  // A fixed element inside a frame still scrolls with the frame.
+  if (elementResult.element.position !== 'fixed' || frameId) {
     // Add scroll position to convert from viewport to document coordinates
     clip.x += elementResult.scrollPosition.x;
     clip.y += elementResult.scrollPosition.y;
@@ -205,7 +222,7 @@ export async function screenshot({ tabId }, { scale = 0.5, quality = 0.5, format
     clip.scale = scale;
   }
 
-  return attachDebugger(tabId, async () => {
+  return attachDebugger(tabState, async () => {
     const screenshot = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
       format,
       quality: Math.round(quality * 100), // Chrome needs an integer percentage,
@@ -0,0 +1,51 @@
+// Import helper functions from background-commands
+import { respondWith, respondWithError } from './background-commands.js';
+import { frameIdOf, runInFrame } from './background-frames.js';
+
+/**
+ * Hand server-local files to a file input through the debugger, the way the
+ * OS file picker would. Only possible for inputs in the top document that a
+ * plain CSS selector reaches, and only when the browser can read the paths
+ * (it runs on the server's machine). Resolves to false when it did not apply.
+ */
+async function setFileInputPaths(tabState, inputSelector, paths) {
+  if (inputSelector.includes('>>>')) return false;
+  try {
+    const { root } = await tabState.debuggerSession.send('DOM.getDocument', { depth: 0 });
+    const { nodeId } = await tabState.debuggerSession.send('DOM.querySelector', { nodeId: root.nodeId, selector: inputSelector });
+    if (!nodeId) return false;
+    await tabState.debuggerSession.send('DOM.setFileInputFiles', { nodeId, files: paths });
+    return true;
+  } catch (error) {
+    console.warn(`DOM.setFileInputFiles failed on tab ${tabState.tabId}, using DataTransfer:`, error.message);
+    return false;
+  }
+}
+
+export async function upload_file(tabState, params) {
+  const { tabId } = tabState;
+  const { selector, xpath, locator, files = [] } = params;
+  const frameId = frameIdOf(params);
+
+  if (files.length === 0) {
+    return respondWithError(tabId, 'INVALID_UPLOAD', 'No files to upload', selector, xpath);
+  }
+
+  const target = await runInFrame(tabId, frameId, '_fileTarget', { selector, xpath, locator });
+  if (target.error) return target;
+  if (files.length > 1 && !target.multiple) {
+    return respondWithError(tabId, 'INVALID_ELEMENT', 'File input only accepts one file', selector, xpath);
+  }
+
+  const paths = files.map(file => file.path);
+  if (target.kind === 'input' && frameId === 0 && paths.every(Boolean) &&
+      await setFileInputPaths(tabState, target.input, paths)) {
+    return respondWith(tabId, {
+      uploaded: true,
+      method: 'setFileInputFiles',
+      files: files.map(({ name, mimeType, size }) => ({ name, mimeType, size }))
+    }, selector, xpath);
+  }
+
+  return await runInFrame(tabId, frameId, '_setFiles', { selector, xpath, locator, files });
+}
@@ -0,0 +1,125 @@
+/**
+ * Long-lived chrome.debugger session for one tab.
+ *
+ * The session attaches lazily on the first command that needs CDP and stays
+ * attached until the tab disconnects, so the "is being debugged" infobar is
+ * shown once instead of on every command. If Chrome detaches the session (the
+ * user dismissed the infobar, or DevTools took over), the next command
+ * re-attaches, re-enables every domain that was enabled before and re-sends
+ * every override (e.g. device emulation), which Chrome drops on detach.
+ */
+export class DebuggerSession {
+  constructor(tabId) {
+    this.tabId = tabId;
+    this.attached = false;
+    this.attachedAt = null;
+    this.detachReason = null; // Reason from chrome.debugger.onDetach, if Chrome ended the session
+    this.enabledDomains = new Map(); // 'Network' -> enable params, restored after re-attach
+    this.overrides = new Map(); // 'Emulation.setTimezoneOverride' -> params, re-sent after re-attach
+    this._attaching = null;
+  }
+
+  get target() {
+    return { tabId: this.tabId };
+  }
+
+  // Attach if needed. Concurrent callers share one attach.
+  async ensureAttached() {
+    if (this.attached) return;
+    if (!this._attaching) {
+      this._attaching = this._attach().finally(() => {
+        this._attaching = null;
+      });
+    }
+    await this._attaching;
+  }
+
+  async _attach() {
+    try {
+      await chrome.debugger.attach(this.target, '1.3');
+    } catch (error) {
+      // A session left over from a restarted service worker is still ours; reclaim it
+      if (!/already attached/i.test(error.message)) throw error;
+      await chrome.debugger.detach(this.target).catch(() => { throw error; });
+      await chrome.debugger.attach(this.target, '1.3');
+    }
+
+    this.attached = true;
+    this.attachedAt = new Date();
+    this.detachReason = null;
+
+    await chrome.debugger.sendCommand(this.target, 'Page.enable');
+    for (const [domain, params] of this.enabledDomains) {
+      try {
+        await chrome.debugger.sendCommand(this.target, `${domain}.enable`, params);
+      } catch (error) {
+        console.warn(`Failed to re-enable ${domain} on tab ${this.tabId}:`, error.message);
+        this.enabledDomains.delete(domain);
+      }
+    }
+    for (const [method, params] of this.overrides) {
+      try {
+        await chrome.debugger.sendCommand(this.target, method, params);
+      } catch (error) {
+        console.warn(`Failed to restore ${method} on tab ${this.tabId}:`, error.message);
+        this.overrides.delete(method);
+      }
+    }
+  }
+
+  async send(method, params) {
+    await this.ensureAttached();
+    return chrome.debugger.sendCommand(this.target, method, params);
+  }
+
+  // Enable a CDP domain and remember it so it survives a re-attach.
+  // Calling it again replaces the params (e.g. new Fetch patterns).
+  async enableDomain(domain, params) {
+    await this.send(`${domain}.enable`, params);
+    this.enabledDomains.set(domain, params);
+  }
+
+  async disableDomain(domain) {
+    if (!this.enabledDomains.delete(domain)) return;
+    if (!this.attached) return;
+    try {
+      await chrome.debugger.sendCommand(this.target, `${domain}.disable`);
+    } catch (e) { }
+  }
+
+  // Send an override command and remember it so it survives a re-attach.
+  // Calling it again with the same method replaces the params.
+  async setOverride(method, params) {
+    await this.send(method, params);
+    this.overrides.set(method, params);
+  }
+
+  // Forget an override and undo it with the given command
+  async clearOverride(method, resetMethod, resetParams = {}) {
+    this.overrides.delete(method);
+    if (!this.attached) return;
+    await chrome.debugger.sendCommand(this.target, resetMethod, resetParams);
+  }
+
+  isDomainEnabled(domain) {
+    return this.attached && this.enabledDomains.has(domain);
+  }
+
+  // Called from chrome.debugger.onDetach
+  handleDetach(reason) {
+    this.attached = false;
+    this.attachedAt = null;
+    this.detachReason = reason;
+  }
+
+  async detach() {
+    this.enabledDomains.clear();
+    this.overrides.clear();
+    if (!this.attached) return;
+    this.attached = false;
+    this.attachedAt = null;
+    try {
+      await chrome.debugger.detach(this.target);
+    } catch (e) { }
+  }
+}
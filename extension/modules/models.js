@@ -20,14 +20,155 @@ export class Message {
 
 // Console log entry class
 export class ConsoleLogEntry {
-  constructor(level, args, stackTrace = null) {
+  constructor(level, args, stackTrace = null, { type, source, details } = {}) {
     this.id = crypto.randomUUID();
     this.level = level; // 'log' | 'info' | 'warn' | 'error'
+    // 'console' for console.* calls; 'exception' | 'unhandledrejection' | 'csp' | 'resource' | 'network' for errors the page did not log
+    this.type = type || 'console';
     this.args = args;
     if (stackTrace) {
       this.stackTrace = stackTrace;
     }
+    if (source) {
+      this.source = source; // { url, line, column }
+    }
+    if (details) {
+      this.details = details;
+    }
     this.timestamp = new Date();
   }
 }
 
+
+// Network request entry class (populated from debugger Network domain events)
+export class NetworkRequestEntry {
+  constructor(requestId, request, resourceType, wallTime, monotonicTime) {
+    this.id = requestId;
+    this.url = request.url;
+    this.method = request.method;
+    this.resourceType = (resourceType || 'Other').toLowerCase(); // 'document' | 'xhr' | 'fetch' | ...
+    this.requestHeaders = request.headers || {};
+    if (request.postData) {
+      this.postData = request.postData;
+    }
+    this.status = null;
+    this.statusText = null;
+    this.responseHeaders = null;
+    this.mimeType = null;
+    this.fromCache = false;
+    this.encodedDataLength = null;
+    this.failed = false;
+    this.finished = false;
+    this.timing = { durationMs: null, responseMs: null };
+    this.startTime = monotonicTime; // CDP monotonic seconds, used for timing math
+    this.timestamp = wallTime ? new Date(wallTime * 1000) : new Date();
+  }
+
+  // Summary used by list views (omits headers and post data)
+  toSummary() {
+    return {
+      id: this.id,
+      url: this.url,
+      method: this.method,
+      resourceType: this.resourceType,
+      status: this.status,
+      statusText: this.statusText || undefined,
+      mimeType: this.mimeType || undefined,
+      fromCache: this.fromCache || undefined,
+      size: this.encodedDataLength,
+      durationMs: this.timing.durationMs,
+      finished: this.finished,
+      failed: this.failed || undefined,
+      errorText: this.errorText,
+      redirects: this.redirectChain?.length || undefined,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+// Request interception rule class (applied to debugger Fetch.requestPaused events)
+export class InterceptRule {
+  constructor(id, { urlPattern = '*', method, resourceType, action, delayMs, status, headers, body, contentType, errorReason, requestHeaders, responseHeaders }) {
+    this.id = id;
+    this.urlPattern = urlPattern; // Glob, '*' matches any characters and '?' a single one
+    if (method) this.method = method.toUpperCase();
+    if (resourceType) this.resourceType = resourceType.toLowerCase();
+    this.action = action; // 'block' | 'delay' | 'mock' | 'modify'
+    if (delayMs) this.delayMs = delayMs;
+    if (action === 'mock') {
+      this.status = status || 200;
+      this.headers = headers || {};
+      if (contentType) this.contentType = contentType;
+      this.body = body || '';
+    }
+    if (action === 'block') {
+      this.errorReason = errorReason || 'BlockedByClient';
+    }
+    if (action === 'modify') {
+      if (requestHeaders) this.requestHeaders = requestHeaders;
+      if (responseHeaders) this.responseHeaders = responseHeaders;
+    }
+    this.hitCount = 0;
+    this.createdAt = new Date();
+    this._urlRegex = new RegExp('^' + urlPattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$');
+  }
+
+  matches(url, method, resourceType) {
+    if (this.method && this.method !== method) return false;
+    if (this.resourceType && this.resourceType !== (resourceType || '').toLowerCase()) return false;
+    return this._urlRegex.test(url);
+  }
+
+  toJSON() {
+    const { _urlRegex, ...rule } = this;
+    return rule;
+  }
+}
+
+// Download entry class (populated from chrome.downloads items)
+export class DownloadEntry {
+  constructor(item) {
+    this.id = item.id;
+    this.startTime = new Date(item.startTime);
+    this.update(item);
+  }
+
+  // Take the latest state from a chrome.downloads item
+  update(item) {
+    this.url = item.finalUrl || item.url;
+    this.path = item.filename || null; // Absolute path on the browser's machine, once Chrome has picked it
+    this.mimeType = item.mime || null;
+    this.state = item.state; // 'in_progress' | 'complete' | 'interrupted'
+    this.bytesReceived = item.bytesReceived;
+    this.totalBytes = item.totalBytes > 0 ? item.totalBytes : null;
+    this.fileSize = item.fileSize > 0 ? item.fileSize : null;
+    this.error = item.error || null;
+    // Chrome holds dangerous files until the user keeps them
+    this.danger = ['safe', 'accepted'].includes(item.danger) ? null : item.danger;
+    this.endTime = item.endTime ? new Date(item.endTime) : null;
+  }
+
+  get fileName() {
+    return this.path ? this.path.split(/[\\/]/).pop() : null;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      fileName: this.fileName,
+      path: this.path,
+      mimeType: this.mimeType,
+      state: this.state,
+      size: this.fileSize ?? this.totalBytes,
+      bytesReceived: this.state === 'in_progress' ? this.bytesReceived : undefined,
+      error: this.error || undefined,
+      danger: this.danger || undefined,
+      startTime: this.startTime,
+      endTime: this.endTime || undefined
+    };
+  }
+}
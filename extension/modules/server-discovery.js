@@ -0,0 +1,48 @@
+// Servers run on DEFAULT_PORT unless started with --port; side-by-side
+// instances (e.g. dev and CI) are found by scanning the ports after it
+export const DEFAULT_PORT = 61822;
+export const PORT_SCAN_SIZE = 10;
+
+// A server that does not answer its health check this fast is treated as absent
+const HEALTH_TIMEOUT_MS = 800;
+
+export const serverUrl = (port) => `ws://localhost:${port}`;
+
+// Port picked in the popup, used for every new connection
+export async function getServerPort() {
+  const { serverPort } = await chrome.storage.local.get('serverPort');
+  return serverPort || DEFAULT_PORT;
+}
+
+async function probe(port) {
+  try {
+    const response = await fetch(`http://localhost:${port}/health`, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+    });
+    if (!response.ok) return null;
+    const health = await response.json();
+    if (health.status !== 'ok') return null;
+    return {
+      port,
+      tabs: health.tabs?.total ?? 0,
+      connections: health.connections?.total ?? 0,
+      uptimeMs: health.uptimeMs ?? 0
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look for servers on the scanned port range and the currently selected port
+ * (which may lie outside it). Resolves to the ones that answered, by port.
+ */
+export async function scanServers() {
+  const selected = await getServerPort();
+  const ports = Array.from({ length: PORT_SCAN_SIZE }, (_, i) => DEFAULT_PORT + i);
+  if (!ports.includes(selected)) ports.push(selected);
+
+  const servers = await Promise.all(ports.map(probe));
+  return { selected, servers: servers.filter(Boolean).sort((a, b) => a.port - b.port) };
+}
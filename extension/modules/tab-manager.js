@@ -1,5 +1,31 @@
 import { TabState } from './tab-state.js';
-import { backgroundCommands, getTabInfo, getFallbackTabInfo, detectBrowser } from './background-commands.js';
+import { backgroundCommands, getTabInfo, getFallbackTabInfo, detectBrowser, getFromContentScript, respondWithError } from './background-commands.js';
+import { FRAME_COMMANDS, frameIdOf, runInFrame } from './background-frames.js';
+import { waitForActionable } from './background-actionability.js';
+import { getServerPort, serverUrl } from './server-discovery.js';
+import { startNetworkRecording } from './background-network.js';
+
+// Close code the server uses when it rejects our auth token
+const AUTH_REJECTED_CLOSE_CODE = 4401;
+
+// Highlight color for the element a pending approval would act on
+const APPROVAL_HIGHLIGHT_COLOR = '#fbbc04';
+
+// Command params as the user should see them, without server-internal _fields
+function visibleParams(params) {
+  return Object.fromEntries(Object.entries(params || {}).filter(([key]) => !key.startsWith('_')));
+}
+
+function approvalErrorMessage(command, code, timeoutMs) {
+  switch (code) {
+    case 'APPROVAL_TIMEOUT':
+      return `${command} was not approved within ${Math.round(timeoutMs / 1000)}s`;
+    case 'APPROVAL_CANCELLED':
+      return `${command} was cancelled because the tab disconnected before it was approved`;
+    default:
+      return `${command} was denied by the user`;
+  }
+}
 
 export class TabManager {
   constructor() {
@@ -41,6 +67,7 @@ export class TabManager {
   removeTab(tabId) {
     const tabState = this.tabs.get(tabId);
     if (tabState) {
+      this.cancelApprovals(tabId);
       tabState.cleanup();
       this.tabs.delete(tabId);
       this.notifyListeners(tabId, 'removed', null);
@@ -103,6 +130,11 @@ export class TabManager {
       tabState.clearWebSocket();
     }
 
+    this.cancelApprovals(tabId);
+
+    // Remove the "is being debugged" infobar along with network recording, interception and emulation
+    tabState.releaseDebugger();
+
     // Clear any pending reconnect
     if (tabState.connectionInfo.reconnectTimer) {
       clearTimeout(tabState.connectionInfo.reconnectTimer);
@@ -125,6 +157,8 @@ export class TabManager {
       return;
     }
 
+    // Every attempt, so reconnects follow a server picked in the popup meanwhile
+    tabState.connectionInfo.url = serverUrl(await getServerPort());
     const ws = new WebSocket(tabState.connectionInfo.url);
     tabState.setWebSocket(ws);
 
@@ -134,17 +168,21 @@ export class TabManager {
       tabState.keepaliveInterval = null;
     }
 
-    ws.onopen = () => {
+    ws.onopen = async () => {
       tabState.connectionInfo.setConnected();
       this.notifyListeners(tabState.tabId, 'stateChanged', tabState);
 
+      // Token pasted into the popup; only needed when the server has auth enabled
+      const { authToken } = await chrome.storage.local.get('authToken');
+
       // Send registration message with Chrome tab ID and metadata
       const registerMessage = {
         type: 'register',
         requestedTabId: tabState.tabId.toString(), // Chrome tab ID
         browser: detectBrowser(), // Add browser type
         instanceId: this.instanceId,
-        ...tabState.pageMetadata
+        ...tabState.pageMetadata,
+        authToken
       };
 
       this.sendMessage(tabState.tabId, registerMessage);
@@ -161,7 +199,7 @@ export class TabManager {
       }, 30000);
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
       // Clear keepalive interval
       if (tabState.keepaliveInterval) {
         clearInterval(tabState.keepaliveInterval);
@@ -170,7 +208,10 @@ export class TabManager {
 
       tabState.clearWebSocket();
 
-      if (!tabState.connectionInfo.userDisconnected) {
+      if (event.code === AUTH_REJECTED_CLOSE_CODE) {
+        // Keep the server's explanation if it sent one before closing
+        tabState.connectionInfo.setUnauthorized(tabState.connectionInfo.lastError);
+      } else if (!tabState.connectionInfo.userDisconnected) {
         // Schedule reconnect
         this._scheduleReconnect(tabState);
       } else {
@@ -198,7 +239,11 @@ export class TabManager {
         }
 
         // Handle commands
-        if (data.type === 'command' && data.command && data.id) {
+        if (data.type === 'error' && data.error?.code === 'UNAUTHORIZED') {
+          tabState.connectionInfo.lastError = data.error.message;
+        } else if (data.type === 'registered') {
+          this._startNetworkRecording(tabState);
+        } else if (data.type === 'command' && data.command && data.id) {
           await this._handleCommand(tabState, data);
         } else if (data.type === 'pong') {
           // Pong received - connection is healthy
@@ -210,6 +255,20 @@ export class TabManager {
     };
   }
 
+  /**
+   * Record network requests from the moment the tab connects, so a request
+   * that failed before the first network_requests call is still listed
+   */
+  async _startNetworkRecording(tabState) {
+    if (tabState.networkRecordingSince) return;
+    try {
+      await startNetworkRecording(tabState);
+    } catch (error) {
+      // e.g. DevTools is attached; network_requests retries and reports the error
+      console.warn(`Could not start network recording for tab ${tabState.tabId}:`, error.message);
+    }
+  }
+
   _scheduleReconnect(tabState) {
     // Clear any existing reconnect timer
     if (tabState.connectionInfo.reconnectTimer) {
@@ -247,14 +306,52 @@ export class TabManager {
 
   async _handleCommand(tabState, { command, params, id }) {
     try {
-      let result;
-      // some need to run with the background context
-      if (backgroundCommands[command]) {
-        result = await backgroundCommands[command](tabState, params);
+      tabState.lastCommandAt = Date.now();
+      // An element ref stands in for selector/xpath: swap in a selector for the element it points at now
+      if (params?.ref) {
+        const resolved = await getFromContentScript(tabState.tabId, '_resolveRef', { ref: params.ref }, frameIdOf(params));
+        if (resolved?.error) {
+          const result = await respondWithError(tabState.tabId, resolved.error.code, resolved.error.message);
+          this.sendMessage(tabState.tabId, { id, type: 'response', success: true, result: { ...result, ref: params.ref } });
+          return;
+        }
+        params = { ...params, selector: resolved.selector, xpath: undefined };
+      }
+
+      // The server sets _approval when the site policy wants a human to approve this command
+      if (params?._approval) {
+        const decision = await this._requestApproval(tabState, command, params);
+        if (!decision.approved) {
+          const result = await respondWithError(tabState.tabId, decision.code, decision.message, params.selector, params.xpath);
+          this.sendMessage(tabState.tabId, { id, type: 'response', success: true, result });
+          return;
+        }
       }
-      // others we execute in the page context
-      else {
-        result = await chrome.tabs.sendMessage(tabState.tabId, { command, params });
+
+      // Interactions wait for their element to be actionable, unless the call sets autoWait: false
+      const notActionable = await waitForActionable(tabState.tabId, command, params);
+      if (notActionable) {
+        this.sendMessage(tabState.tabId, { id, type: 'response', success: true, result: notActionable });
+        return;
+      }
+
+      const run = async () => {
+        // some need to run with the background context
+        if (backgroundCommands[command]) {
+          return await backgroundCommands[command](tabState, params);
+        }
+        // others we execute in the page context, inside the selected frame where that makes sense
+        const frameId = FRAME_COMMANDS.has(command) ? frameIdOf(params) : 0;
+        return await runInFrame(tabState.tabId, frameId, command, params);
+      };
+      // The server sets _blockFormSubmit when the site policy forbids submitting forms
+      const result = params?._blockFormSubmit
+        ? await this._runWithFormSubmitGuard(tabState, run, frameIdOf(params))
+        : await run();
+      // Echo how the element was asked for, next to the selector that was used
+      if (result && typeof result === 'object') {
+        if (params?.ref) result.ref = params.ref;
+        if (params?.locator) result.locator = params.locator;
       }
       // `success: true` means we didn't throw an error. TODO: rename or remove it
       const response = { id, type: 'response', success: true, result };
@@ -266,6 +363,23 @@ export class TabManager {
     }
   }
 
+  async _runWithFormSubmitGuard(tabState, run, frameId = 0) {
+    await getFromContentScript(tabState.tabId, '_guardFormSubmit', { enabled: true }, frameId);
+    let result;
+    try {
+      result = await run();
+    } finally {
+      const guard = await getFromContentScript(tabState.tabId, '_guardFormSubmit', { enabled: false }, frameId);
+      if (guard?.blocked?.length && result && !result.error) {
+        result.error = {
+          code: 'FORM_SUBMIT_BLOCKED',
+          message: `Site policy does not allow form submission; blocked submit of ${guard.blocked.join(', ')}`
+        };
+      }
+    }
+    return result;
+  }
+
   // Message sending
   sendMessage(tabId, data) {
     const tabState = this.getTab(tabId);
@@ -309,6 +423,138 @@ export class TabManager {
     }
   }
 
+  // Interaction recording
+  async setRecording(tabId, enabled) {
+    const tabState = this.getOrCreateTab(tabId);
+
+    if (enabled) {
+      // Start a fresh script from the page the user is on
+      if (tabState.recordedSteps.length === 0) {
+        const tab = await chrome.tabs.get(tabId);
+        tabState.addRecordedStep({ tool: 'navigate', args: { url: tab.url } });
+      }
+      tabState.startRecording();
+    } else {
+      tabState.stopRecording();
+    }
+
+    await chrome.tabs.sendMessage(tabId, { command: '_record', params: { enabled } }, { frameId: 0 }).catch(err => {
+      console.debug('Could not toggle recording in tab:', err);
+    });
+    this.notifyListeners(tabId, 'recordingChanged', tabState);
+  }
+
+  addRecordedStep(tabId, step) {
+    const tabState = this.getTab(tabId);
+    if (tabState && tabState.recording) {
+      tabState.addRecordedStep(step);
+      this.notifyListeners(tabId, 'recordingChanged', tabState);
+    }
+  }
+
+  clearRecording(tabId) {
+    const tabState = this.getTab(tabId);
+    if (tabState) {
+      tabState.clearRecording();
+      this.notifyListeners(tabId, 'recordingChanged', tabState);
+    }
+  }
+
+  // Whether an element a click, pointer or drag command presses is a form's submit button
+  async _wouldSubmit(tabState, params, frameId) {
+    const { tabId } = tabState;
+    const point = (x, y) => typeof x === 'number' && typeof y === 'number' ? { x, y } : {};
+
+    let targetSelector = params.targetSelector;
+    if (params.targetRef) {
+      const resolved = await getFromContentScript(tabId, '_resolveRef', { ref: params.targetRef }, frameId);
+      targetSelector = resolved?.selector;
+    }
+    const targets = [
+      { selector: params.selector, xpath: params.xpath, locator: params.locator, ...point(params.x, params.y) },
+      // A drag releases the button over its drop target
+      { selector: targetSelector, xpath: params.targetXpath, locator: params.targetLocator, ...point(params.targetX, params.targetY) }
+    ].filter(target => target.selector || target.xpath || target.locator || target.x !== undefined);
+
+    if (targets.length === 0) {
+      // Without a target, pointer presses where the mouse already is, in top-level viewport coordinates
+      const target = await getFromContentScript(tabId, '_submitTarget', { ...tabState.mousePosition }, 0);
+      return !!target?.submits;
+    }
+    for (const target of targets) {
+      const result = await getFromContentScript(tabId, '_submitTarget', target, frameId);
+      if (result?.submits) return true;
+    }
+    return false;
+  }
+
+  // Human approval of sensitive commands
+  async _requestApproval(tabState, command, params) {
+    const { _approval: approval, selector, xpath, locator } = params;
+    const { tabId } = tabState;
+    const frameId = frameIdOf(params);
+
+    // submit-click only asks when the click would actually submit a form
+    if (approval.onlyIfSubmit && !await this._wouldSubmit(tabState, params, frameId)) {
+      return { approved: true };
+    }
+
+    // Show the user which element the command is about to act on
+    const highlighted = !!(selector || xpath || locator);
+    if (highlighted) {
+      await getFromContentScript(tabId, 'highlight', {
+        selector,
+        xpath,
+        locator,
+        duration: approval.timeoutMs,
+        color: APPROVAL_HIGHLIGHT_COLOR,
+        style: 'overlay'
+      }, frameId);
+    }
+
+    const decision = await new Promise(resolve => {
+      const approvalId = crypto.randomUUID();
+      const now = Date.now();
+      tabState.addPendingApproval({
+        id: approvalId,
+        command,
+        params: visibleParams(params),
+        reason: approval.reason,
+        timeoutMs: approval.timeoutMs,
+        requestedAt: now,
+        expiresAt: now + approval.timeoutMs,
+        resolve,
+        timer: setTimeout(() => this.resolveApproval(tabId, approvalId, false, 'APPROVAL_TIMEOUT'), approval.timeoutMs)
+      });
+      this.notifyListeners(tabId, 'approvalsChanged', tabState);
+    });
+
+    if (highlighted) {
+      await getFromContentScript(tabId, '_clearHighlights', {}, frameId);
+    }
+    return decision;
+  }
+
+  resolveApproval(tabId, approvalId, approved, code = 'APPROVAL_DENIED') {
+    const tabState = this.getTab(tabId);
+    const approval = tabState?.takePendingApproval(approvalId);
+    if (!approval) return;
+
+    clearTimeout(approval.timer);
+    approval.resolve(approved
+      ? { approved: true }
+      : { approved: false, code, message: approvalErrorMessage(approval.command, code, approval.timeoutMs) });
+    this.notifyListeners(tabId, 'approvalsChanged', tabState);
+  }
+
+  // Fail everything still waiting, e.g. when the tab disconnects
+  cancelApprovals(tabId) {
+    const tabState = this.getTab(tabId);
+    for (const approval of tabState?.getPendingApprovals() || []) {
+      this.resolveApproval(tabId, approval.id, false, 'APPROVAL_CANCELLED');
+    }
+  }
+
   // Port management
   addPort(tabId, port) {
     const tabState = this.getOrCreateTab(tabId);
@@ -334,6 +580,20 @@ export class TabManager {
       tabId,
       count: tabState.getConsoleLogCount()
     });
+
+    // Send recorded steps
+    port.postMessage({
+      type: 'recording',
+      tabId,
+      ...tabState.getRecording()
+    });
+
+    // Send commands waiting for approval
+    port.postMessage({
+      type: 'approvals',
+      tabId,
+      approvals: tabState.getPendingApprovals()
+    });
   }
 
   removePort(tabId, port) {
@@ -1,6 +1,8 @@
 
 // WebSocket connection info
 import { ConnectionStatus, Message } from "./models.js";
+import { DebuggerSession } from "./debugger-session.js";
+import { DEFAULT_PORT, serverUrl } from "./server-discovery.js";
 
 export class ConnectionInfo {
   constructor(url) {
@@ -11,6 +13,7 @@ export class ConnectionInfo {
     this.reconnectAttempts = 0;
     this.reconnectTimer = null;
     this.nextRetryIn = null;
+    this.lastError = null; // Shown in the popup, e.g. when the server rejects the auth token
   }
 
   setConnected() {
@@ -18,6 +21,7 @@ export class ConnectionInfo {
     this.connected = true;
     this.reconnectAttempts = 0;
     this.nextRetryIn = null;
+    this.lastError = null;
   }
 
   setDisconnected(userInitiated = false) {
@@ -46,19 +50,49 @@ export class ConnectionInfo {
     this.status = ConnectionStatus.ERROR;
     this.connected = false;
   }
+
+  // The server refused our auth token; retrying with the same token cannot succeed
+  setUnauthorized(message) {
+    this.status = ConnectionStatus.ERROR;
+    this.connected = false;
+    this.userDisconnected = true;
+    this.reconnectAttempts = 0;
+    this.nextRetryIn = null;
+    this.lastError = message || 'Unauthorized: check the auth token';
+  }
 }
 
+// Oldest network requests are dropped beyond this many entries
+const MAX_NETWORK_REQUESTS = 1000;
+
+// Oldest downloads are dropped beyond this many entries
+const MAX_DOWNLOADS = 200;
+
 // Main tab state class
 export class TabState {
   constructor(tabId) {
     this.tabId = tabId;
     this.websocket = null;
-    this.connectionInfo = new ConnectionInfo('ws://localhost:61822');
+    this.connectionInfo = new ConnectionInfo(serverUrl(DEFAULT_PORT)); // Port picked in the popup is applied on connect
     this.messages = [];
     this.consoleLogs = [];
+    this.networkRequests = []; // Newest first, capped at MAX_NETWORK_REQUESTS
+    this.networkRecordingSince = null; // Set while the debugger Network recorder is running
+    this.interceptRules = []; // Request interception rules, first match wins
+    this.nextInterceptRuleId = 1;
+    this.emulation = {}; // Active device/environment emulation settings, as shown in tab_detail
+    this.downloads = []; // Downloads started from this tab, newest first
+    this.lastCommandAt = null; // When the server last sent a command, to attribute downloads
+    this.debuggerSession = new DebuggerSession(tabId); // Attached lazily, kept until disconnect
+    this.recording = false; // True while the DevTools panel records user interactions
+    this.recordedSteps = []; // Recorded tool calls ({ tool, args }), oldest first
+    this.pendingApprovals = []; // Commands waiting for a human to approve them, oldest first
     this.ports = new Set(); // Connected DevTools panels/popups
     this.pageMetadata = {};
     this.mousePosition = { x: 0, y: 0 }; // Track current mouse position
+    this.pressedMouseButton = null; // Button held by a pointer "down" until its "up"
+    this.evalHandles = new Map(); // 'h1' -> { objectId, description } of objects kept by evaluate
+    this.nextEvalHandleId = 1;
   }
 
   // WebSocket management
@@ -97,13 +131,17 @@ export class TabState {
     this.consoleLogs = [];
   }
 
-  getConsoleLogs(limit = null, level = null, before = null) {
+  getConsoleLogs(limit = null, level = null, before = null, type = null) {
     let logs = this.consoleLogs;
 
     if (level) {
       logs = logs.filter(log => log.level === level);
     }
 
+    if (type) {
+      logs = logs.filter(log => log.type === type);
+    }
+
     if (before) {
       const beforeTimestamp = new Date(before).getTime();
       logs = logs.filter(log =>
@@ -121,6 +159,134 @@ export class TabState {
     return this.consoleLogs.length;
   }
 
+  // Network request management
+  addNetworkRequest(entry) {
+    this.networkRequests.unshift(entry);
+    if (this.networkRequests.length > MAX_NETWORK_REQUESTS) {
+      this.networkRequests.length = MAX_NETWORK_REQUESTS;
+    }
+  }
+
+  getNetworkRequest(requestId) {
+    return this.networkRequests.find(entry => entry.id === requestId);
+  }
+
+  clearNetworkRequests() {
+    this.networkRequests = [];
+  }
+
+  getNetworkRequests(limit = null, { resourceTypes = null, urlPattern = null, failedOnly = false } = {}, before = null) {
+    let requests = this.networkRequests;
+
+    if (resourceTypes) {
+      requests = requests.filter(entry => resourceTypes.includes(entry.resourceType));
+    }
+
+    if (urlPattern) {
+      requests = requests.filter(entry => entry.url.includes(urlPattern));
+    }
+
+    if (failedOnly) {
+      requests = requests.filter(entry => entry.failed || entry.status >= 400);
+    }
+
+    if (before) {
+      const beforeTimestamp = new Date(before).getTime();
+      requests = requests.filter(entry =>
+        new Date(entry.timestamp).getTime() < beforeTimestamp
+      );
+    }
+
+    if (limit === null) {
+      return [...requests];
+    }
+    return requests.slice(0, limit);
+  }
+
+  // Requests started since the given time that have neither finished nor failed, newest first
+  getPendingNetworkRequests(since = new Date(0)) {
+    return this.networkRequests.filter(entry => !entry.finished && entry.timestamp >= since);
+  }
+
+  getNetworkRequestCount() {
+    return this.networkRequests.length;
+  }
+
+  // Download management
+  addDownload(entry) {
+    this.downloads.unshift(entry);
+    if (this.downloads.length > MAX_DOWNLOADS) {
+      this.downloads.length = MAX_DOWNLOADS;
+    }
+  }
+
+  getDownload(downloadId) {
+    return this.downloads.find(entry => entry.id === downloadId);
+  }
+
+  // Interception rule management
+  addInterceptRule(rule) {
+    this.interceptRules.push(rule);
+  }
+
+  removeInterceptRule(ruleId) {
+    const index = this.interceptRules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) return false;
+    this.interceptRules.splice(index, 1);
+    return true;
+  }
+
+  findInterceptRule(url, method, resourceType) {
+    return this.interceptRules.find(rule => rule.matches(url, method, resourceType));
+  }
+
+  // Interaction recording
+  startRecording() {
+    this.recording = true;
+  }
+
+  stopRecording() {
+    this.recording = false;
+  }
+
+  addRecordedStep(step) {
+    // Typing into the same field again only updates the last fill
+    const last = this.recordedSteps[this.recordedSteps.length - 1];
+    if (last && step.tool === 'fill' && last.tool === 'fill' && last.args.selector === step.args.selector) {
+      last.args.value = step.args.value;
+      return;
+    }
+    this.recordedSteps.push(step);
+  }
+
+  clearRecording() {
+    this.recordedSteps = [];
+  }
+
+  getRecording() {
+    return {
+      recording: this.recording,
+      steps: this.recordedSteps
+    };
+  }
+
+  // Human approval of sensitive commands
+  addPendingApproval(approval) {
+    this.pendingApprovals.push(approval);
+  }
+
+  // Remove and return the approval so it can only be decided once
+  takePendingApproval(approvalId) {
+    const index = this.pendingApprovals.findIndex(approval => approval.id === approvalId);
+    if (index === -1) return null;
+    return this.pendingApprovals.splice(index, 1)[0];
+  }
+
+  // Serializable view for the panel and popup
+  getPendingApprovals() {
+    return this.pendingApprovals.map(({ resolve, timer, ...approval }) => approval);
+  }
+
   // Port management
   addPort(port) {
     this.ports.add(port);
@@ -147,7 +313,9 @@ export class TabState {
       connected: this.connectionInfo.connected,
       status: this.connectionInfo.status,
       reconnectAttempt: this.connectionInfo.reconnectAttempts,
-      nextRetryIn: this.connectionInfo.nextRetryIn
+      nextRetryIn: this.connectionInfo.nextRetryIn,
+      error: this.connectionInfo.lastError,
+      url: this.connectionInfo.url
     };
   }
 
@@ -160,6 +328,15 @@ export class TabState {
     this.mousePosition = { ...position };
   }
 
+  // Detach the debugger session and drop everything that depends on it
+  releaseDebugger() {
+    this.debuggerSession.detach();
+    this.networkRecordingSince = null;
+    this.interceptRules = [];
+    this.emulation = {};
+    this.evalHandles.clear(); // Remote objects do not outlive the debugger session
+  }
+
   // Cleanup
   cleanup() {
     // Clear reconnect timer
@@ -177,6 +354,9 @@ export class TabState {
     // Clear all data
     this.messages = [];
     this.consoleLogs = [];
+    this.networkRequests = [];
+    this.downloads = [];
+    this.releaseDebugger();
     this.ports.clear();
   }
 }
@@ -1,33 +1,225 @@
 // page-helpers.js - Content script that provides helper functions
-let kaptureIdCounter = 0;
+const activeHighlights = new Map(); // element -> function that removes its highlight
+
+// Shadow DOM piercing:
+//   "host >>> inner"      - match inner inside the open shadow root of each host match (chainable)
+//   "pierce/.selector"    - match in the document and every open shadow root below it
+const SHADOW_COMBINATOR = '>>>';
+const PIERCE_PREFIX = 'pierce/';
+
+// Parent element, stepping out of a shadow root to its host
+function getComposedParent(element) {
+  if (element.parentElement) return element.parentElement;
+  const root = element.getRootNode();
+  return root instanceof ShadowRoot ? root.host : null;
+}
+
+// The document or shadow root an element lives in
+function getElementRoot(element) {
+  const root = element.getRootNode();
+  return root instanceof ShadowRoot ? root : document;
+}
+
+// The focused element, looking inside shadow roots (document.activeElement stops at the host)
+function getDeepActiveElement() {
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  return active;
+}
+
+// Every open shadow root under root, depth first
+function collectShadowRoots(root, roots = []) {
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      roots.push(element.shadowRoot);
+      collectShadowRoots(element.shadowRoot, roots);
+    }
+  }
+  return roots;
+}
+
+function querySelectorAllDeep(selector, root = document) {
+  return [root, ...collectShadowRoots(root)].flatMap(scope => Array.from(scope.querySelectorAll(selector)));
+}
+
+function querySelectorAllPiercing(selector) {
+  if (selector.startsWith(PIERCE_PREFIX)) {
+    return querySelectorAllDeep(selector.slice(PIERCE_PREFIX.length).trim());
+  }
+
+  const parts = selector.split(SHADOW_COMBINATOR).map(part => part.trim());
+  if (parts.some(part => !part)) {
+    throw new Error(`'${SHADOW_COMBINATOR}' needs a selector on both sides`);
+  }
+
+  let scopes = [document];
+  let matches = [];
+  parts.forEach((part, index) => {
+    matches = scopes.flatMap(scope => Array.from(scope.querySelectorAll(part)));
+    if (index < parts.length - 1) {
+      scopes = matches.map(element => element.shadowRoot).filter(Boolean);
+    }
+  });
+  // A host matched twice through different paths yields the same elements twice
+  return [...new Set(matches)];
+}
 
 function getUniqueSelector(element) {
   if (!element || !(element instanceof Element)) return null;
 
-  // Special handling for html, head, and body elements - their tagName is unique
-  const tagName = element.tagName.toLowerCase();
-  if (tagName === 'html' || tagName === 'head' || tagName === 'body') {
-    return tagName;
+  // Inside a shadow root: a selector for the host, then one within the root
+  const root = getElementRoot(element);
+  if (root !== document) {
+    const hostSelector = getUniqueSelector(root.host);
+    return `${hostSelector} ${SHADOW_COMBINATOR} ${getUniqueSelectorInRoot(element, root)}`;
   }
+  return getUniqueSelectorInRoot(element, document);
+}
+
+// Attributes that name an element on purpose, preferred over its position in the tree
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+const NAMED_CONTROLS = new Set(['input', 'select', 'textarea', 'button']);
+
+function isUniqueInRoot(root, selector) {
+  return root.querySelectorAll(selector).length === 1;
+}
+
+// A selector that picks out the element by what it is rather than where it is, if it has one:
+// its id, a test id, a form control name, or its role and accessible label
+function getIdentifyingSelector(element, root) {
+  const tagName = element.tagName.toLowerCase();
 
-  // If element has an ID, use it (unless it's empty or contains special chars)
   if (element.id && /^[a-zA-Z][\w-]*$/.test(element.id)) {
-    // Check if ID is truly unique
-    if (document.querySelectorAll('#' + CSS.escape(element.id)).length === 1) {
-      return '#' + CSS.escape(element.id);
+    const selector = '#' + CSS.escape(element.id);
+    if (isUniqueInRoot(root, selector)) return selector;
+  }
+
+  for (const attribute of TEST_ID_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (!value) continue;
+    const selector = `[${attribute}="${CSS.escape(value)}"]`;
+    if (isUniqueInRoot(root, selector)) return selector;
+  }
+
+  const name = element.getAttribute('name');
+  if (name && NAMED_CONTROLS.has(tagName)) {
+    const selector = `${tagName}[name="${CSS.escape(name)}"]`;
+    if (isUniqueInRoot(root, selector)) return selector;
+  }
+
+  const label = element.getAttribute('aria-label');
+  if (label) {
+    const role = element.getAttribute('role');
+    const selector = `${role ? `[role="${CSS.escape(role)}"]` : tagName}[aria-label="${CSS.escape(label)}"]`;
+    if (isUniqueInRoot(root, selector)) return selector;
+  }
+
+  return null;
+}
+
+// tag:nth-of-type(n) for the element among its siblings, or just the tag when it is the only one.
+// Top-level elements of a shadow root count among the root's children.
+function getPositionalStep(element) {
+  const tagName = element.tagName.toLowerCase();
+  const parent = element.parentElement ?? element.parentNode;
+  if (!parent?.children) return tagName;
+  const sameTag = Array.from(parent.children).filter(sibling => sibling.tagName === element.tagName);
+  return sameTag.length > 1 ? `${tagName}:nth-of-type(${sameTag.indexOf(element) + 1})` : tagName;
+}
+
+// A child path to the element from the nearest ancestor with an identifying selector (body for
+// the document), or from the top of the root when no ancestor has one. Pinned, a path from the
+// top of the root only matches there: its first step is an element with no ancestor element.
+function getPositionalChain(element, root, pinned) {
+  const steps = [];
+  let current = element;
+  while (current) {
+    const step = getPositionalStep(current);
+    const parent = current.parentElement;
+    if (!parent) {
+      steps.unshift(pinned ? `${step}:not(* *)` : step);
+      break;
+    }
+    steps.unshift(step);
+    const parentTag = parent.tagName.toLowerCase();
+    const anchor = root === document && (parentTag === 'body' || parentTag === 'html')
+      ? parentTag
+      : getIdentifyingSelector(parent, root);
+    if (anchor) {
+      steps.unshift(anchor);
+      break;
     }
+    current = parent;
+  }
+  return steps.join(' > ');
+}
+
+// Computed without touching the page: the element's own identifying selector, or a child path
+// from the nearest ancestor that has one (body for the document)
+function getUniqueSelectorInRoot(element, root) {
+  // Special handling for html, head, and body elements - their tagName is unique
+  const tagName = element.tagName.toLowerCase();
+  if (root === document && (tagName === 'html' || tagName === 'head' || tagName === 'body')) {
+    return tagName;
   }
 
-  const uniqueId = 'kapture-' + (++kaptureIdCounter)
+  const ownSelector = getIdentifyingSelector(element, root);
+  if (ownSelector) return ownSelector;
+
+  // A path from the top of a shadow root can also match the same shape further down the root,
+  // so fall back to the pinned path when the short one is not unique
+  const selector = getPositionalChain(element, root, false);
+  if (isUniqueInRoot(root, selector)) return selector;
+  return getPositionalChain(element, root, true);
+}
 
-  if (!element.id) {
-    element.id = uniqueId;
-    return '#' + uniqueId;
+// Element refs: opaque handles to elements the helpers have reported, kept without
+// marking the page. The scope is fresh for every document (and frame), so a ref from
+// before a navigation is recognised as stale instead of matching some other element.
+const REF_SCOPE = Math.random().toString(36).slice(2, 6);
+let refCounter = 0;
+const elementsByRef = new Map(); // ref -> WeakRef to the element
+const refsByElement = new WeakMap(); // element -> ref
+const refCleanup = new FinalizationRegistry(ref => elementsByRef.delete(ref));
+
+function getElementRef(element) {
+  let ref = refsByElement.get(element);
+  if (!ref) {
+    ref = `${REF_SCOPE}-e${++refCounter}`;
+    refsByElement.set(element, ref);
+    elementsByRef.set(ref, new WeakRef(element));
+    refCleanup.register(element, ref);
   }
+  return ref;
+}
+
+// The element a ref points at, or the reason it can no longer be used
+function resolveRef(ref) {
+  const element = elementsByRef.get(ref)?.deref();
+  if (element?.isConnected) return { element };
 
-  element.classList.add(uniqueId);
-  return '.' + uniqueId
+  const [scope, number] = String(ref).split('-e');
+  if (scope !== REF_SCOPE) {
+    return {
+      error: {
+        code: 'STALE_REF',
+        message: `Element ref "${ref}" is not from the current page: it was issued before a navigation or reload, or in another frame. Look the element up again to get a fresh ref.`
+      }
+    };
+  }
+  if (!(Number(number) <= refCounter)) {
+    return { error: { code: 'REF_NOT_FOUND', message: `Element ref "${ref}" was never issued on this page` } };
+  }
+  return {
+    error: {
+      code: 'STALE_REF',
+      message: `Element ref "${ref}" is stale: the element was removed from the page (e.g. re-rendered). Look it up again to get a fresh ref.`
+    }
+  };
 }
+
 function findScrollableParent(element) {
   function isScrollable(element) {
     const hasScrollableContent = element.scrollHeight > element.clientHeight ||
@@ -39,10 +231,10 @@ function findScrollableParent(element) {
     return /(auto|scroll)/.test(style.overflow + style.overflowY + style.overflowX);
   }
 
-  let parent = element.parentElement;
+  let parent = getComposedParent(element);
   while (parent && parent !== document.body) {
     if (isScrollable(parent)) return parent;
-    parent = parent.parentElement;
+    parent = getComposedParent(parent);
   }
   return document.documentElement;
 }
@@ -132,7 +324,7 @@ function serializeValue(value, depth = 0, maxDepth = 3, seen = new WeakSet()) {
 
     for (const key of limitedKeys) {
       try {
-        const serialized = this.serializeValue(value[key], depth + 1, maxDepth, seen);
+        const serialized = serializeValue(value[key], depth + 1, maxDepth, seen);
         if (serialized === undefined || serialized === null) continue; // Skip undefined values
         result[key] = serialized;
       } catch (e) {
@@ -162,9 +354,188 @@ function getTabInfo() {
     pageVisibility: { visible: !document.hidden, visibilityState: document.visibilityState }
   };
 }
-function findAllElements(selector, xpath) {
+// Accessible name and role, as used by accessibility_tree and role= locators
+function getAccessibleName(el) {
+  // Priority: aria-label > aria-labelledby > alt > title > innerText
+  if (el.getAttribute('aria-label')) return el.getAttribute('aria-label');
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const labelEl = getElementRoot(el).getElementById(labelledBy);
+    if (labelEl) return labelEl.innerText?.trim();
+  }
+
+  if (el.alt) return el.alt;
+  if (el.title) return el.title;
+  if (el.labels?.[0]) return el.labels[0].innerText?.trim();
+
+  // For leaf nodes, use text content
+  const text = el.innerText?.trim();
+  if (text && text.length < 100) return text;
+
+  return undefined;
+}
+
+function getAccessibleRole(el) {
+  // Explicit role takes precedence
+  const explicitRole = el.getAttribute('role');
+  if (explicitRole) return explicitRole;
+
+  // Implicit roles from tag names
+  const tagRoles = {
+    'a': el.href ? 'link' : undefined,
+    'button': 'button',
+    'input': el.type === 'checkbox' ? 'checkbox' :
+      el.type === 'radio' ? 'radio' :
+        el.type === 'submit' ? 'button' :
+          el.type === 'text' || el.type === 'email' || el.type === 'password' ? 'textbox' :
+            el.type,
+    'select': 'combobox',
+    'textarea': 'textbox',
+    'img': 'img',
+    'nav': 'navigation',
+    'main': 'main',
+    'header': 'banner',
+    'footer': 'contentinfo',
+    'aside': 'complementary',
+    'article': 'article',
+    'section': el.getAttribute('aria-label') || el.getAttribute('aria-labelledby') ? 'region' : undefined,
+    'form': 'form',
+    'table': 'table',
+    'ul': 'list',
+    'ol': 'list',
+    'li': 'listitem',
+    'h1': 'heading',
+    'h2': 'heading',
+    'h3': 'heading',
+    'h4': 'heading',
+    'h5': 'heading',
+    'h6': 'heading'
+  };
+
+  return tagRoles[el.tagName.toLowerCase()];
+}
+
+// Semantic locators, for finding elements the way a user would describe them:
+//   role=button[name="Save"]  - accessible role, optionally with its accessible name
+//   label=Email               - form control by its label, aria-label or aria-labelledby
+//   text=Sign in              - the innermost element showing the text
+//   placeholder=Search        - input or textarea by placeholder
+//   testid=checkout           - element by data-testid (or data-test-id, data-test, data-qa, data-cy)
+// Values match ignoring case and extra whitespace, exact matches first, then elements that contain
+// the value. A quoted value (text="Sign in") only matches exactly. Open shadow roots are searched too.
+const LOCATOR_PATTERN = /^(role|label|text|placeholder|testid)=(.+)$/s;
+const ROLE_LOCATOR_PATTERN = /^([\w-]+)(?:\[name=(.+)\])?$/s;
+const TEXT_LOCATOR_SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE']);
+
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Returns a scorer: 2 for an exact match, 1 when the text contains the value, 0 otherwise
+function createTextMatcher(value) {
+  const quoted = value.match(/^"(.*)"$/s) || value.match(/^'(.*)'$/s);
+  if (quoted) {
+    const expected = normalizeText(quoted[1]);
+    return (text) => normalizeText(text) === expected ? 2 : 0;
+  }
+  const expected = normalizeText(value).toLowerCase();
+  return (text) => {
+    const actual = normalizeText(text).toLowerCase();
+    if (!actual) return 0;
+    if (actual === expected) return 2;
+    return actual.includes(expected) ? 1 : 0;
+  };
+}
+
+function getLabelTexts(element) {
+  const texts = [element.getAttribute('aria-label')];
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const root = getElementRoot(element);
+    texts.push(labelledBy.split(/\s+/).map(id => root.getElementById(id)?.innerText || '').join(' '));
+  }
+  Array.from(element.labels || []).forEach(label => texts.push(label.innerText));
+  return texts.filter(Boolean);
+}
+
+function getElementText(element) {
+  if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+    return element.value;
+  }
+  return element.textContent;
+}
+
+function findByLocator(locator) {
+  const match = locator.trim().match(LOCATOR_PATTERN);
+  if (!match) {
+    throw new Error('Locators look like role=button[name="Save"], label=Email, text=Sign in, placeholder=Search or testid=checkout');
+  }
+  const [, kind, rawValue] = match;
+  const value = rawValue.trim();
+
+  // score(element) ranks each candidate; elements scoring 0 don't match
+  let candidates = querySelectorAllDeep('*');
+  let score;
+  if (kind === 'role') {
+    const roleMatch = value.match(ROLE_LOCATOR_PATTERN);
+    if (!roleMatch) {
+      throw new Error(`Expected role=<role> or role=<role>[name="<name>"], got role=${value}`);
+    }
+    const [, role, name] = roleMatch;
+    // The quotes in [name="Save"] are syntax, not a request for an exact match
+    const matchName = name ? createTextMatcher(name.trim().replace(/^(["'])(.*)\1$/s, '$2')) : null;
+    score = (element) => {
+      if (getAccessibleRole(element) !== role) return 0;
+      return matchName ? matchName(getAccessibleName(element)) : 2;
+    };
+  } else if (kind === 'label') {
+    const matchLabel = createTextMatcher(value);
+    score = (element) => Math.max(0, ...getLabelTexts(element).map(matchLabel));
+  } else if (kind === 'placeholder') {
+    const matchPlaceholder = createTextMatcher(value);
+    candidates = querySelectorAllDeep('[placeholder]');
+    score = (element) => matchPlaceholder(element.getAttribute('placeholder'));
+  } else if (kind === 'testid') {
+    const testId = value.replace(/^(["'])(.*)\1$/s, '$2');
+    score = (element) => TEST_ID_ATTRIBUTES.some(attribute => element.getAttribute(attribute) === testId) ? 2 : 0;
+  } else {
+    // text=: the innermost elements showing the text, not every ancestor that contains it
+    const matchText = createTextMatcher(value);
+    candidates = candidates.filter(element => !TEXT_LOCATOR_SKIPPED_TAGS.has(element.tagName));
+    const textScore = (element) => matchText(getElementText(element));
+    score = (element) => {
+      const own = textScore(element);
+      if (!own) return 0;
+      const children = element.shadowRoot ? [...element.children, ...element.shadowRoot.children] : element.children;
+      return Array.from(children).some(child => textScore(child) >= own) ? 0 : own;
+    };
+  }
+
+  const scored = candidates
+    .map(element => ({ element, score: score(element) }))
+    .filter(({ score }) => score > 0);
+  // Stable sort keeps document order among equally good matches
+  scored.sort((a, b) => b.score - a.score);
+  return scored.map(({ element }) => element);
+}
+
+function invalidQueryCode(selector, xpath, locator) {
+  if (selector) return 'INVALID_SELECTOR';
+  return locator && !xpath ? 'INVALID_LOCATOR' : 'INVALID_XPATH';
+}
+
+function findAllElements(selector, xpath, locator) {
+  if (locator && !selector && !xpath) {
+    try {
+      return findByLocator(locator);
+    } catch (e) {
+      throw new Error(`Invalid locator: ${e.message}`);
+    }
+  }
   if (selector) {
     try {
+      if (selector.startsWith(PIERCE_PREFIX) || selector.includes(SHADOW_COMBINATOR)) {
+        return querySelectorAllPiercing(selector);
+      }
       return Array.from(document.querySelectorAll(selector));
     } catch (e) {
       throw new Error(`Invalid selector: ${e.message}`);
@@ -182,7 +553,6 @@ function getElementData(element) {
   const rect = element.getBoundingClientRect();
   const computedStyle = window.getComputedStyle(element);
 
-  // Get the selector (which may add an ID to the element)
   const selector = getUniqueSelector(element);
 
   // Comprehensive visibility check
@@ -193,9 +563,10 @@ function getElementData(element) {
     id: element.id || undefined,
     className: element.className || undefined,
     selector: selector,
+    ref: getElementRef(element),
     bounds: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
     visible: visible,
-    focused: element === document.activeElement,
+    focused: element === getElementRoot(element).activeElement,
     position: computedStyle.position
   };
   // Conditionally add attributes
@@ -245,9 +616,12 @@ function isElementVisible(element, rect, computedStyle) {
   const centerX = rect.left + rect.width / 2;
   const centerY = rect.top + rect.height / 2;
 
+  // Hit-test in the element's own document or shadow root, so shadow content is not hidden behind its host
+  const root = getElementRoot(element);
+
   // Helper function to check if element is visible at a point
   const isElementAtPoint = (x, y) => {
-    const elementAtPoint = document.elementFromPoint(x, y);
+    const elementAtPoint = root.elementFromPoint(x, y);
     if (!elementAtPoint) return false;
     return elementAtPoint === element || element.contains(elementAtPoint) || elementAtPoint.contains(element);
   };
@@ -256,7 +630,7 @@ function isElementVisible(element, rect, computedStyle) {
   if (isElementAtPoint(centerX, centerY)) return true;
 
   // Check if element is hidden by ancestor's properties
-  let parent = element.parentElement;
+  let parent = getComposedParent(element);
   while (parent && parent !== document.body) {
     const parentStyle = window.getComputedStyle(parent);
     if (parentStyle.display === 'none' || parentStyle.visibility === 'hidden' || parentStyle.opacity === '0') {
@@ -269,17 +643,19 @@ function isElementVisible(element, rect, computedStyle) {
       // Check if element is outside parent's visible area
       if (rect.bottom < parentRect.top || rect.top > parentRect.bottom || rect.right < parentRect.left || rect.left > parentRect.right) {
         // Before returning false, check if the element is actually visible using elementsFromPoint
-        const elementsAtPoint = document.elementsFromPoint(centerX, centerY);
+        const elementsAtPoint = root.elementsFromPoint(centerX, centerY);
 
         // If the element is in the elements chain at its center point, it's visible
         if (elementsAtPoint.includes(element)) {
-          continue; // Skip this parent check and continue checking other parents
+          // Skip this parent check and continue checking other parents
+          parent = getComposedParent(parent);
+          continue;
         }
 
         return false;
       }
     }
-    parent = parent.parentElement;
+    parent = getComposedParent(parent);
   }
 
   // Element might be partially covered, check multiple points
@@ -294,6 +670,91 @@ function isElementVisible(element, rect, computedStyle) {
   return points.some(point => isElementAtPoint(point.x, point.y));
 }
 
+// The topmost element at a point, looking inside shadow roots
+function getDeepElementFromPoint(x, y) {
+  let hit = document.elementFromPoint(x, y);
+  while (hit?.shadowRoot) {
+    const inner = hit.shadowRoot.elementFromPoint(x, y);
+    if (!inner || inner === hit) break;
+    hit = inner;
+  }
+  return hit;
+}
+
+function composedContains(ancestor, node) {
+  for (let current = node; current; current = getComposedParent(current)) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+// Why a failing element is not visible, for actionability diagnostics
+function describeHiddenElement(element, rect) {
+  const style = window.getComputedStyle(element);
+  if (rect.width <= 0 || rect.height <= 0) return { message: 'Element has no size' };
+  if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+    return { message: `Element is hidden by CSS (display: ${style.display}, visibility: ${style.visibility}, opacity: ${style.opacity})` };
+  }
+  if (rect.bottom <= 0 || rect.right <= 0 || rect.top >= window.innerHeight || rect.left >= window.innerWidth) {
+    return { message: 'Element is outside the viewport' };
+  }
+  const hit = getDeepElementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+  if (hit && !composedContains(element, hit)) {
+    return { message: 'Element is covered by another element', coveredBy: getUniqueSelector(hit) };
+  }
+  return { message: 'Element is hidden by an ancestor' };
+}
+
+// The first actionability check an element fails, or null when it is ready.
+// previousBox is the element's box at the last poll, for the stability check.
+function getActionabilityFailure(element, checks, previousBox) {
+  const rect = element.getBoundingClientRect();
+
+  if (checks.includes('visible') && !isElementVisible(element, rect)) {
+    const hidden = describeHiddenElement(element, rect);
+    // Covered everywhere is the click point check failing too; report it as that where it applies
+    const check = hidden.coveredBy && checks.includes('receivesEvents') ? 'receivesEvents' : 'visible';
+    return { check, ...hidden };
+  }
+
+  if (checks.includes('stable')) {
+    const moved = !previousBox || ['x', 'y', 'width', 'height'].some(key => previousBox[key] !== rect[key]);
+    if (moved) return { check: 'stable', message: 'Element is still moving or resizing (e.g. animating)' };
+  }
+
+  if (checks.includes('enabled')) {
+    if (element.matches(':disabled') || element.closest('[aria-disabled="true"]')) {
+      return { check: 'enabled', message: 'Element is disabled' };
+    }
+  }
+
+  if (checks.includes('editable') && element.readOnly) {
+    return { check: 'editable', message: 'Element is read-only' };
+  }
+
+  if (checks.includes('receivesEvents')) {
+    const x = Math.min(Math.max(rect.left + rect.width / 2, 0), window.innerWidth - 1);
+    const y = Math.min(Math.max(rect.top + rect.height / 2, 0), window.innerHeight - 1);
+    const hit = getDeepElementFromPoint(x, y);
+    if (!hit || !composedContains(element, hit)) {
+      return {
+        check: 'receivesEvents',
+        message: `Element would not receive the click: ${hit ? getUniqueSelector(hit) : 'nothing'} is on top of it at its center`,
+        coveredBy: hit ? getUniqueSelector(hit) : undefined
+      };
+    }
+  }
+
+  return null;
+}
+
+// The file input an upload goes to: the element itself or the control of a label.
+// Returns null for anything else, which upload_file treats as a drop zone.
+function getFileInput(element) {
+  const input = element.tagName === 'LABEL' ? element.control : element;
+  return input?.tagName === 'INPUT' && input.type === 'file' ? input : null;
+}
+
 function respondWith(obj, selector, xpath) {
   return {
     success: !obj.error,
@@ -384,7 +845,7 @@ function elementNotFound(selector, xpath, matchCount = 0) {
   return respondWith({ error: errorDetails }, selector, xpath);
 }
 function requireSelectorOrXpath(selector, xpath) {
-  return respondWithError('SELECTOR_OR_XPATH_REQUIRED', 'Selector or XPath parameter required', selector, xpath);
+  return respondWithError('SELECTOR_OR_XPATH_REQUIRED', 'Selector, XPath, locator or ref parameter required', selector, xpath);
 }
 
 const helpers = {
@@ -392,8 +853,73 @@ const helpers = {
   _navigate: ({ url }) => {
     window.location.href = url;
   },
-  _elementPosition: ({ id }) => {
-    const element = document.getElementById(id);
+  _resolveRef: ({ ref }) => {
+    const { element, error } = resolveRef(ref);
+    return error ? { error } : { selector: getUniqueSelector(element) };
+  },
+  // Poll until the first matching element passes the checks the background asks for
+  _waitForActionable: async ({ selector, xpath, locator, checks = [], timeout = 5000 }) => {
+    const startTime = Date.now();
+    const pollInterval = 50;
+    let previousBox = null;
+    let scrolled = false;
+
+    while (true) {
+      let element;
+      try {
+        element = findAllElements(selector, xpath, locator)[0];
+      } catch (e) {
+        return respondWithError(invalidQueryCode(selector, xpath, locator), e.message, selector, xpath);
+      }
+
+      const failure = element ? getActionabilityFailure(element, checks, previousBox) : { check: 'attached' };
+      if (!failure) return { actionable: true, waitTime: Date.now() - startTime };
+
+      if (failure.check === 'visible' && failure.message === 'Element is outside the viewport' && !scrolled) {
+        element.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+        scrolled = true;
+      }
+
+      const waitTime = Date.now() - startTime;
+      if (waitTime >= timeout) {
+        if (failure.check === 'attached') {
+          const notFound = elementNotFound(selector, xpath);
+          notFound.error.waitTime = waitTime;
+          return notFound;
+        }
+        return respondWith({
+          error: {
+            code: 'ELEMENT_NOT_ACTIONABLE',
+            message: `${failure.message} (still failing after ${waitTime}ms). Pass autoWait: false to act anyway.`,
+            check: failure.check,
+            coveredBy: failure.coveredBy,
+            element: getUniqueSelector(element),
+            waitTime
+          }
+        }, selector, xpath);
+      }
+
+      if (element) {
+        const rect = element.getBoundingClientRect();
+        previousBox = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  },
+  // Polled by the background while it waits for a navigation
+  _documentState: ({ selector }) => {
+    let selectorFound;
+    if (selector) {
+      try {
+        selectorFound = findAllElements(selector).length > 0;
+      } catch (e) {
+        return { error: { code: 'INVALID_SELECTOR', message: e.message } };
+      }
+    }
+    return { url: window.location.href, readyState: document.readyState, selectorFound };
+  },
+  _elementPosition: ({ selector }) => {
+    const element = findAllElements(selector)[0];
     return element.getBoundingClientRect();
   },
   _connectionStateChanged: ({ status, connected }) => {
@@ -413,12 +939,12 @@ const helpers = {
 
   // tool calls
   getTabInfo,
-  dom: ({ selector, xpath }) => {
-    if (!selector && !xpath) {
+  dom: ({ selector, xpath, locator }) => {
+    if (!selector && !xpath && !locator) {
       return respondWith({ html: document.body.outerHTML });
     }
 
-    const element = findAllElements(selector, xpath)[0];
+    const element = findAllElements(selector, xpath, locator)[0];
     if (!element) return elementNotFound(selector, xpath);
 
     return respondWith({ html: element.outerHTML }, selector, xpath);
@@ -430,14 +956,14 @@ const helpers = {
     const elements = document.elementsFromPoint(x, y);
     return respondWith({ x, y, elements: elements.map(getElementData) });
   },
-  elements: ({ selector, xpath, visible = 'all' }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  elements: ({ selector, xpath, locator, visible = 'all' }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let elements;
     try {
-      elements = findAllElements(selector, xpath).map(getElementData);
+      elements = findAllElements(selector, xpath, locator).map(getElementData);
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -448,22 +974,22 @@ const helpers = {
     }
     return respondWith({ elements: elements, visible: visible !== 'all' ? visible : undefined }, selector, xpath);
   },
-  element: ({ selector, xpath, visible = 'all' }) => {
-    const result = helpers.elements({ selector, xpath, visible });
+  element: ({ selector, xpath, locator, visible = 'all' }) => {
+    const result = helpers.elements({ selector, xpath, locator, visible });
     if (result.error) return result;
     if (!result.elements.length) return elementNotFound(selector, xpath);
     result.element = result.elements[0];
     delete result.elements;
     return result;
   },
-  focus: ({ selector, xpath }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  focus: ({ selector, xpath, locator }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -489,10 +1015,10 @@ const helpers = {
 
     return respondWith({ focused: true }, selector, xpath);
   },
-  fill: ({ selector, xpath, value }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  fill: ({ selector, xpath, locator, value }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
-    const element = findAllElements(selector, xpath)[0];
+    const element = findAllElements(selector, xpath, locator)[0];
     if (!element) return elementNotFound(selector, xpath);
 
     // Check if it's an input element
@@ -503,6 +1029,10 @@ const helpers = {
       return respondWithError('INVALID_ELEMENT', 'Element is not fillable: ' + tagName, selector, xpath);
     }
 
+    if (getFileInput(element) === element) {
+      return respondWithError('INVALID_ELEMENT', 'Element is a file input, use upload_file to set its files', selector, xpath);
+    }
+
     // Focus the element
     element.focus();
 
@@ -530,14 +1060,14 @@ const helpers = {
     return respondWith({ filled: true }, selector, xpath);
   },
 
-  paste: ({ selector, xpath, value }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  paste: ({ selector, xpath, locator, value }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -585,14 +1115,14 @@ const helpers = {
     return respondWith({ pasted: success }, selector, xpath);
   },
 
-  clear: ({ selector, xpath }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  clear: ({ selector, xpath, locator }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -621,10 +1151,10 @@ const helpers = {
 
     return respondWith({ cleared: true }, selector, xpath);
   },
-  select: ({ selector, xpath, value }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  select: ({ selector, xpath, locator, value }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
-    const element = findAllElements(selector, xpath)[0];
+    const element = findAllElements(selector, xpath, locator)[0];
     if (!element) return elementNotFound(selector, xpath);
 
     if (element.tagName !== 'SELECT') {
@@ -646,14 +1176,14 @@ const helpers = {
 
     return respondWith({ selected: true }, selector, xpath);
   },
-  blur: ({ selector, xpath }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  blur: ({ selector, xpath, locator }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -720,6 +1250,156 @@ const helpers = {
       return respondWithError('CURSOR_ERROR', e.message);
     }
   },
+  _record: ({ enabled }) => {
+    setRecording(String(enabled) === 'true');
+    return respondWith({ recording: recordingEnabled });
+  },
+  _clearHighlights: () => {
+    const cleared = activeHighlights.size;
+    [...activeHighlights.values()].forEach(restore => restore());
+    return respondWith({ cleared });
+  },
+  // Whether the element at a selector, or at an x/y point, is a form's submit button
+  _submitTarget: ({ selector, xpath, locator, x, y }) => {
+    const element = selector || xpath || locator
+      ? findAllElements(selector, xpath, locator)[0]
+      : getDeepElementFromPoint(x, y);
+    if (!element) {
+      return elementNotFound(selector, xpath, 0);
+    }
+    const control = element.closest('button, input');
+    const submits = !!control?.form && (
+      (control.tagName === 'BUTTON' && control.type === 'submit') ||
+      (control.tagName === 'INPUT' && (control.type === 'submit' || control.type === 'image'))
+    );
+    return respondWith({
+      submits,
+      form: submits ? getUniqueSelector(control.form) : undefined
+    }, selector, xpath);
+  },
+  // Play an HTML5 drag and drop between two elements of this frame with one shared DataTransfer.
+  // With onlyIfDraggable, does nothing unless the source opted into HTML5 dragging.
+  _html5Drag: ({ selector, xpath, locator, targetSelector, targetXpath, targetLocator, targetX, targetY, onlyIfDraggable }) => {
+    let source, target;
+    try {
+      source = findAllElements(selector, xpath, locator)[0];
+      target = targetSelector || targetXpath || targetLocator
+        ? findAllElements(targetSelector, targetXpath, targetLocator)[0]
+        : getDeepElementFromPoint(targetX, targetY);
+    } catch (e) {
+      return respondWithError(invalidQueryCode(selector || targetSelector, xpath || targetXpath, locator || targetLocator), e.message, selector, xpath);
+    }
+    if (!source) return elementNotFound(selector, xpath);
+
+    const draggable = source.closest('[draggable="true"]');
+    if (onlyIfDraggable && !draggable) {
+      return respondWith({ skipped: true }, selector, xpath);
+    }
+    if (!target) {
+      return respondWithError('ELEMENT_NOT_FOUND', 'Drop target not found', targetSelector, targetXpath);
+    }
+
+    const dragSource = draggable || source;
+    const dataTransfer = new DataTransfer();
+    const sourceBox = dragSource.getBoundingClientRect();
+    const targetBox = target.getBoundingClientRect();
+    const fire = (element, type, box) => element.dispatchEvent(new DragEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      dataTransfer,
+      clientX: box.left + box.width / 2,
+      clientY: box.top + box.height / 2
+    }));
+
+    if (!fire(dragSource, 'dragstart', sourceBox)) {
+      return respondWith({ dragged: false, mode: 'html5', reason: 'dragstart was cancelled' }, selector, xpath);
+    }
+    fire(dragSource, 'drag', sourceBox);
+    fire(target, 'dragenter', targetBox);
+    // A target takes drops only if it cancels dragover, as with a real drag
+    const dropAllowed = !fire(target, 'dragover', targetBox);
+    let dropAccepted = false;
+    if (dropAllowed) {
+      dropAccepted = !fire(target, 'drop', targetBox);
+    } else {
+      fire(target, 'dragleave', targetBox);
+    }
+    fire(dragSource, 'dragend', targetBox);
+
+    return respondWith({
+      dragged: true,
+      mode: 'html5',
+      dropAccepted,
+      target: getUniqueSelector(target)
+    }, selector, xpath);
+  },
+  // Where upload_file puts files, so the background can hand paths to Chrome for file inputs
+  _fileTarget: ({ selector, xpath, locator }) => {
+    const element = findAllElements(selector, xpath, locator)[0];
+    if (!element) {
+      return elementNotFound(selector, xpath, 0);
+    }
+    const input = getFileInput(element);
+    return respondWith({
+      kind: input ? 'input' : 'dropzone',
+      input: input ? getUniqueSelector(input) : undefined,
+      multiple: input ? input.multiple : true
+    }, selector, xpath);
+  },
+  // Set base64 files on a file input, or drop them on any other element, as a user would
+  _setFiles: ({ selector, xpath, locator, files }) => {
+    let element;
+    try {
+      element = findAllElements(selector, xpath, locator)[0];
+    } catch (e) {
+      const errorCode = invalidQueryCode(selector, xpath, locator);
+      return respondWithError(errorCode, e.message, selector, xpath);
+    }
+    if (!element) return elementNotFound(selector, xpath);
+
+    const dataTransfer = new DataTransfer();
+    for (const { name, mimeType, content } of files) {
+      const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+      dataTransfer.items.add(new File([bytes], name, { type: mimeType, lastModified: Date.now() }));
+    }
+    const uploaded = files.map(({ name, mimeType, size }) => ({ name, mimeType, size }));
+
+    const input = getFileInput(element);
+    if (input) {
+      if (files.length > 1 && !input.multiple) {
+        return respondWithError('INVALID_ELEMENT', 'File input only accepts one file', selector, xpath);
+      }
+      input.files = dataTransfer.files;
+      input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      return respondWith({ uploaded: true, method: 'dataTransfer', files: uploaded }, selector, xpath);
+    }
+
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      return respondWithError('INVALID_ELEMENT', 'Element is not a file input or drop zone: ' + element.tagName.toLowerCase(), selector, xpath);
+    }
+
+    // Drop zones react to the drag events a real drop causes; a handler that
+    // takes the drop cancels the drop event
+    const rect = element.getBoundingClientRect();
+    const dragEvent = type => new DragEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      dataTransfer,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2
+    });
+    element.dispatchEvent(dragEvent('dragenter'));
+    element.dispatchEvent(dragEvent('dragover'));
+    const dropAccepted = !element.dispatchEvent(dragEvent('drop'));
+    return respondWith({ uploaded: true, method: 'drop', dropAccepted, files: uploaded }, selector, xpath);
+  },
+  _guardFormSubmit: ({ enabled }) => {
+    const blocked = setFormSubmitGuard(String(enabled) === 'true');
+    return respondWith({ guarding: formSubmitGuardEnabled, blocked });
+  },
   _moveMouseSVG: ({ x, y }) => {
     if (typeof x !== 'number' || typeof y !== 'number') {
       return respondWithError('XY_REQUIRED', 'Both x and y coordinates are required');
@@ -740,7 +1420,7 @@ const helpers = {
 
   // ============ NEW TOOLS ============
 
-  scroll: ({ selector, xpath, direction, x, y, behavior = 'smooth' }) => {
+  scroll: ({ selector, xpath, locator, direction, x, y, behavior = 'smooth' }) => {
     try {
       // Priority 1: Scroll by direction (full page height)
       if (direction) {
@@ -759,12 +1439,12 @@ const helpers = {
       }
 
       // Priority 2: Scroll element into view
-      if (selector || xpath) {
+      if (selector || xpath || locator) {
         let element;
         try {
-          element = findAllElements(selector, xpath)[0];
+          element = findAllElements(selector, xpath, locator)[0];
         } catch (e) {
-          const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+          const errorCode = invalidQueryCode(selector, xpath, locator);
           return respondWithError(errorCode, e.message, selector, xpath);
         }
 
@@ -803,7 +1483,7 @@ const helpers = {
     }
   },
 
-  evaluate: async ({ code }) => {
+  evaluate: async ({ code, args = [], timeout = 5000 }) => {
     if (!code) {
       return respondWithError('CODE_REQUIRED', 'JavaScript code is required');
     }
@@ -811,20 +1491,30 @@ const helpers = {
     try {
       // Create async function wrapper to support await
       const AsyncFunction = Object.getPrototypeOf(async function () { }).constructor;
-      const fn = new AsyncFunction(code);
-      const result = await fn();
+      const fn = new AsyncFunction('...args', code);
+      let timer;
+      const result = await Promise.race([
+        fn(...args),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(Object.assign(
+            new Error(`Evaluation did not finish within ${timeout}ms. Code that is still running in the page is not stopped.`),
+            { code: 'EVALUATION_TIMEOUT' })), timeout);
+        })
+      ]).finally(() => clearTimeout(timer));
 
       // Serialize the result for safe transmission
       const serialized = serializeValue(result);
 
       return respondWith({
         result: serialized,
-        type: typeof result
+        type: typeof result,
+        world: 'isolated'
       });
     } catch (e) {
       return respondWith({
         error: {
-          code: 'EVALUATION_ERROR',
+          code: e.code === 'EVALUATION_TIMEOUT' ? e.code : 'EVALUATION_ERROR',
+          name: e.name,
           message: e.message,
           stack: e.stack
         }
@@ -832,17 +1522,17 @@ const helpers = {
     }
   },
 
-  get_attribute: ({ selector, xpath, attribute }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  get_attribute: ({ selector, xpath, locator, attribute }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
     if (!attribute) {
       return respondWithError('ATTRIBUTE_REQUIRED', 'Attribute name is required');
     }
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -856,14 +1546,14 @@ const helpers = {
     }, selector, xpath);
   },
 
-  get_computed_style: ({ selector, xpath, properties }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  get_computed_style: ({ selector, xpath, locator, properties }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -893,17 +1583,17 @@ const helpers = {
     return respondWith({ styles }, selector, xpath);
   },
 
-  get_text: ({ selector, xpath }) => {
+  get_text: ({ selector, xpath, locator }) => {
     try {
       let element;
-      if (!selector && !xpath) {
+      if (!selector && !xpath && !locator) {
         // Default to body for all page text
         element = document.body;
       } else {
         try {
-          element = findAllElements(selector, xpath)[0];
+          element = findAllElements(selector, xpath, locator)[0];
         } catch (e) {
-          const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+          const errorCode = invalidQueryCode(selector, xpath, locator);
           return respondWithError(errorCode, e.message, selector, xpath);
         }
       }
@@ -922,15 +1612,15 @@ const helpers = {
     }
   },
 
-  wait_for_element: async ({ selector, xpath, timeout = 5000, visible = true }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  wait_for_element: async ({ selector, xpath, locator, timeout = 5000, visible = true }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     const startTime = Date.now();
     const pollInterval = 100; // Check every 100ms
 
     while (Date.now() - startTime < timeout) {
       try {
-        const elements = findAllElements(selector, xpath);
+        const elements = findAllElements(selector, xpath, locator);
 
         if (elements.length > 0) {
           if (visible) {
@@ -955,7 +1645,7 @@ const helpers = {
         }
       } catch (e) {
         // Invalid selector/xpath - return error immediately
-        const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+        const errorCode = invalidQueryCode(selector, xpath, locator);
         return respondWithError(errorCode, e.message, selector, xpath);
       }
 
@@ -974,17 +1664,17 @@ const helpers = {
     }, selector, xpath);
   },
 
-  type: async ({ selector, xpath, text, delay = 50 }) => {
+  type: async ({ selector, xpath, locator, text, delay = 50 }) => {
     if (!text) {
       return respondWithError('TEXT_REQUIRED', 'Text to type is required');
     }
 
     let element;
-    if (selector || xpath) {
+    if (selector || xpath || locator) {
       try {
-        element = findAllElements(selector, xpath)[0];
+        element = findAllElements(selector, xpath, locator)[0];
       } catch (e) {
-        const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+        const errorCode = invalidQueryCode(selector, xpath, locator);
         return respondWithError(errorCode, e.message, selector, xpath);
       }
 
@@ -994,7 +1684,7 @@ const helpers = {
       element.focus();
     } else {
       // Type to currently focused element or body
-      element = document.activeElement || document.body;
+      element = getDeepActiveElement() || document.body;
     }
 
     // Helper to get correct key code for a character
@@ -1084,14 +1774,14 @@ const helpers = {
     }, selector, xpath);
   },
 
-  select_text: ({ selector, xpath, start = 0, end }) => {
-    if (!selector && !xpath) return requireSelectorOrXpath();
+  select_text: ({ selector, xpath, locator, start = 0, end }) => {
+    if (!selector && !xpath && !locator) return requireSelectorOrXpath();
 
     let element;
     try {
-      element = findAllElements(selector, xpath)[0];
+      element = findAllElements(selector, xpath, locator)[0];
     } catch (e) {
-      const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+      const errorCode = invalidQueryCode(selector, xpath, locator);
       return respondWithError(errorCode, e.message, selector, xpath);
     }
 
@@ -1270,7 +1960,7 @@ const helpers = {
       let labelIndex = 1;
 
       interactiveSelectors.forEach(selector => {
-        document.querySelectorAll(selector).forEach(el => {
+        querySelectorAllDeep(selector).forEach(el => {
           if (isElementVisible(el)) {
             const rect = el.getBoundingClientRect();
             // Skip very small elements
@@ -1279,6 +1969,7 @@ const helpers = {
             elements.push({
               index: labelIndex++,
               selector: getUniqueSelector(el),
+              ref: getElementRef(el),
               tagName: el.tagName.toLowerCase(),
               type: el.type || el.getAttribute('role') || undefined,
               text: (el.innerText || el.value || el.getAttribute('aria-label') || el.placeholder || '').trim().substring(0, 50),
@@ -1384,81 +2075,31 @@ const helpers = {
     return respondWith({ cleared: false, message: 'No labels to clear' });
   },
 
-  accessibility_tree: ({ selector, xpath, maxDepth = 5, maxNodes = 500 }) => {
+  accessibility_tree: ({ selector, xpath, locator, maxDepth = 5, maxNodes = 500 }) => {
     try {
       let rootElement = document.body;
       let nodeCount = 0;
       let truncated = false;
 
-      if (selector || xpath) {
+      if (selector || xpath || locator) {
         try {
-          rootElement = findAllElements(selector, xpath)[0];
+          rootElement = findAllElements(selector, xpath, locator)[0];
         } catch (e) {
-          const errorCode = selector ? 'INVALID_SELECTOR' : 'INVALID_XPATH';
+          const errorCode = invalidQueryCode(selector, xpath, locator);
           return respondWithError(errorCode, e.message, selector, xpath);
         }
         if (!rootElement) return elementNotFound(selector, xpath);
       }
 
-      function getAccessibleName(el) {
-        // Priority: aria-label > aria-labelledby > alt > title > innerText
-        if (el.getAttribute('aria-label')) return el.getAttribute('aria-label');
-
-        const labelledBy = el.getAttribute('aria-labelledby');
-        if (labelledBy) {
-          const labelEl = document.getElementById(labelledBy);
-          if (labelEl) return labelEl.innerText?.trim();
+      // Children as rendered: a shadow root's content instead of the host's light DOM,
+      // and the elements assigned to a slot in place of the slot
+      function getRenderedChildren(el) {
+        if (el.shadowRoot) return Array.from(el.shadowRoot.children);
+        if (el.tagName === 'SLOT') {
+          const assigned = el.assignedElements({ flatten: true });
+          return assigned.length ? assigned : Array.from(el.children);
         }
-
-        if (el.alt) return el.alt;
-        if (el.title) return el.title;
-        if (el.labels?.[0]) return el.labels[0].innerText?.trim();
-
-        // For leaf nodes, use text content
-        const text = el.innerText?.trim();
-        if (text && text.length < 100) return text;
-
-        return undefined;
-      }
-
-      function getAccessibleRole(el) {
-        // Explicit role takes precedence
-        const explicitRole = el.getAttribute('role');
-        if (explicitRole) return explicitRole;
-
-        // Implicit roles from tag names
-        const tagRoles = {
-          'a': el.href ? 'link' : undefined,
-          'button': 'button',
-          'input': el.type === 'checkbox' ? 'checkbox' :
-            el.type === 'radio' ? 'radio' :
-              el.type === 'submit' ? 'button' :
-                el.type === 'text' || el.type === 'email' || el.type === 'password' ? 'textbox' :
-                  el.type,
-          'select': 'combobox',
-          'textarea': 'textbox',
-          'img': 'img',
-          'nav': 'navigation',
-          'main': 'main',
-          'header': 'banner',
-          'footer': 'contentinfo',
-          'aside': 'complementary',
-          'article': 'article',
-          'section': el.getAttribute('aria-label') || el.getAttribute('aria-labelledby') ? 'region' : undefined,
-          'form': 'form',
-          'table': 'table',
-          'ul': 'list',
-          'ol': 'list',
-          'li': 'listitem',
-          'h1': 'heading',
-          'h2': 'heading',
-          'h3': 'heading',
-          'h4': 'heading',
-          'h5': 'heading',
-          'h6': 'heading'
-        };
-
-        return tagRoles[el.tagName.toLowerCase()];
+        return Array.from(el.children);
       }
 
       function buildTree(el, depth = 0) {
@@ -1479,7 +2120,7 @@ const helpers = {
 
         // Build children
         const children = [];
-        for (const child of el.children) {
+        for (const child of getRenderedChildren(el)) {
           if (nodeCount >= maxNodes) {
             truncated = true;
             break;
@@ -1503,7 +2144,8 @@ const helpers = {
         const node = {
           role: role || 'generic',
           name: name?.substring(0, 100),
-          selector: role || name ? getUniqueSelector(el) : undefined
+          selector: role || name ? getUniqueSelector(el) : undefined,
+          ref: role || name ? getElementRef(el) : undefined
         };
 
         // Add relevant states
@@ -1537,12 +2179,12 @@ const helpers = {
 
   // ============ VISUAL FEEDBACK TOOLS ============
 
-  highlight({ selector, xpath, duration = 2000, color = 'red', style = 'border' }) {
-    if (!selector && !xpath) {
-      return respondWithError('SELECTOR_REQUIRED', 'Either selector or xpath is required');
+  highlight({ selector, xpath, locator, duration = 2000, color = 'red', style = 'border' }) {
+    if (!selector && !xpath && !locator) {
+      return respondWithError('SELECTOR_REQUIRED', 'Either selector, xpath, locator or ref is required');
     }
 
-    const elements = findAllElements(selector, xpath);
+    const elements = findAllElements(selector, xpath, locator);
     if (elements.length === 0) {
       return elementNotFound(selector, xpath, 0);
     }
@@ -1550,6 +2192,9 @@ const helpers = {
     const element = elements[0];
     const uniqueSelector = getUniqueSelector(element);
 
+    // Restore a previous highlight first so it is not mistaken for the original style
+    activeHighlights.get(element)?.();
+
     // Store original styles
     const originalOutline = element.style.outline;
     const originalBackground = element.style.background;
@@ -1566,14 +2211,18 @@ const helpers = {
       element.style.outline = `3px solid ${color}`;
     }
 
-    // Remove highlight after duration
-    setTimeout(() => {
+    // Remove highlight after duration, or earlier via _clearHighlights
+    const restore = () => {
+      clearTimeout(timer);
+      activeHighlights.delete(element);
       element.style.outline = originalOutline;
       element.style.background = originalBackground;
       setTimeout(() => {
         element.style.transition = originalTransition;
       }, 200);
-    }, duration);
+    };
+    const timer = setTimeout(restore, duration);
+    activeHighlights.set(element, restore);
 
     return respondWith({
       highlighted: true,
@@ -1587,17 +2236,13 @@ const helpers = {
 
   list_frames() {
     const frames = [];
-    const iframes = document.querySelectorAll('iframe');
+    const iframes = document.querySelectorAll('iframe, frame');
 
     iframes.forEach((iframe, index) => {
       const selector = getUniqueSelector(iframe);
-      let src = '';
-      let name = '';
       let accessible = false;
 
       try {
-        src = iframe.src || '';
-        name = iframe.name || '';
         // Try to access content to check if it's same-origin
         accessible = !!iframe.contentDocument;
       } catch (e) {
@@ -1608,9 +2253,11 @@ const helpers = {
       frames.push({
         index,
         selector,
-        name: name || null,
-        src,
+        frameId: chrome.runtime.getFrameId(iframe),
+        name: iframe.name || null,
+        src: iframe.src || '',
         accessible,
+        crossOrigin: !accessible,
         width: iframe.offsetWidth,
         height: iframe.offsetHeight
       });
@@ -1622,29 +2269,10 @@ const helpers = {
     });
   },
 
-  switch_to_frame({ frame }) {
-    if (!frame) {
-      return respondWithError('FRAME_REQUIRED', 'Frame identifier is required');
-    }
+  // Find an iframe in this document for switch_to_frame, by name, selector or list_frames index
+  _resolveFrame: ({ frame }) => {
+    let iframe = document.querySelector(`iframe[name="${CSS.escape(frame)}"], frame[name="${CSS.escape(frame)}"]`);
 
-    // Return to main document
-    if (frame === 'main') {
-      // This is handled by the content script injection mechanism
-      // We just acknowledge the request here
-      return respondWith({
-        switched: true,
-        frame: 'main',
-        message: 'Switched to main document context'
-      });
-    }
-
-    // Find the iframe
-    let iframe = null;
-
-    // Try by name first
-    iframe = document.querySelector(`iframe[name="${frame}"]`);
-
-    // Try by selector
     if (!iframe) {
       try {
         iframe = document.querySelector(frame);
@@ -1653,40 +2281,186 @@ const helpers = {
       }
     }
 
-    if (!iframe || iframe.tagName !== 'IFRAME') {
+    if (!iframe && /^\d+$/.test(frame)) {
+      iframe = document.querySelectorAll('iframe, frame')[Number(frame)] || null;
+    }
+
+    if (!iframe || (iframe.tagName !== 'IFRAME' && iframe.tagName !== 'FRAME')) {
       return respondWithError('FRAME_NOT_FOUND', `Could not find iframe: ${frame}`);
     }
 
-    // Check if accessible
+    const frameId = chrome.runtime.getFrameId(iframe);
+    if (frameId < 0) {
+      return respondWithError('FRAME_NOT_LOADED', `The iframe ${frame} has not loaded a document yet`);
+    }
+
+    let crossOrigin = true;
     try {
-      if (!iframe.contentDocument) {
-        return respondWithError('FRAME_CROSS_ORIGIN',
-          'Cannot access cross-origin iframe. Only same-origin iframes are supported.');
-      }
+      crossOrigin = !iframe.contentDocument;
     } catch (e) {
-      return respondWithError('FRAME_CROSS_ORIGIN',
-        'Cannot access cross-origin iframe. Only same-origin iframes are supported.');
+      // Cross-origin iframe
     }
 
-    const uniqueSelector = getUniqueSelector(iframe);
+    return { frameId, selector: getUniqueSelector(iframe), crossOrigin };
+  },
 
-    return respondWith({
-      switched: true,
-      frame: uniqueSelector,
-      src: iframe.src,
-      message: 'Frame context switch noted. Commands will target this frame.'
-    }, uniqueSelector);
+  // Where the content of a child frame starts in this document's viewport (inside border and padding)
+  _childFrameBox: ({ frameId }) => {
+    const iframe = Array.from(document.querySelectorAll('iframe, frame'))
+      .find(element => chrome.runtime.getFrameId(element) === frameId);
+    if (!iframe) {
+      return { error: { code: 'FRAME_NOT_FOUND', message: `No iframe element for frame ${frameId}` } };
+    }
+
+    const rect = iframe.getBoundingClientRect();
+    const style = getComputedStyle(iframe);
+    return {
+      x: rect.left + iframe.clientLeft + parseFloat(style.paddingLeft),
+      y: rect.top + iframe.clientTop + parseFloat(style.paddingTop)
+    };
   }
 };
 
+// Interaction recording for the DevTools panel. Each user action is sent to the
+// background as the equivalent tool call ({ tool, args }).
+const RECORDED_KEYS = new Set([
+  'Enter', 'Tab', 'Escape', 'Backspace', 'Delete', 'ArrowUp', 'ArrowDown',
+  'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End'
+]);
+const NON_FILLABLE_INPUT_TYPES = new Set([
+  'checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'image', 'hidden', 'range', 'color'
+]);
+// Passwords are never put in a recording; the fill step gets this value to replace before replaying
+const RECORDED_PASSWORD_PLACEHOLDER = '[password]';
+let recordingEnabled = false;
+let pendingFill = null; // Latest value typed into a field, sent before the next step
+
+function sendRecordedStep(tool, args) {
+  try {
+    chrome.runtime.sendMessage({ type: 'recordedStep', step: { tool, args } }).catch(() => { });
+  } catch (e) {
+    // Extension context invalidated
+  }
+}
+
+function flushPendingFill() {
+  if (!pendingFill) return;
+  const { selector, value } = pendingFill;
+  pendingFill = null;
+  sendRecordedStep('fill', { selector, value });
+}
+
+function isFillable(element) {
+  if (element.tagName === 'TEXTAREA') return true;
+  return element.tagName === 'INPUT' && !NON_FILLABLE_INPUT_TYPES.has(element.type);
+}
+
+function recordInput(event) {
+  const element = event.composedPath()[0];
+  if (!event.isTrusted || !(element instanceof Element) || !isFillable(element)) return;
+
+  if (pendingFill && pendingFill.element !== element) {
+    flushPendingFill();
+  }
+  // Resolve the selector once, while the element is still in the DOM
+  const selector = pendingFill?.selector || getUniqueSelector(element);
+  const value = element.type === 'password' ? RECORDED_PASSWORD_PLACEHOLDER : element.value;
+  pendingFill = { element, selector, value };
+}
+
+function recordChange(event) {
+  const element = event.composedPath()[0];
+  if (!event.isTrusted || !(element instanceof Element)) return;
+
+  if (element.tagName === 'SELECT') {
+    flushPendingFill();
+    sendRecordedStep('select', { selector: getUniqueSelector(element), value: element.value });
+  } else if (isFillable(element)) {
+    flushPendingFill();
+  }
+}
+
+function recordClick(event) {
+  const element = event.composedPath()[0];
+  if (!event.isTrusted || !(element instanceof Element)) return;
+  // Option picks are recorded as a select step on change
+  if (element.closest('select')) return;
+
+  flushPendingFill();
+  sendRecordedStep('click', { selector: getUniqueSelector(element) });
+}
+
+function recordKeydown(event) {
+  if (!event.isTrusted || ['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return;
+
+  // Plain characters end up in a fill step; only record special keys and shortcuts
+  const isShortcut = event.ctrlKey || event.metaKey || event.altKey;
+  if (!RECORDED_KEYS.has(event.key) && !isShortcut) return;
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('Control');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+  if (event.metaKey) modifiers.push('Meta');
+
+  flushPendingFill();
+  // composedPath()[0] is the real target inside shadow roots; event.target is retargeted to the host
+  const originalTarget = event.composedPath()[0];
+  const target = originalTarget instanceof Element && originalTarget !== document.body ? originalTarget : null;
+  sendRecordedStep('keypress', {
+    key: [...modifiers, event.key].join('+'),
+    selector: target ? getUniqueSelector(target) : undefined
+  });
+}
+
+function setRecording(enabled) {
+  if (enabled === recordingEnabled) return;
+  recordingEnabled = enabled;
+
+  const method = enabled ? 'addEventListener' : 'removeEventListener';
+  document[method]('input', recordInput, true);
+  document[method]('change', recordChange, true);
+  document[method]('click', recordClick, true);
+  document[method]('keydown', recordKeydown, true);
+  window[method]('pagehide', flushPendingFill);
+
+  if (!enabled) {
+    flushPendingFill();
+  }
+}
+
+// Form submission guard for sites whose policy forbids submitting forms.
+// The background enables it only while it runs a command that could submit.
+// Best effort: it cancels submit events, so form.submit() and fetch-based
+// submits from page scripts get through.
+let formSubmitGuardEnabled = false;
+let blockedSubmits = [];
+
+function blockSubmit(event) {
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  blockedSubmits.push(getUniqueSelector(event.target));
+}
+
+// Returns selectors of the forms whose submission was blocked while the guard was on
+function setFormSubmitGuard(enabled) {
+  const blocked = blockedSubmits;
+  if (enabled !== formSubmitGuardEnabled) {
+    formSubmitGuardEnabled = enabled;
+    window[enabled ? 'addEventListener' : 'removeEventListener']('submit', blockSubmit, true);
+  }
+  blockedSubmits = [];
+  return blocked;
+}
+
 // Mouse position tracking with throttling
 let lastMouseSendTime = 0;
 const MOUSE_THROTTLE_MS = 50; // Throttle to 20 updates per second
 let extensionContextValid = true; // Track if extension is still valid
 
 document.addEventListener('mousemove', (event) => {
-  // Don't try to send if we know context is invalid
-  if (!extensionContextValid) return;
+  // Don't try to send if we know context is invalid. Positions are only meaningful in the top document.
+  if (!extensionContextValid || window !== window.top) return;
 
   const now = Date.now();
   if (now - lastMouseSendTime < MOUSE_THROTTLE_MS) return;
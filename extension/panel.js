@@ -34,6 +34,9 @@ let consoleLogCount = 0;
 let port = null;
 let messageFilter = '';
 let visibleGroups = [];
+let recording = false;
+let recordedSteps = [];
+let approvals = [];
 
 // Initialize UI
 function initializeUI() {
@@ -52,6 +55,13 @@ function initializeUI() {
       // Update console count from background
       consoleLogCount = msg.count || 0;
       updateConsoleCount();
+    } else if (msg.type === 'recording' && msg.tabId === tabId) {
+      recording = msg.recording;
+      recordedSteps = msg.steps || [];
+      updateRecordingUI();
+    } else if (msg.type === 'approvals' && msg.tabId === tabId) {
+      approvals = msg.approvals || [];
+      renderApprovals();
     }
   });
 
@@ -62,6 +72,10 @@ function initializeUI() {
   document.getElementById('toggle').addEventListener('change', handleToggleChange);
   document.getElementById('clear-logs').addEventListener('click', handleClearLogs);
   document.getElementById('clear-messages').addEventListener('click', handleClearMessages);
+  document.getElementById('record-toggle').addEventListener('click', handleRecordToggle);
+  document.getElementById('export-recording').addEventListener('click', handleExportRecording);
+  document.getElementById('clear-recording').addEventListener('click', handleClearRecording);
+  document.getElementById('approvals').addEventListener('click', handleApprovalClick);
   document.getElementById('messages-list').addEventListener('click', handleMessageClick);
   document.getElementById('message-filter').addEventListener('input', (event) => {
     messageFilter = event.target.value || '';
@@ -295,6 +309,101 @@ function updateConsoleCount() {
   document.getElementById('console-count').textContent = `Console: ${consoleLogCount}`;
 }
 
+// Handle record toggle
+function handleRecordToggle() {
+  port.postMessage({ type: 'setRecording', tabId, enabled: !recording });
+}
+
+// Handle clear recorded steps
+function handleClearRecording() {
+  port.postMessage({ type: 'clearRecording', tabId });
+}
+
+// Download recorded steps in the format replay_script accepts
+function handleExportRecording() {
+  const script = {
+    version: 1,
+    recordedAt: new Date().toISOString(),
+    steps: recordedSteps
+  };
+  const blob = new Blob([JSON.stringify(script, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `llm-browser-bot-recording-${Date.now()}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Update recording controls
+function updateRecordingUI() {
+  const recordButton = document.getElementById('record-toggle');
+  recordButton.classList.toggle('recording', recording);
+  recordButton.textContent = recording ? 'Stop' : 'Record';
+
+  const hasSteps = recordedSteps.length > 0;
+  document.getElementById('export-recording').disabled = !hasSteps || recording;
+  document.getElementById('clear-recording').disabled = !hasSteps;
+
+  const stepLabel = `${recordedSteps.length} step${recordedSteps.length === 1 ? '' : 's'}`;
+  document.getElementById('recording-count').textContent = recording
+    ? `Recording: ${stepLabel}`
+    : `Recorded: ${stepLabel}`;
+}
+
+// Render commands waiting for the user to approve or deny them
+function renderApprovals() {
+  const container = document.getElementById('approvals');
+  container.innerHTML = '';
+
+  approvals.forEach((approval) => {
+    const approvalEl = document.createElement('div');
+    approvalEl.className = 'approval';
+
+    const detailsEl = document.createElement('div');
+    detailsEl.className = 'approval-details';
+
+    const commandEl = document.createElement('div');
+    commandEl.className = 'approval-command';
+    commandEl.textContent = `Approve ${approval.command}?`;
+
+    const reasonEl = document.createElement('div');
+    reasonEl.className = 'approval-reason';
+    reasonEl.textContent = approval.reason;
+
+    const paramsEl = document.createElement('div');
+    paramsEl.className = 'approval-params';
+    paramsEl.textContent = JSON.stringify(approval.params);
+    paramsEl.title = JSON.stringify(approval.params, null, 2);
+
+    detailsEl.append(commandEl, reasonEl, paramsEl);
+    approvalEl.appendChild(detailsEl);
+
+    [['Approve', 'approve-button', true], ['Deny', 'deny-button', false]].forEach(([label, className, approved]) => {
+      const button = document.createElement('button');
+      button.className = `clear-button ${className}`;
+      button.textContent = label;
+      button.dataset.approvalId = approval.id;
+      button.dataset.approved = String(approved);
+      approvalEl.appendChild(button);
+    });
+
+    container.appendChild(approvalEl);
+  });
+}
+
+function handleApprovalClick(event) {
+  const button = event.target.closest('button[data-approval-id]');
+  if (!button) return;
+  port.postMessage({
+    type: 'resolveApproval',
+    tabId,
+    approvalId: button.dataset.approvalId,
+    approved: button.dataset.approved === 'true'
+  });
+}
+
 function buildMessageGroups(allMessages, filterText) {
   const groupsMap = new Map();
 
@@ -484,7 +593,9 @@ function updateMessageSummary() {
 
 async function fetchServerHealth() {
   const healthEl = document.getElementById('server-health');
-  const endpoints = ['http://localhost:61822/health', 'http://localhost:61822/status'];
+  // The server picked in the popup, as in the extension's connections
+  const { serverPort = 61822 } = await chrome.storage.local.get('serverPort');
+  const endpoints = [`http://localhost:${serverPort}/health`, `http://localhost:${serverPort}/status`];
 
   for (const endpoint of endpoints) {
     try {
@@ -39,6 +39,9 @@ function tryConnect() {
       if (msg.type === 'state' && msg.tabId === tabId) {
         connectionAttempts = 0; // Reset on successful message
         updateUI(msg.connected, msg.status);
+        showAuthError(msg.error);
+      } else if (msg.type === 'approvals' && msg.tabId === tabId) {
+        renderApprovals(msg.approvals || []);
       }
     });
 
@@ -50,6 +53,7 @@ function tryConnect() {
       }
       if (state) {
         updateUI(state.connected, state.status);
+        showAuthError(state.error);
       }
     });
   } catch (e) {
@@ -83,6 +87,113 @@ document.getElementById('toggle').addEventListener('change', (e) => {
   }
 });
 
+// Server to connect to, picked from the ones answering on the scanned port range
+const serverSelect = document.getElementById('server-port');
+const serverHint = document.getElementById('server-hint');
+
+function scanServers() {
+  serverHint.textContent = 'Looking for servers...';
+  chrome.runtime.sendMessage({ type: 'scanServers' }, (result) => {
+    if (chrome.runtime.lastError || !result) {
+      serverHint.textContent = '';
+      return;
+    }
+    const { selected, servers } = result;
+    serverSelect.innerHTML = '';
+    servers.forEach((server) => {
+      const option = document.createElement('option');
+      option.value = server.port;
+      option.textContent = `localhost:${server.port} (${server.tabs} tab${server.tabs === 1 ? '' : 's'}, ${server.connections} client${server.connections === 1 ? '' : 's'})`;
+      serverSelect.appendChild(option);
+    });
+    // Keep the saved choice visible even when it is not running right now
+    if (!servers.some(server => server.port === selected)) {
+      const option = document.createElement('option');
+      option.value = selected;
+      option.textContent = `localhost:${selected} (not running)`;
+      serverSelect.prepend(option);
+    }
+    serverSelect.value = String(selected);
+    serverHint.textContent = servers.length ? '' : 'No server found. Start one with "npx llm-browser-bot".';
+  });
+}
+
+serverSelect.addEventListener('change', () => {
+  const serverPort = Number(serverSelect.value);
+  chrome.storage.local.set({ serverPort }, () => {
+    serverHint.textContent = 'Saved. Reconnect to use it.';
+  });
+});
+
+document.getElementById('scan-servers').addEventListener('click', scanServers);
+scanServers();
+
+// Auth token, sent by the background when a tab registers with the server
+const authTokenInput = document.getElementById('auth-token');
+const authHint = document.getElementById('auth-hint');
+
+chrome.storage.local.get('authToken', ({ authToken }) => {
+  authTokenInput.value = authToken || '';
+});
+
+authTokenInput.addEventListener('change', () => {
+  const authToken = authTokenInput.value.trim();
+  const saved = () => {
+    authHint.classList.remove('error');
+    authHint.textContent = authToken ? 'Saved. Reconnect to use it.' : 'Cleared.';
+  };
+  if (authToken) {
+    chrome.storage.local.set({ authToken }, saved);
+  } else {
+    chrome.storage.local.remove('authToken', saved);
+  }
+});
+
+function showAuthError(error) {
+  if (error) {
+    authHint.classList.add('error');
+    authHint.textContent = error;
+  } else if (authHint.classList.contains('error')) {
+    authHint.classList.remove('error');
+    authHint.textContent = '';
+  }
+}
+
+// Commands waiting for the user to approve or deny them
+function renderApprovals(approvals) {
+  const container = document.getElementById('approvals');
+  container.innerHTML = '';
+
+  approvals.forEach((approval) => {
+    const approvalEl = document.createElement('div');
+    approvalEl.className = 'approval';
+
+    const commandEl = document.createElement('div');
+    commandEl.className = 'approval-command';
+    commandEl.textContent = `Approve ${approval.command}?`;
+    commandEl.title = JSON.stringify(approval.params, null, 2);
+
+    const reasonEl = document.createElement('div');
+    reasonEl.className = 'approval-reason';
+    reasonEl.textContent = approval.reason;
+
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'approval-actions';
+    [['Approve', 'approve-btn', true], ['Deny', 'deny-btn', false]].forEach(([label, className, approved]) => {
+      const button = document.createElement('button');
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        port.postMessage({ type: 'resolveApproval', tabId, approvalId: approval.id, approved });
+      });
+      actionsEl.appendChild(button);
+    });
+
+    approvalEl.append(commandEl, reasonEl, actionsEl);
+    container.appendChild(approvalEl);
+  });
+}
+
 // Show reload required state
 function showReloadRequired() {
   isUpdatingUI = true;
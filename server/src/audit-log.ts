@@ -0,0 +1,282 @@
+import { createReadStream, existsSync } from 'fs';
+import { appendFile, mkdir } from 'fs/promises';
+import { createInterface } from 'readline';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Append-only record of every MCP tool call, one JSON object per line.
+ *
+ * Entries go to LLM_BROWSER_BOT_AUDIT_LOG, or ~/.llm-browser-bot/audit.jsonl by
+ * default. Set LLM_BROWSER_BOT_AUDIT_LOG=off to disable recording. The file is
+ * queried by the /audit endpoint and the `audit` CLI command, and can be turned
+ * back into a replay_script for one tab.
+ */
+
+export const AUDIT_LOG_ENV = 'LLM_BROWSER_BOT_AUDIT_LOG';
+
+export const DEFAULT_AUDIT_LOG_PATH = join(homedir(), '.llm-browser-bot', 'audit.jsonl');
+
+// Long argument values (evaluated code, uploaded file content) are cut to keep lines readable
+const MAX_ARG_LENGTH = 2000;
+const MAX_SUMMARY_LENGTH = 300;
+
+// Nesting below this depth is summarized rather than written out
+const MAX_ARG_DEPTH = 6;
+
+// Text typed into the page may be a password, so it is never written to the log
+const REDACTED_ARGS: Record<string, string> = { fill: 'value', type: 'text' };
+export const REDACTED_VALUE = '[redacted]';
+
+// Tools that manage tabs or run other tools; they are left out of replay scripts
+const NON_REPLAYABLE_TOOLS = new Set([
+  'list_tabs', 'tab_detail', 'get_active_tab', 'new_tab', 'close', 'replay_script', 'run_sequence'
+]);
+
+export interface AuditEntry {
+  time: string;
+  tool: string;
+  client: { name?: string; version?: string } | null;
+  connectionId?: string;
+  tabId?: string;
+  url?: string;
+  browser?: string;
+  args: Record<string, any>;
+  argsTruncated?: boolean;  // Some argument was cut, so the call cannot be replayed from the log
+  durationMs: number;
+  isError: boolean;
+  error?: { code?: string; message: string };
+  result?: { summary: string; images?: number };
+}
+
+export interface AuditQuery {
+  since?: string;
+  until?: string;
+  tool?: string;
+  tabId?: string;
+  client?: string;
+  errorsOnly?: boolean;
+  limit?: number;
+}
+
+export function getAuditLogPath(): string | null {
+  const configured = process.env[AUDIT_LOG_ENV]?.trim();
+  if (configured === 'off') {
+    return null;
+  }
+  return configured || DEFAULT_AUDIT_LOG_PATH;
+}
+
+/**
+ * Accepts an ISO date or a relative age such as 30m, 12h or 7d
+ */
+export function parseTime(value: string): number {
+  const relative = value.match(/^(\d+)\s*([smhd])$/);
+  if (relative) {
+    const unit = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 }[relative[2] as 's' | 'm' | 'h' | 'd'];
+    return Date.now() - Number(relative[1]) * unit;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}": use an ISO date or an age like 30m, 12h or 7d`);
+  }
+  return time;
+}
+
+// Set by sanitizeValue when it cuts or summarizes anything
+interface SanitizeState {
+  truncated: boolean;
+}
+
+function sanitizeValue(value: any, depth: number, state: SanitizeState): any {
+  if (typeof value === 'string') {
+    if (value.length <= MAX_ARG_LENGTH) {
+      return value;
+    }
+    state.truncated = true;
+    return `${value.slice(0, MAX_ARG_LENGTH)}… (${value.length} chars)`;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_ARG_DEPTH) {
+    state.truncated = true;
+    return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitizeValue(item, depth + 1, state));
+  }
+  const sanitized: Record<string, any> = {};
+  for (const [key, item] of Object.entries(value)) {
+    sanitized[key] = sanitizeValue(item, depth + 1, state);
+  }
+  return sanitized;
+}
+
+/**
+ * Copy of a tool's arguments that is safe to log: long strings are cut at any
+ * depth, and typed text is redacted, including in run_sequence and
+ * replay_script steps
+ */
+function sanitizeArgs(tool: string, args: any, state: SanitizeState, depth = 0): Record<string, any> {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return {};
+  }
+  const sanitized: Record<string, any> = {};
+  for (const [key, value] of Object.entries(args)) {
+    // Skip values the server adds for itself (_commandTimeout, _approval, ...)
+    if (key.startsWith('_')) continue;
+    if (REDACTED_ARGS[tool] === key && value !== undefined) {
+      sanitized[key] = REDACTED_VALUE;
+    } else if (key === 'steps' && Array.isArray(value)) {
+      sanitized[key] = value.map(step => step && typeof step === 'object'
+        ? { ...sanitizeValue(step, depth + 1, state), args: sanitizeArgs(step.tool, step.args, state, depth + 2) }
+        : sanitizeValue(step, depth + 1, state));
+    } else {
+      sanitized[key] = sanitizeValue(value, depth + 1, state);
+    }
+  }
+  return sanitized;
+}
+
+/**
+ * Reduce an MCP tool result to its error or a short text preview
+ */
+export function summarizeResult(result: any): Pick<AuditEntry, 'isError' | 'error' | 'result'> {
+  const content: any[] = Array.isArray(result?.content) ? result.content : [];
+  const text = content.find(item => item.type === 'text')?.text ?? '';
+  const images = content.filter(item => item.type === 'image').length;
+
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = undefined;
+  }
+
+  if (result?.isError || data?.error) {
+    return {
+      isError: true,
+      error: {
+        code: data?.error?.code,
+        message: data?.error?.message ?? (text || 'Tool call failed')
+      }
+    };
+  }
+
+  const compact = data === undefined ? text : JSON.stringify(data);
+  return {
+    isError: false,
+    result: {
+      summary: compact.length > MAX_SUMMARY_LENGTH ? `${compact.slice(0, MAX_SUMMARY_LENGTH)}…` : compact,
+      ...(images ? { images } : {})
+    }
+  };
+}
+
+export class AuditLog {
+  // Appends run one after another so lines keep their order
+  private writes: Promise<void> = Promise.resolve();
+
+  /**
+   * Append one entry without blocking the caller. Failures are logged but never
+   * break the tool call.
+   */
+  record(entry: Omit<AuditEntry, 'args'> & { args: any }): void {
+    const path = getAuditLogPath();
+    if (!path) return;
+
+    const state: SanitizeState = { truncated: false };
+    const args = sanitizeArgs(entry.tool, entry.args, state);
+    const line = JSON.stringify({ ...entry, args, ...(state.truncated ? { argsTruncated: true } : {}) }) + '\n';
+    this.writes = this.writes
+      .then(async () => {
+        await mkdir(dirname(path), { recursive: true });
+        await appendFile(path, line, { mode: 0o600 });
+      })
+      .catch((error: any) => {
+        logger.warn(`Failed to write audit log ${path}: ${error.message}`);
+      });
+  }
+
+  /**
+   * Matching entries, oldest first. A limit keeps the most recent ones.
+   * The log is read line by line, so with a limit only that many entries are held.
+   */
+  async query(query: AuditQuery = {}): Promise<AuditEntry[]> {
+    // Include entries still being written
+    await this.writes;
+
+    const path = getAuditLogPath();
+    if (!path || !existsSync(path)) {
+      return [];
+    }
+
+    const since = query.since ? parseTime(query.since) : undefined;
+    const until = query.until ? parseTime(query.until) : undefined;
+    const client = query.client?.toLowerCase();
+
+    const entries: AuditEntry[] = [];
+    const lines = createInterface({ input: createReadStream(path, 'utf-8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry: AuditEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A line cut short by a crash should not hide the rest of the log
+        continue;
+      }
+
+      const time = Date.parse(entry.time);
+      if (since !== undefined && time < since) continue;
+      if (until !== undefined && time > until) continue;
+      if (query.tool && entry.tool !== query.tool) continue;
+      if (query.tabId && entry.tabId !== query.tabId) continue;
+      if (client && !entry.client?.name?.toLowerCase().includes(client)) continue;
+      if (query.errorsOnly && !entry.isError) continue;
+      entries.push(entry);
+      if (query.limit && entries.length > query.limit) {
+        entries.shift();
+      }
+    }
+
+    return entries;
+  }
+}
+
+export interface ReplayScript {
+  steps: Array<{ tool: string; args: Record<string, any>; needsInput?: string[] }>;
+  // Calls left out because the log only has part of their arguments
+  skipped: Array<{ time: string; tool: string; reason: string }>;
+}
+
+/**
+ * Turn successful calls against one tab into replay_script steps. Typed text
+ * is not in the log, so those steps leave it out and list it under needsInput;
+ * replay_script refuses them until it is filled in. Calls whose arguments were
+ * cut are skipped.
+ */
+export function toReplayScript(entries: AuditEntry[]): ReplayScript {
+  const script: ReplayScript = { steps: [], skipped: [] };
+  for (const entry of entries) {
+    if (entry.isError || NON_REPLAYABLE_TOOLS.has(entry.tool)) continue;
+    if (entry.argsTruncated) {
+      script.skipped.push({ time: entry.time, tool: entry.tool, reason: 'Its arguments were cut in the audit log' });
+      continue;
+    }
+
+    const { tabId, ...args } = entry.args;
+    const redacted = REDACTED_ARGS[entry.tool];
+    if (redacted && args[redacted] === REDACTED_VALUE) {
+      delete args[redacted];
+      script.steps.push({ tool: entry.tool, args, needsInput: [redacted] });
+    } else {
+      script.steps.push({ tool: entry.tool, args });
+    }
+  }
+  return script;
+}
+
+export const auditLog = new AuditLog();
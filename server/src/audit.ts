@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+import { writeFileSync } from 'fs';
+import { auditLog, getAuditLogPath, toReplayScript, AuditEntry, AuditQuery } from './audit-log.js';
+
+// Reads the audit log file directly, so it works whether or not the server is running
+
+const USAGE = `Usage: llm-browser-bot audit [options]
+
+Options:
+  --since <time>      Only calls after an ISO date or age (30m, 12h, 7d)
+  --until <time>      Only calls before an ISO date or age
+  --tool <name>       Only calls to one tool
+  --tab <tabId>       Only calls against one tab
+  --client <name>     Only calls from MCP clients whose name contains this text
+  --errors            Only failed calls
+  --limit <n>         Keep the most recent n calls
+  --format <format>   table (default), jsonl, or script (a replay_script for --tab)
+  --output <file>     Write to a file instead of stdout`;
+
+function fail(message: string): never {
+  console.error(message);
+  console.error('');
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv: string[]) {
+  const query: AuditQuery = {};
+  let format = 'table';
+  let output: string | undefined;
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => argv[++i] ?? fail(`${flag} needs a value`);
+    switch (flag) {
+      case '--since': query.since = value(); break;
+      case '--until': query.until = value(); break;
+      case '--tool': query.tool = value(); break;
+      case '--tab': query.tabId = value(); break;
+      case '--client': query.client = value(); break;
+      case '--errors': query.errorsOnly = true; break;
+      case '--limit': query.limit = Number(value()) || fail('--limit needs a number'); break;
+      case '--format': format = value(); break;
+      case '--output': output = value(); break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+      default:
+        fail(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!['table', 'jsonl', 'script'].includes(format)) {
+    fail(`Unknown format: ${format}`);
+  }
+  if (format === 'script' && !query.tabId) {
+    fail('--format script needs --tab, since a replay script runs against one tab');
+  }
+  return { query, format, output };
+}
+
+function formatRow(entry: AuditEntry): string {
+  const client = entry.client?.name ?? 'unknown client';
+  const status = entry.isError
+    ? `ERROR ${entry.error?.code ?? ''} ${entry.error?.message ?? ''}`.replace(/\s+/g, ' ').trim()
+    : 'ok';
+  const target = entry.tabId ? `tab ${entry.tabId}${entry.url ? ` ${entry.url}` : ''}` : '-';
+  return `${entry.time}  ${entry.tool.padEnd(18)} ${String(entry.durationMs).padStart(6)}ms  ${client}  ${target}  ${status}`;
+}
+
+const path = getAuditLogPath();
+if (!path) {
+  console.error('Audit logging is disabled (LLM_BROWSER_BOT_AUDIT_LOG=off)');
+  process.exit(1);
+}
+
+const { query, format, output } = parseArgs(process.argv.slice(2));
+
+let entries: AuditEntry[];
+try {
+  entries = await auditLog.query(query);
+} catch (error: any) {
+  fail(error.message);
+}
+
+let text: string;
+if (format === 'jsonl') {
+  text = entries.map(entry => JSON.stringify(entry)).join('\n');
+} else if (format === 'script') {
+  text = JSON.stringify({ tabId: query.tabId, ...toReplayScript(entries) }, null, 2);
+} else {
+  text = entries.length > 0
+    ? entries.map(formatRow).join('\n')
+    : `No matching tool calls in ${path}`;
+}
+
+if (output) {
+  writeFileSync(output, text + '\n');
+  console.log(`Wrote ${entries.length} call(s) to ${output}`);
+} else {
+  console.log(text);
+}
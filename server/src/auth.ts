@@ -0,0 +1,110 @@
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, chmodSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { IncomingMessage, ServerResponse } from 'http';
+
+/**
+ * Shared-secret authentication for the browser and MCP endpoints.
+ *
+ * The token comes from the LLM_BROWSER_BOT_TOKEN environment variable or from
+ * ~/.llm-browser-bot/auth-token, which `setup` and `start` create. When neither
+ * exists authentication is disabled, so existing installs keep working.
+ */
+
+export const AUTH_TOKEN_ENV = 'LLM_BROWSER_BOT_TOKEN';
+
+export const AUTH_TOKEN_PATH = join(homedir(), '.llm-browser-bot', 'auth-token');
+
+export const UNAUTHORIZED_MESSAGE =
+  'Authentication required: send the LLM Browser Bot token as "Authorization: Bearer <token>" ' +
+  `(or ?token=<token> for WebSocket clients). The token is stored in ${AUTH_TOKEN_PATH}.`;
+
+/**
+ * Read the configured token, or null when authentication is disabled
+ */
+export function loadAuthToken(): string | null {
+  const fromEnv = process.env[AUTH_TOKEN_ENV]?.trim();
+  if (fromEnv) {
+    return fromEnv;
+  }
+
+  if (!existsSync(AUTH_TOKEN_PATH)) {
+    return null;
+  }
+  const fromFile = readFileSync(AUTH_TOKEN_PATH, 'utf-8').trim();
+  return fromFile || null;
+}
+
+/**
+ * Return the configured token, generating and saving a new one if there is none
+ */
+export function ensureAuthToken(): string {
+  const existing = loadAuthToken();
+  if (existing) {
+    return existing;
+  }
+
+  const token = randomBytes(24).toString('hex');
+  mkdirSync(dirname(AUTH_TOKEN_PATH), { recursive: true });
+  writeFileSync(AUTH_TOKEN_PATH, token + '\n', { mode: 0o600 });
+  // mode is ignored when the file already existed (e.g. it was empty)
+  chmodSync(AUTH_TOKEN_PATH, 0o600);
+  return token;
+}
+
+/**
+ * Extract the token a client sent, from the Authorization header or the token query param
+ */
+export function getRequestToken(req: IncomingMessage): string | undefined {
+  const header = req.headers['authorization'];
+  if (header) {
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+
+  const url = new URL(req.url || '', 'http://localhost');
+  return url.searchParams.get('token') ?? undefined;
+}
+
+/**
+ * Hide a ?token= value before a URL is logged
+ */
+export function redactToken(url: string | undefined): string | undefined {
+  return url?.replace(/([?&]token=)[^&]*/i, '$1[redacted]');
+}
+
+/**
+ * Constant-time comparison. Always true when authentication is disabled.
+ */
+export function isValidToken(expected: string | null, provided: unknown): boolean {
+  if (!expected) {
+    return true;
+  }
+  if (typeof provided !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length && timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+export function isAuthorizedRequest(expected: string | null, req: IncomingMessage): boolean {
+  return isValidToken(expected, getRequestToken(req));
+}
+
+/**
+ * Send a 401 with a JSON error explaining how to authenticate
+ */
+export function rejectUnauthorized(res: ServerResponse): void {
+  res.writeHead(401, {
+    'Content-Type': 'application/json',
+    'WWW-Authenticate': 'Bearer realm="llm-browser-bot"'
+  });
+  res.end(JSON.stringify({
+    error: UNAUTHORIZED_MESSAGE,
+    code: 'UNAUTHORIZED'
+  }));
+}
@@ -3,32 +3,261 @@
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { createRequire } from 'module';
+import { createInterface } from 'readline';
+import { WebSocket } from 'ws';
+import { loadAuthToken } from './auth.js';
+import { resolvePortOrExit } from './server-port.js';
+import { getPortInfo, isServerHealthy, waitForServer } from './port-check.js';
+import { tryAcquireSpawnLock, releaseSpawnLock } from './stdio-lock.js';
 
 process.title = 'Kapture MCP Bridge';
 
-const require = createRequire(import.meta.url);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const MCPWebSocketBridge = require('mcp2websocket');
+// The bridge and the server it starts use the same port
+const PORT = resolvePortOrExit();
 
-const serverPath = join(__dirname, 'index.js');
-const serverProcess = spawn(process.execPath, [serverPath], {
-  detached: true,
-  stdio: 'ignore'
-});
+// How long a starting server may take to answer its health check
+const STARTUP_TIMEOUT_MS = 15000;
+
+// Wait between reconnection attempts, doubling from the first value to the second
+const RECONNECT_MIN_MS = 250;
+const RECONNECT_MAX_MS = 5000;
+
+// JSON-RPC error code for requests the bridge could not deliver or get answered
+const CONNECTION_LOST = -32000;
+
+// Id prefix of the initialize requests the bridge replays after reconnecting
+const REPLAY_ID_PREFIX = 'bridge-reinitialize-';
+
+// The bridge speaks MCP on stdout, so its own messages go to stderr
+const log = (message: string) => console.error(`[bridge] ${message}`);
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The bridge can only pass the token in the URL
+const authToken = loadAuthToken();
+const url = authToken
+  ? `ws://localhost:${PORT}/mcp?token=${encodeURIComponent(authToken)}`
+  : `ws://localhost:${PORT}/mcp`;
+
+let socket: WebSocket | null = null;
+let stdinClosed = false;
+let replayCount = 0;
+
+// Client messages that arrived while the server was unreachable
+const pending: any[] = [];
+
+// Ids of client requests the server has not answered yet
+const inFlight = new Set<string | number>();
+
+// The session handshake, replayed so a restarted server knows the client
+let initializeRequest: any = null;
+let initializedNotification: any = null;
+
+const isRequest = (message: any) => typeof message?.method === 'string' && message.id !== undefined;
+const isResponse = (message: any) => message?.method === undefined && message?.id !== undefined;
+const isUnauthorized = (error: Error) => /\b401\b/.test(error.message);
+
+function writeToClient(message: any): void {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function failRequest(id: string | number, message: string): void {
+  writeToClient({ jsonrpc: '2.0', id, error: { code: CONNECTION_LOST, message } });
+}
+
+function deliver(ws: WebSocket, message: any): void {
+  if (message.method === 'initialize') {
+    initializeRequest = message;
+  } else if (message.method === 'notifications/initialized') {
+    initializedNotification = message;
+  }
+  if (isRequest(message)) {
+    inFlight.add(message.id);
+  }
+  ws.send(JSON.stringify(message));
+}
+
+function startServer(): void {
+  const serverPath = join(__dirname, 'index.js');
+  const serverProcess = spawn(process.execPath, [serverPath, '--port', String(PORT)], {
+    detached: true,
+    stdio: 'ignore'
+  });
+  serverProcess.unref();
+}
+
+/**
+ * Make sure a server answers on PORT: reuse the one that is running, or start
+ * one and wait until its health check passes
+ */
+async function ensureServer(): Promise<void> {
+  if (await isServerHealthy(PORT)) {
+    return;
+  }
+
+  // Something already listening may be a server that is still starting.
+  // Bridges started together all get this far; only the one holding the spawn
+  // lock starts a server, the others wait for it to answer.
+  const portInfo = await getPortInfo(PORT);
+  let ready = false;
+  if (!portInfo.inUse && tryAcquireSpawnLock(PORT)) {
+    try {
+      // Another bridge may have started one between the checks above and taking the lock
+      ready = await isServerHealthy(PORT);
+      if (!ready) {
+        log(`Starting server on port ${PORT}`);
+        startServer();
+        ready = await waitForServer(PORT, STARTUP_TIMEOUT_MS);
+      }
+    } finally {
+      releaseSpawnLock(PORT);
+    }
+  } else {
+    if (!portInfo.inUse) {
+      log(`Another bridge is starting the server on port ${PORT}, waiting for it`);
+    }
+    ready = await waitForServer(PORT, STARTUP_TIMEOUT_MS);
+  }
+
+  if (ready) {
+    return;
+  }
+  throw new Error(portInfo.inUse
+    ? `Port ${PORT} is in use by "${portInfo.command ?? 'unknown'}" (PID ${portInfo.pid ?? 'unknown'}), which does not answer as an LLM Browser Bot server`
+    : `The server did not become ready on port ${PORT} within ${STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+/**
+ * Open the MCP WebSocket. On a reconnect, the client's handshake is replayed
+ * first and its reply dropped, then the queued messages follow.
+ */
+function connect(): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+
+    ws.on('open', () => {
+      socket = ws;
+      if (initializeRequest) {
+        ws.send(JSON.stringify({ ...initializeRequest, id: `${REPLAY_ID_PREFIX}${++replayCount}` }));
+        if (initializedNotification) {
+          ws.send(JSON.stringify(initializedNotification));
+        }
+      }
+      pending.splice(0).forEach(message => deliver(ws, message));
+      resolve();
+    });
+
+    ws.on('message', (data: Buffer) => {
+      let message: any;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        log('Dropped a server message that is not JSON');
+        return;
+      }
+      if (isResponse(message)) {
+        if (String(message.id).startsWith(REPLAY_ID_PREFIX)) {
+          if (message.error) {
+            log(`The server refused the replayed handshake: ${message.error.message}`);
+          }
+          return;
+        }
+        inFlight.delete(message.id);
+      }
+      writeToClient(message);
+    });
+
+    ws.on('error', (error) => {
+      if (socket !== ws) {
+        reject(error);
+      }
+    });
+
+    ws.on('close', () => {
+      if (socket === ws) {
+        socket = null;
+        if (!stdinClosed) {
+          reconnect();
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Get back to a server after the connection drops, starting a new one if it
+ * stopped. Requests the old connection left unanswered fail so the client
+ * can retry them; later ones wait in the queue until the server is back.
+ */
+async function reconnect(): Promise<void> {
+  log('Lost the connection to the server, reconnecting...');
+  for (const id of inFlight) {
+    failRequest(id, 'The connection to the LLM Browser Bot server was lost before it answered. Try the request again.');
+  }
+  inFlight.clear();
+
+  let delay = RECONNECT_MIN_MS;
+  while (!stdinClosed) {
+    await sleep(delay);
+    try {
+      await ensureServer();
+      await connect();
+      log('Reconnected');
+      return;
+    } catch (error: any) {
+      if (isUnauthorized(error)) {
+        log('The server refused the auth token. Run "llm-browser-bot setup" to create a new one.');
+        process.exit(1);
+      }
+      log(`Reconnect failed: ${error.message}`);
 
-serverProcess.unref();
+      // Keep notifications for later, but do not leave requests hanging
+      const queued = pending.splice(0);
+      queued.filter(isRequest).forEach(message =>
+        failRequest(message.id, `The LLM Browser Bot server is unreachable: ${error.message}`));
+      pending.push(...queued.filter(message => !isRequest(message)));
 
-setTimeout(() => {
+      delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+    }
+  }
+}
+
+const stdin = createInterface({ input: process.stdin });
+
+stdin.on('line', (line) => {
+  if (!line.trim()) {
+    return;
+  }
+  let message: any;
   try {
-    const bridge = new MCPWebSocketBridge('ws://localhost:61822/mcp', {});
-    bridge.start();
-    // Keep the process alive
-    process.stdin.resume();
-  } catch (error) {
-    console.error('Failed to start bridge:', error);
-    process.exit(1);
-  }
-}, 1000);
\ No newline at end of file
+    message = JSON.parse(line);
+  } catch {
+    log('Dropped a client message that is not JSON');
+    return;
+  }
+  if (socket?.readyState === WebSocket.OPEN) {
+    deliver(socket, message);
+  } else {
+    pending.push(message);
+  }
+});
+
+// The client hung up
+stdin.on('close', () => {
+  stdinClosed = true;
+  socket?.close();
+  process.exit(0);
+});
+
+try {
+  await ensureServer();
+  await connect();
+} catch (error: any) {
+  console.error('Failed to start bridge:', isUnauthorized(error)
+    ? 'the server refused the auth token. Run "llm-browser-bot setup" to create a new one.'
+    : error.message);
+  process.exit(1);
+}
@@ -3,6 +3,7 @@ import { TabRegistry } from './tab-registry.js';
 import { logger } from './logger.js';
 import { exec } from 'child_process';
 import { formatTabDetail } from './tab-utils.js';
+import { TabCommandQueue, CommandCaller } from './command-queue.js';
 
 interface CommandRequest {
   id: string;
@@ -21,10 +22,18 @@ interface CommandResponse {
   };
 }
 
+// Extra time for commands with waitUntil, so the extension can report which condition timed out
+const NAVIGATION_WAIT_MARGIN_MS = 2000;
+
+// Commands that load a new document, which replaces all of the tab's frames
+const FRAME_RESET_COMMANDS = new Set(['navigate', 'back', 'forward', 'reload']);
+
 // Common parameter interfaces
 interface ElementParams {
   selector?: string;
   xpath?: string;
+  locator?: string;
+  ref?: string;
 }
 
 export class BrowserCommandHandler {
@@ -33,8 +42,10 @@ export class BrowserCommandHandler {
     reject: (error: any) => void;
     timeout: NodeJS.Timeout;
     tabId?: string;
+    command?: string;
   }> = new Map();
   private clientInfo: { name?: string; version?: string } = {};
+  private tabQueue = new TabCommandQueue();
 
   constructor(
     private browserWebSocketManager: BrowserWebSocketManager,
@@ -45,6 +56,32 @@ export class BrowserCommandHandler {
     this.clientInfo = info;
   }
 
+  /**
+   * Commands running and waiting on each busy tab
+   */
+  getQueueState() {
+    return this.tabQueue.getState();
+  }
+
+  /**
+   * Hold the tab's queue slot while run() sends several commands, so no other
+   * client's command lands between them. run() gets a caller whose commands
+   * skip the queue for this tab.
+   */
+  async holdTab<T>(tabId: string, command: string, caller: CommandCaller | undefined, run: (caller: CommandCaller) => Promise<T>): Promise<{ result: T; queued?: { waitedMs: number; behind: { command: string; client: string } } }> {
+    const client = caller?.name ?? 'unknown client';
+    const ticket = await this.tabQueue.acquire(tabId, command, client);
+    if (ticket.behind) {
+      logger.log(`Command ${command} for ${client} waited ${ticket.waitedMs}ms on tab ${tabId} behind ${ticket.behind.command} from ${ticket.behind.client}`);
+    }
+    try {
+      const result = await run({ ...caller, name: client, heldTab: tabId });
+      return { result, queued: ticket.behind ? { waitedMs: ticket.waitedMs, behind: ticket.behind } : undefined };
+    } finally {
+      ticket.release();
+    }
+  }
+
   // ========================================================================
   // Generic Tool Execution
   // ========================================================================
@@ -61,7 +98,9 @@ export class BrowserCommandHandler {
 
     // Map tool names to command names (most are the same)
     const commandMap: { [key: string]: string } = {
-      'console_logs': 'getLogs'
+      'console_logs': 'getLogs',
+      'network_requests': 'getNetworkRequests',
+      'network_request_detail': 'getNetworkRequestDetail'
     };
 
     const command = commandMap[toolName] || toolName;
@@ -114,18 +153,15 @@ export class BrowserCommandHandler {
       const tabs = await this.executeCommand('getAllTabs', { tabId: bridgeTabId });
       if (!Array.isArray(tabs)) return [];
 
-      return tabs
-        .filter((tab: any) => {
-          const url = (tab.url || '').toLowerCase();
-          return !url.includes('chatgpt.com') && !url.includes('openai.com');
-        })
-        .map((tab: any) => {
-          // Prefix ID if instanceId is present
-          if (instanceId) {
-            tab.id = `${instanceId}:${tab.id}`;
-          }
-          return tab;
-        });
+      // Tabs on protected sites stay in the list; list_tabs marks them
+      // automationSafe=false according to the site policy
+      return tabs.map((tab: any) => {
+        // Prefix ID if instanceId is present
+        if (instanceId) {
+          tab.id = `${instanceId}:${tab.id}`;
+        }
+        return tab;
+      });
     } catch (e) {
       logger.error(`Failed to query tabs from instance ${instanceId}:`, e);
       return [];
@@ -237,8 +273,8 @@ export class BrowserCommandHandler {
   // ========================================================================
 
   private async executeCommand(command: string, args: any): Promise<any> {
-    // Extract tabId from args
-    const { tabId, ...params } = args;
+    // Extract tabId and the calling client from args
+    const { tabId, _caller, ...params } = args as { tabId: string; _caller?: CommandCaller; [key: string]: any };
 
     if (!tabId) {
       throw new Error('tabId is required');
@@ -250,6 +286,21 @@ export class BrowserCommandHandler {
       throw new Error(`Tab ${tabId} not found`);
     }
 
+    // One command per tab at a time (by default), so clients cannot interleave actions.
+    // getAllTabs only uses the tab as a bridge to the browser and skips the queue,
+    // as do the steps of a sequence that already holds the tab (see holdTab).
+    const client = _caller?.name ?? 'unknown client';
+    const skipQueue = command === 'getAllTabs' || _caller?.heldTab === tabId;
+    const ticket = skipQueue ? undefined : await this.tabQueue.acquire(tabId, command, client);
+    if (ticket?.behind) {
+      logger.log(`Command ${command} for ${client} waited ${ticket.waitedMs}ms on tab ${tabId} behind ${ticket.behind.command} from ${ticket.behind.client}`);
+    }
+
+    // Run in the frame selected with switch_to_frame; the extension decides which commands that applies to
+    if (tab.frame) {
+      params._frameId = tab.frame.frameId;
+    }
+
     // Generate unique command ID
     const commandId = `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
@@ -264,25 +315,33 @@ export class BrowserCommandHandler {
     // Setup promise for response
     const responsePromise = new Promise<any>((resolve, reject) => {
       // Use _commandTimeout if set by tool-handler (for wait_for_element, type), 
-      // then params.timeout, then default 5 seconds
-      const timeoutMs = params._commandTimeout || params.timeout || 5000;
+      // then params.timeout, then default 5 seconds.
+      // Commands that need human approval may wait in the extension for up to _approval.timeoutMs first,
+      // and interactions for up to waitTimeout for their element to become actionable.
+      const actionWaitMs = params.autoWait === false ? 0 : (params.waitTimeout || 0);
+      const navigationWaitMs = params.waitUntil ? NAVIGATION_WAIT_MARGIN_MS : 0;
+      const timeoutMs = (params._commandTimeout || params.timeout || 5000) + (params._approval?.timeoutMs || 0) + actionWaitMs + navigationWaitMs;
 
       // Set timeout
       const timeout = setTimeout(() => {
         this.pendingCommands.delete(commandId);
         logger.warn(`Command timeout for ${command} (${commandId})`);
 
-        // Include selector/xpath in error message for easier debugging
+        // Include selector/xpath/locator/ref in error message for easier debugging
         let errorMessage = `Command timeout: ${command}`;
         if (params.selector) {
           errorMessage += ` (selector: ${params.selector})`;
         } else if (params.xpath) {
           errorMessage += ` (xpath: ${params.xpath})`;
+        } else if (params.locator) {
+          errorMessage += ` (locator: ${params.locator})`;
+        } else if (params.ref) {
+          errorMessage += ` (ref: ${params.ref})`;
         }
         reject(new Error(errorMessage));
       }, timeoutMs);
 
-      this.pendingCommands.set(commandId, { resolve, reject, timeout, tabId });
+      this.pendingCommands.set(commandId, { resolve, reject, timeout, tabId, command });
       logger.log(`Registered pending command: ${command} (${commandId})`);
     });
 
@@ -294,9 +353,14 @@ export class BrowserCommandHandler {
       // Wait for response
       const response = await responsePromise;
       logger.log(`Command completed: ${command} (${commandId})`);
+      if (ticket?.behind && response && typeof response === 'object' && !Array.isArray(response)) {
+        return { ...response, queued: { waitedMs: ticket.waitedMs, behind: ticket.behind } };
+      }
       return response;
     } catch (error: any) {
       throw new Error(error.message);
+    } finally {
+      ticket?.release();
     }
   }
 
@@ -332,6 +396,13 @@ export class BrowserCommandHandler {
       }
     }
 
+    if (response.success && pending.tabId) {
+      this.updateFrameContext(pending.tabId, pending.command, response.result);
+      if (response.result?.emulation && !response.result.error) {
+        this.tabRegistry.setEmulation(pending.tabId, response.result.emulation);
+      }
+    }
+
     // Resolve or reject based on response
     if (response.success) {
       logger.log(`Resolving command ${response.id} with result`);
@@ -342,6 +413,28 @@ export class BrowserCommandHandler {
     }
   }
 
+  /**
+   * Track the tab's selected frame: switch_to_frame changes it, navigating
+   * the tab or losing the frame returns to the top document, and results from
+   * the frame keep its URL current
+   */
+  private updateFrameContext(tabId: string, command: string | undefined, result: any): void {
+    if (result?.error?.code === 'FRAME_DETACHED') {
+      this.tabRegistry.setFrame(tabId, undefined);
+    } else if (result?.error) {
+      return;
+    } else if (command === 'switch_to_frame' && result?.switched) {
+      this.tabRegistry.setFrame(tabId, result.frameId
+        ? { frameId: result.frameId, selector: result.frame, url: result.src }
+        : undefined);
+    } else if (command && FRAME_RESET_COMMANDS.has(command)) {
+      this.tabRegistry.setFrame(tabId, undefined);
+    } else if (typeof result?.frame?.frameId === 'number' && result.frame.url) {
+      // Results from the selected frame report its current URL
+      this.tabRegistry.updateFrameUrl(tabId, result.frame.frameId, result.frame.url);
+    }
+  }
+
   cleanup(): void {
     // Clear all pending commands
     for (const [commandId, pending] of this.pendingCommands) {
@@ -1,6 +1,7 @@
 import { WebSocketServer, WebSocket } from 'ws';
 import { TabRegistry } from './tab-registry.js';
 import { logger } from './logger.js';
+import { isValidToken, redactToken } from './auth.js';
 
 interface Message {
   type: string;
@@ -17,6 +18,7 @@ interface RegisterMessage extends Message {
   domSize?: number;
   fullPageDimensions?: { width: number; height: number };
   viewportDimensions?: { width: number; height: number };
+  authToken?: string;
 }
 
 interface ResponseMessage extends Message {
@@ -33,11 +35,15 @@ interface ResponseMessage extends Message {
 export class BrowserWebSocketManager {
   private responseHandler?: (response: ResponseMessage) => void;
   private consoleLogHandler?: (tabId: string, logEntry: any) => void;
+  private downloadHandler?: (tabId: string, download: any) => void;
   private mcpClientInfo: { name?: string; version?: string } = {};
+  // Sockets that registered with a valid token
+  private authenticatedSockets = new WeakSet<WebSocket>();
 
   constructor(
     private wss: WebSocketServer,
-    private tabRegistry: TabRegistry
+    private tabRegistry: TabRegistry,
+    private authToken: string | null = null
   ) {
     this.setupWebSocketServer();
   }
@@ -51,6 +57,10 @@ export class BrowserWebSocketManager {
     this.consoleLogHandler = handler;
   }
 
+  setDownloadHandler(handler: (tabId: string, download: any) => void): void {
+    this.downloadHandler = handler;
+  }
+
   setMcpClientInfo(info: { name?: string; version?: string }): void {
     this.mcpClientInfo = info;
 
@@ -65,10 +75,10 @@ export class BrowserWebSocketManager {
 
   private setupWebSocketServer(): void {
     this.wss.on('connection', (ws: WebSocket, request) => {
-      logger.log(`New WebSocket connection: ${request.url}`);
+      logger.log(`New WebSocket connection: ${redactToken(request.url)}`);
 
       // Skip MCP connections - they're handled at the HTTP server level
-      if (request.url === '/mcp') {
+      if (request.url?.split('?')[0] === '/mcp') {
         return;
       }
 
@@ -132,6 +142,12 @@ export class BrowserWebSocketManager {
    * - Unknown types: Sends error response back to extension
    */
   private routeBrowserMessage(ws: WebSocket, message: Message): void {
+    // Only a successful registration can authenticate a socket
+    if (message.type !== 'register' && this.authToken && !this.authenticatedSockets.has(ws)) {
+      this.rejectUnauthorized(ws, 'Tab must register with a valid auth token before sending messages');
+      return;
+    }
+
     switch (message.type) {
       case 'register':
         this.handleTabRegistration(ws, message as RegisterMessage);
@@ -165,6 +181,14 @@ export class BrowserWebSocketManager {
         }
         break;
 
+      case 'frame-navigated':
+        // A frame in the tab loaded a new document
+        const frameConnection = this.tabRegistry.findByWebSocket(ws);
+        if (frameConnection && typeof message.frameId === 'number' && message.url) {
+          this.tabRegistry.updateFrameUrl(frameConnection.tabId, message.frameId, message.url);
+        }
+        break;
+
       case 'tab-active':
         // Handle active tab change - mark this tab as active and others as inactive
         const activeConnection = this.tabRegistry.findByWebSocket(ws);
@@ -202,6 +226,17 @@ export class BrowserWebSocketManager {
         }
         break;
 
+      case 'download':
+        // A download started from this tab finished
+        const downloadConnection = this.tabRegistry.findByWebSocket(ws);
+        if (downloadConnection && message.download) {
+          logger.log(`Download ${message.download.id} finished for tab ${downloadConnection.tabId}: ${message.download.fileName}`);
+          if (this.downloadHandler) {
+            this.downloadHandler(downloadConnection.tabId, message.download);
+          }
+        }
+        break;
+
       case 'ping':
         // Handle keepalive ping from extension - just send pong back
         ws.send(JSON.stringify({
@@ -235,6 +270,15 @@ export class BrowserWebSocketManager {
     const { requestedTabId, url, title, browser, instanceId, domSize, fullPageDimensions, viewportDimensions,
       scrollPosition, pageVisibility } = message;
 
+    if (!isValidToken(this.authToken, message.authToken)) {
+      logger.warn(`Rejected tab registration for ${requestedTabId}: invalid or missing auth token`);
+      this.rejectUnauthorized(ws, message.authToken
+        ? 'Invalid auth token. Paste the current token from the LLM Browser Bot server into the extension popup.'
+        : 'This server requires an auth token. Paste it into the LLM Browser Bot extension popup.');
+      return;
+    }
+    this.authenticatedSockets.add(ws);
+
     // Tab ID is required - extension must provide its Chrome tab ID
     if (!requestedTabId) {
       ws.send(JSON.stringify({
@@ -306,6 +350,21 @@ export class BrowserWebSocketManager {
     }));
   }
 
+  /**
+   * Tell the extension why it was rejected, then close with an application code
+   * (4401) the extension recognises and does not retry
+   */
+  private rejectUnauthorized(ws: WebSocket, message: string): void {
+    ws.send(JSON.stringify({
+      type: 'error',
+      error: {
+        message,
+        code: 'UNAUTHORIZED'
+      }
+    }));
+    ws.close(4401, 'Unauthorized');
+  }
+
   sendCommand(tabId: string, command: any): void {
     const connection = this.tabRegistry.get(tabId);
     if (!connection) {
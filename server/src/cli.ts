@@ -33,6 +33,8 @@ if (!command) {
   runScript('start-interactive', process.argv.slice(3));
 } else if (command === 'validate-chatgpt') {
   runScript('validate-chatgpt', process.argv.slice(3));
+} else if (command === 'audit') {
+  runScript('audit', process.argv.slice(3));
 } else {
   console.error(`Unknown command: ${command}`);
   console.error('');
@@ -41,9 +43,14 @@ if (!command) {
   console.error('Commands:');
   console.error('  (none)  Interactive setup - choose your AI platform (Claude, ChatGPT, etc.)');
   console.error('  start   Same as above - interactive setup wizard');
-  console.error('  server  Run the MCP server directly (no prompts)');
+  console.error('  server  Run the MCP server directly (no prompts); --stdio also serves');
+  console.error('          the MCP client that started it over stdin/stdout');
   console.error('  bridge  Run the stdio-to-websocket bridge for MCP clients');
   console.error('  setup   Run the welcome page setup wizard');
   console.error('  validate-chatgpt  Validate a public HTTPS URL for ChatGPT MCP');
+  console.error('  audit   Query or export the log of MCP tool calls (--help for options)');
+  console.error('');
+  console.error('server, bridge, setup and start take --port <number> (default 61822,');
+  console.error('or LLM_BROWSER_BOT_PORT, or "port" in ~/.llm-browser-bot/config.json).');
   process.exit(1);
 }
@@ -0,0 +1,208 @@
+/**
+ * Serializes commands per tab and rate-limits MCP clients, so two agents driving
+ * the same tab cannot interleave a `type` with a `click`.
+ *
+ * Configured with environment variables:
+ * - LLM_BROWSER_BOT_TAB_CONCURRENCY   commands a tab runs at once (default 1)
+ * - LLM_BROWSER_BOT_QUEUE_TIMEOUT_MS  how long a command waits for a busy tab (default 30000)
+ * - LLM_BROWSER_BOT_RATE_LIMIT        tool calls per minute per MCP client (default 0, unlimited)
+ */
+
+export const DEFAULT_TAB_CONCURRENCY = 1;
+export const DEFAULT_QUEUE_TIMEOUT_MS = 30000;
+const RATE_LIMIT_WINDOW_MS = 60000;
+
+function readNumberEnv(name: string, fallback: number): number {
+  const raw = process.env[name]?.trim();
+  if (!raw) return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * The MCP client a command runs for
+ */
+export interface CommandCaller {
+  name: string;
+  connectionId?: string;
+  /** Tab whose queue slot the caller already holds, while a sequence runs its steps */
+  heldTab?: string;
+}
+
+/**
+ * A command refused before it reached the browser. tool-handler reports the
+ * code and details alongside the message.
+ */
+export class CommandRejectedError extends Error {
+  constructor(
+    public code: 'TAB_BUSY' | 'RATE_LIMITED',
+    message: string,
+    public details: Record<string, any> = {}
+  ) {
+    super(message);
+    this.name = 'CommandRejectedError';
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...this.details };
+  }
+
+  toToolResult() {
+    return {
+      isError: true,
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error: this.toJSON() }, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+interface RunningCommand {
+  command: string;
+  client: string;
+  startedAt: number;
+}
+
+interface QueuedCommand {
+  entry: RunningCommand;
+  queuedAt: number;
+  start: () => void;
+  timer: NodeJS.Timeout;
+}
+
+export interface QueueTicket {
+  /** How long the command waited for the tab, 0 when it ran immediately */
+  waitedMs: number;
+  /** The command that was running when this one was queued */
+  behind?: { command: string; client: string };
+  release: () => void;
+}
+
+interface TabQueue {
+  running: RunningCommand[];
+  waiting: QueuedCommand[];
+}
+
+export class TabCommandQueue {
+  private queues = new Map<string, TabQueue>();
+
+  constructor(
+    private concurrency = readNumberEnv('LLM_BROWSER_BOT_TAB_CONCURRENCY', DEFAULT_TAB_CONCURRENCY) || DEFAULT_TAB_CONCURRENCY,
+    private queueTimeoutMs = readNumberEnv('LLM_BROWSER_BOT_QUEUE_TIMEOUT_MS', DEFAULT_QUEUE_TIMEOUT_MS)
+  ) { }
+
+  /**
+   * Wait for a slot on the tab. Call release() on the returned ticket when the
+   * command finishes. Rejects with TAB_BUSY if no slot frees up in time.
+   */
+  acquire(tabId: string, command: string, client: string): Promise<QueueTicket> {
+    let queue = this.queues.get(tabId);
+    if (!queue) {
+      queue = { running: [], waiting: [] };
+      this.queues.set(tabId, queue);
+    }
+
+    const entry: RunningCommand = { command, client, startedAt: Date.now() };
+    const release = () => this.release(tabId, entry);
+
+    if (queue.running.length < this.concurrency) {
+      queue.running.push(entry);
+      return Promise.resolve({ waitedMs: 0, release });
+    }
+
+    const blocker = queue.running[0];
+    const behind = { command: blocker.command, client: blocker.client };
+
+    return new Promise((resolve, reject) => {
+      const queued: QueuedCommand = {
+        entry,
+        queuedAt: entry.startedAt,
+        start: () => {
+          clearTimeout(queued.timer);
+          entry.startedAt = Date.now();
+          resolve({ waitedMs: entry.startedAt - queued.queuedAt, behind, release });
+        },
+        timer: setTimeout(() => {
+          const waiting = this.queues.get(tabId)?.waiting;
+          const index = waiting?.indexOf(queued) ?? -1;
+          if (index !== -1) waiting!.splice(index, 1);
+
+          const current = this.queues.get(tabId)?.running[0] ?? blocker;
+          reject(new CommandRejectedError(
+            'TAB_BUSY',
+            `Tab ${tabId} is busy: ${command} waited ${this.queueTimeoutMs}ms queued behind ${current.command} from ${current.client}. Retry later or use another tab.`,
+            { tabId, behind: { command: current.command, client: current.client }, queueLength: waiting?.length ?? 0 }
+          ));
+        }, this.queueTimeoutMs)
+      };
+      queue!.waiting.push(queued);
+    });
+  }
+
+  private release(tabId: string, entry: RunningCommand): void {
+    const queue = this.queues.get(tabId);
+    if (!queue) return;
+
+    const index = queue.running.indexOf(entry);
+    if (index === -1) return;
+    queue.running.splice(index, 1);
+
+    const next = queue.waiting.shift();
+    if (next) {
+      queue.running.push(next.entry);
+      next.start();
+    } else if (queue.running.length === 0) {
+      this.queues.delete(tabId);
+    }
+  }
+
+  /**
+   * What each busy tab is running and how many commands wait for it
+   */
+  getState() {
+    const now = Date.now();
+    return Array.from(this.queues.entries()).map(([tabId, queue]) => ({
+      tabId,
+      running: queue.running.map(({ command, client, startedAt }) => ({ command, client, runningMs: now - startedAt })),
+      queued: queue.waiting.map(({ entry, queuedAt }) => ({ command: entry.command, client: entry.client, waitingMs: now - queuedAt }))
+    }));
+  }
+}
+
+/**
+ * Sliding one-minute window of tool calls per client
+ */
+export class RateLimiter {
+  private calls = new Map<string, number[]>();
+
+  constructor(private maxCallsPerMinute = readNumberEnv('LLM_BROWSER_BOT_RATE_LIMIT', 0)) { }
+
+  /**
+   * Count a call, or return a RATE_LIMITED error if the client is over its limit
+   */
+  take(client: string): CommandRejectedError | null {
+    if (!this.maxCallsPerMinute) return null;
+
+    const now = Date.now();
+    const recent = (this.calls.get(client) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+    if (recent.length >= this.maxCallsPerMinute) {
+      const retryAfterMs = RATE_LIMIT_WINDOW_MS - (now - recent[0]);
+      this.calls.set(client, recent);
+      return new CommandRejectedError(
+        'RATE_LIMITED',
+        `${client} exceeded ${this.maxCallsPerMinute} tool calls per minute. Retry in ${Math.ceil(retryAfterMs / 1000)}s.`,
+        { client, limitPerMinute: this.maxCallsPerMinute, retryAfterMs }
+      );
+    }
+
+    recent.push(now);
+    this.calls.set(client, recent);
+    return null;
+  }
+}
@@ -0,0 +1,135 @@
+import { copyFile, mkdir, open, stat } from 'fs/promises';
+import { homedir } from 'os';
+import { basename, join } from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Copies of files downloaded in automated tabs.
+ *
+ * The extension reports each finished download with the path Chrome saved it
+ * to. The server copies it into the mirror folder, so exported reports stay
+ * available to agents after the user moves or deletes the original, and reads
+ * file content for get_download from there. This needs the browser and server
+ * on the same machine; otherwise downloads are still listed, without content.
+ */
+
+export const DOWNLOADS_DIR_ENV = 'LLM_BROWSER_BOT_DOWNLOADS_DIR';
+
+export const DEFAULT_DOWNLOADS_DIR = join(homedir(), '.llm-browser-bot', 'downloads');
+
+// get_download returns content up to this size unless asked for more
+export const DEFAULT_MAX_CONTENT_BYTES = 1024 * 1024;
+
+// Content beyond this is never inlined in a tool result
+export const MAX_CONTENT_BYTES = 10 * 1024 * 1024;
+
+// MIME types returned as text rather than base64, besides text/*
+const TEXT_MIME_TYPES = new Set([
+  'application/json', 'application/xml', 'application/javascript', 'application/csv', 'image/svg+xml'
+]);
+
+export interface DownloadInfo {
+  id: number;
+  fileName?: string | null;
+  path?: string | null;
+  mimeType?: string | null;
+  state: 'in_progress' | 'complete' | 'interrupted';
+  size?: number | null;
+}
+
+export interface DownloadContent {
+  content?: string;
+  encoding?: 'utf8' | 'base64';
+  truncated?: boolean;
+  contentError?: string;
+}
+
+export function getDownloadsDir(): string | null {
+  const configured = process.env[DOWNLOADS_DIR_ENV]?.trim();
+  if (configured === 'off') {
+    return null;
+  }
+  return configured || DEFAULT_DOWNLOADS_DIR;
+}
+
+function isText(mimeType?: string | null): boolean {
+  if (!mimeType) return false;
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || TEXT_MIME_TYPES.has(type) || type.endsWith('+json');
+}
+
+export class DownloadMirror {
+  // Download id -> mirrored path (null if copying failed); the promise settles when the copy is done
+  private copies = new Map<number, Promise<string | null>>();
+
+  constructor(private dir: string | null) { }
+
+  /**
+   * Copy a finished download into the mirror folder. Called when the extension reports it.
+   */
+  mirror(download: DownloadInfo): Promise<string | null> {
+    if (!this.dir || download.state !== 'complete' || !download.path) {
+      return Promise.resolve(null);
+    }
+    if (!this.copies.has(download.id)) {
+      this.copies.set(download.id, this.copy(download));
+    }
+    return this.copies.get(download.id)!;
+  }
+
+  private async copy(download: DownloadInfo): Promise<string | null> {
+    // Prefix the id so two downloads with the same name do not overwrite each other
+    const target = join(this.dir!, `${download.id}-${download.fileName || basename(download.path!)}`);
+    try {
+      await mkdir(this.dir!, { recursive: true });
+      await copyFile(download.path!, target);
+      logger.log(`Mirrored download ${download.id} to ${target}`);
+      return target;
+    } catch (error: any) {
+      logger.warn(`Could not mirror download ${download.id} from ${download.path}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Add the mirror path to a download reported by the extension
+   */
+  async describe<T extends DownloadInfo>(download: T): Promise<T & { mirrorPath?: string }> {
+    const mirrorPath = await this.mirror(download);
+    return mirrorPath ? { ...download, mirrorPath } : download;
+  }
+
+  /**
+   * Read a finished download, preferring the mirrored copy. Text comes back as
+   * UTF-8, anything else as base64, cut at maxBytes.
+   */
+  async readContent(download: DownloadInfo, maxBytes = DEFAULT_MAX_CONTENT_BYTES): Promise<DownloadContent> {
+    if (download.state !== 'complete') {
+      return { contentError: `Download is ${download.state === 'in_progress' ? 'still in progress' : 'interrupted'}` };
+    }
+
+    maxBytes = Math.min(maxBytes, MAX_CONTENT_BYTES);
+    const candidates = [await this.mirror(download), download.path].filter((path): path is string => !!path);
+    for (const path of candidates) {
+      try {
+        const { size } = await stat(path);
+        const length = Math.min(size, maxBytes);
+        const file = await open(path, 'r');
+        try {
+          const buffer = Buffer.alloc(length);
+          await file.read(buffer, 0, length, 0);
+          return {
+            content: isText(download.mimeType) ? buffer.toString('utf8') : buffer.toString('base64'),
+            encoding: isText(download.mimeType) ? 'utf8' : 'base64',
+            truncated: size > maxBytes || undefined
+          };
+        } finally {
+          await file.close();
+        }
+      } catch {
+        // Try the next copy
+      }
+    }
+    return { contentError: 'File is not readable from the server. Is the browser running on another machine?' };
+  }
+}
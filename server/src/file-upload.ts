@@ -0,0 +1,178 @@
+import { readFileSync, realpathSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { basename, delimiter, extname, isAbsolute, join, relative, resolve } from 'path';
+
+/**
+ * Files for upload_file, given inline as base64 or as paths on the server's machine.
+ *
+ * Paths are read by the server and sent to the extension as base64, since the
+ * extension cannot read the disk. They are also passed along so the extension
+ * can hand them to Chrome directly when the browser runs on the same machine.
+ * Only files below ~/.llm-browser-bot/uploads are allowed, so a client cannot
+ * push keys or the auth token into a page. Set LLM_BROWSER_BOT_UPLOAD_ROOTS to
+ * a list of directories (separated like PATH) to allow others instead.
+ */
+
+export const UPLOAD_ROOTS_ENV = 'LLM_BROWSER_BOT_UPLOAD_ROOTS';
+
+export const DEFAULT_UPLOAD_ROOT = join(homedir(), '.llm-browser-bot', 'uploads');
+
+// Total size of one upload; everything travels over the WebSocket as base64
+export const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const MIME_TYPES: Record<string, string> = {
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+export interface UploadFile {
+  name: string;
+  mimeType: string;
+  content: string;  // base64
+  size: number;     // bytes after decoding
+  path?: string;    // Absolute path on the server's machine, for files given by path
+}
+
+export class UploadError extends Error {
+  constructor(
+    public code: 'INVALID_UPLOAD' | 'UPLOAD_FILE_NOT_FOUND' | 'UPLOAD_PATH_DENIED' | 'UPLOAD_TOO_LARGE',
+    message: string
+  ) {
+    super(message);
+    this.name = 'UploadError';
+  }
+
+  toToolResult() {
+    return {
+      isError: true,
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error: { code: this.code, message: this.message } }, null, 2)
+        }
+      ]
+    };
+  }
+}
+
+export function guessMimeType(name: string): string {
+  return MIME_TYPES[extname(name).toLowerCase()] ?? 'application/octet-stream';
+}
+
+function getUploadRoots(): string[] {
+  const configured = process.env[UPLOAD_ROOTS_ENV]?.trim();
+  if (!configured) return [DEFAULT_UPLOAD_ROOT];
+  return configured.split(delimiter).filter(Boolean).map(root => resolve(root));
+}
+
+function realRoot(root: string): string {
+  try {
+    return realpathSync(root);
+  } catch {
+    return root;
+  }
+}
+
+function isInside(root: string, path: string): boolean {
+  const rel = relative(root, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+function readLocalFile(path: unknown): UploadFile {
+  if (typeof path !== 'string' || !path.trim()) {
+    throw new UploadError('INVALID_UPLOAD', 'paths must be a list of file paths');
+  }
+
+  const absolutePath = resolve(path);
+  const roots = getUploadRoots();
+  if (!roots.some(root => isInside(root, absolutePath))) {
+    throw new UploadError('UPLOAD_PATH_DENIED', `${absolutePath} is outside the upload directories (${roots.join(delimiter)}). Copy the file there, or set ${UPLOAD_ROOTS_ENV}.`);
+  }
+
+  let stats;
+  try {
+    stats = statSync(absolutePath);
+  } catch {
+    throw new UploadError('UPLOAD_FILE_NOT_FOUND', `No file at ${absolutePath}`);
+  }
+  if (!stats.isFile()) {
+    throw new UploadError('UPLOAD_FILE_NOT_FOUND', `${absolutePath} is not a file`);
+  }
+  // A symlink inside the upload directories must not lead out of them
+  const realPath = realpathSync(absolutePath);
+  if (!roots.some(root => isInside(realRoot(root), realPath))) {
+    throw new UploadError('UPLOAD_PATH_DENIED', `${absolutePath} links to ${realPath}, outside the upload directories`);
+  }
+  if (stats.size > MAX_UPLOAD_BYTES) {
+    throw new UploadError('UPLOAD_TOO_LARGE', `${absolutePath} is larger than ${MAX_UPLOAD_BYTES} bytes`);
+  }
+
+  const name = basename(absolutePath);
+  return {
+    name,
+    mimeType: guessMimeType(name),
+    content: readFileSync(absolutePath).toString('base64'),
+    size: stats.size,
+    path: absolutePath
+  };
+}
+
+function readInlineFile(file: any): UploadFile {
+  if (!file || typeof file.name !== 'string' || !file.name || typeof file.content !== 'string') {
+    throw new UploadError('INVALID_UPLOAD', 'Each entry in files needs a name and base64 content');
+  }
+
+  // Accept data: URLs as well as bare base64
+  const content = file.content.replace(/^data:[^,]*;base64,/, '').replace(/\s+/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(content)) {
+    throw new UploadError('INVALID_UPLOAD', `Content of ${file.name} is not valid base64`);
+  }
+
+  return {
+    name: file.name,
+    mimeType: file.mimeType || guessMimeType(file.name),
+    content,
+    size: Buffer.from(content, 'base64').length
+  };
+}
+
+/**
+ * Turn upload_file's files and paths arguments into the list sent to the extension
+ */
+export function resolveUploadFiles(files: unknown, paths: unknown): UploadFile[] {
+  if (files !== undefined && !Array.isArray(files)) {
+    throw new UploadError('INVALID_UPLOAD', 'files must be a list of { name, mimeType, content }');
+  }
+  if (paths !== undefined && !Array.isArray(paths)) {
+    throw new UploadError('INVALID_UPLOAD', 'paths must be a list of file paths');
+  }
+
+  const resolved = [
+    ...(files ?? []).map(readInlineFile),
+    ...(paths ?? []).map(readLocalFile)
+  ];
+  if (resolved.length === 0) {
+    throw new UploadError('INVALID_UPLOAD', 'Provide at least one file in files or paths');
+  }
+
+  const totalSize = resolved.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > MAX_UPLOAD_BYTES) {
+    throw new UploadError('UPLOAD_TOO_LARGE', `Files add up to ${totalSize} bytes, more than the ${MAX_UPLOAD_BYTES} allowed`);
+  }
+  return resolved;
+}
@@ -15,6 +15,11 @@ import { ResourceHandler } from './resource-handler.js';
 import { ToolHandler } from './tool-handler.js';
 import { checkIfPortInUse } from './port-check.js';
 import { detectAssistants, configureAssistants } from './assistant-manager.js';
+import { auditLog, getAuditLogPath, toReplayScript } from './audit-log.js';
+import { DownloadMirror, getDownloadsDir } from './download-mirror.js';
+import { resolvePortOrExit } from './server-port.js';
+import { acquireStdioLock } from './stdio-lock.js';
+import { loadAuthToken, isAuthorizedRequest, rejectUnauthorized, AUTH_TOKEN_ENV, AUTH_TOKEN_PATH, UNAUTHORIZED_MESSAGE } from './auth.js';
 
 
 // ========================================================================
@@ -24,8 +29,17 @@ import { detectAssistants, configureAssistants } from './assistant-manager.js';
 // Set process title for better identification
 process.title = 'LLM Browser Bot Server';
 
-// Fixed port for all connections
-const PORT = 61822;
+// Port for all connections: --port, LLM_BROWSER_BOT_PORT, ~/.llm-browser-bot/config.json or 61822
+const PORT = resolvePortOrExit();
+
+// --stdio: also serve the MCP client that started this process over stdin/stdout
+const STDIO = process.argv.slice(2).includes('--stdio');
+
+// Shared secret for browser tabs and MCP clients; null disables authentication
+const authToken = loadAuthToken();
+
+// Folder finished downloads are copied to (LLM_BROWSER_BOT_DOWNLOADS_DIR, "off" disables); null keeps no copies
+const DOWNLOADS_DIR = getDownloadsDir();
 
 // Get directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -38,7 +52,7 @@ const __dirname = dirname(__filename);
 // Initialize registries and managers
 const tabRegistry = new TabRegistry();
 const wss = new WebSocketServer({ noServer: true });
-const browserWebSocketManager = new BrowserWebSocketManager(wss, tabRegistry);
+const browserWebSocketManager = new BrowserWebSocketManager(wss, tabRegistry, authToken);
 const commandHandler = new BrowserCommandHandler(browserWebSocketManager, tabRegistry);
 
 // Connect browser responses to command handler
@@ -46,12 +60,18 @@ browserWebSocketManager.setResponseHandler((response) => {
   commandHandler.handleCommandResponse(response);
 });
 
+// Copy finished downloads as soon as the extension reports them
+const downloadMirror = new DownloadMirror(DOWNLOADS_DIR);
+browserWebSocketManager.setDownloadHandler((tabId, download) => {
+  downloadMirror.mirror(download);
+});
+
 // ========================================================================
 // MCP Handlers Initialization
 // ========================================================================
 
 // Initialize handlers
-const toolHandler = new ToolHandler(commandHandler, tabRegistry);
+const toolHandler = new ToolHandler(commandHandler, tabRegistry, downloadMirror, PORT);
 const resourceHandler = new ResourceHandler(tabRegistry, toolHandler);
 
 // ========================================================================
@@ -64,7 +84,8 @@ const mcpServerManager = new MCPServerManager(
   tabRegistry,
   commandHandler,
   resourceHandler,
-  toolHandler
+  toolHandler,
+  authToken
 );
 
 // ========================================================================
@@ -95,7 +116,7 @@ const httpServer = createServer(async (req, res) => {
   // Enable CORS for all endpoints
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Mcp-Session-Timeout, Last-Event-ID');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Mcp-Session-Timeout, Last-Event-ID');
   // CRITICAL: Expose Mcp-Session-Id to clients - without this, clients can't read the session ID and fail with "Server not initialized"
   res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
 
@@ -106,8 +127,11 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // Path without the query string, so clients can pass ?token= on MCP URLs
+  const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+
   // Root endpoint - Server discovery and status
-  if (req.url === '/' && req.method === 'GET') {
+  if (pathname === '/' && req.method === 'GET') {
     // Check for SSE request (Accept header)
     const acceptHeader = req.headers['accept'] || '';
     if (acceptHeader.includes('text/event-stream')) {
@@ -115,6 +139,12 @@ const httpServer = createServer(async (req, res) => {
       return;
     }
 
+    // Lists the connected clients and their sessions
+    if (!isAuthorizedRequest(authToken, req)) {
+      rejectUnauthorized(res);
+      return;
+    }
+
     res.writeHead(200, { 'Content-Type': 'application/json' });
 
     const connections = mcpServerManager.getConnectionInfo();
@@ -123,14 +153,26 @@ const httpServer = createServer(async (req, res) => {
   }
 
   // Health/diagnostics endpoint
-  if ((req.url === '/health' || req.url === '/status') && req.method === 'GET') {
+  if ((pathname === '/health' || pathname === '/status') && req.method === 'GET') {
+    const diagnostics = mcpServerManager.getDiagnostics();
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(mcpServerManager.getDiagnostics()));
+    // port lets the extension tell side-by-side servers apart when it scans for them.
+    // Without the token only the counts the bridge and the extension show are reported,
+    // not the tab URLs, clients and sessions.
+    res.end(JSON.stringify(isAuthorizedRequest(authToken, req)
+      ? { ...diagnostics, port: PORT }
+      : {
+        status: diagnostics.status,
+        uptimeMs: diagnostics.uptimeMs,
+        connections: { total: diagnostics.connections.total },
+        tabs: { total: diagnostics.tabs.total },
+        port: PORT
+      }));
     return;
   }
 
   // SSE Endpoint
-  if (req.url === '/sse' && req.method === 'GET') {
+  if (pathname === '/sse' && req.method === 'GET') {
     await mcpServerManager.connectSSE(req, res);
     return;
   }
@@ -187,6 +229,12 @@ const httpServer = createServer(async (req, res) => {
 
   // Handle /assistants/configure endpoint
   if (req.url === '/assistants/configure' && req.method === 'POST') {
+    // Writes MCP config files on this machine
+    if (!isAuthorizedRequest(authToken, req)) {
+      rejectUnauthorized(res);
+      return;
+    }
+
     try {
       let body = '';
       req.on('data', chunk => {
@@ -213,10 +261,58 @@ const httpServer = createServer(async (req, res) => {
     return;
   }
 
+  // Audit log of MCP tool calls: ?since=&until=&tool=&tabId=&client=&errors=true&limit=&format=json|jsonl|script
+  if (pathname === '/audit' && req.method === 'GET') {
+    // Records page URLs and typed text
+    if (!isAuthorizedRequest(authToken, req)) {
+      rejectUnauthorized(res);
+      return;
+    }
+
+    const params = new URL(req.url || '/', 'http://localhost').searchParams;
+    const format = params.get('format') || 'json';
+    const tabId = params.get('tabId') || undefined;
+    try {
+      if (!['json', 'jsonl', 'script'].includes(format)) {
+        throw new Error(`Unknown format "${format}": use json, jsonl or script`);
+      }
+      if (format === 'script' && !tabId) {
+        throw new Error('format=script needs a tabId, since a replay script runs against one tab');
+      }
+      const entries = await auditLog.query({
+        since: params.get('since') || undefined,
+        until: params.get('until') || undefined,
+        tool: params.get('tool') || undefined,
+        tabId,
+        client: params.get('client') || undefined,
+        errorsOnly: params.get('errors') === 'true',
+        limit: params.has('limit') ? Number(params.get('limit')) || undefined : undefined
+      });
+
+      if (format === 'jsonl') {
+        res.writeHead(200, {
+          'Content-Type': 'application/x-ndjson',
+          'Content-Disposition': 'attachment; filename="llm-browser-bot-audit.jsonl"'
+        });
+        res.end(entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : ''));
+      } else if (format === 'script') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ tabId, ...toReplayScript(entries) }, null, 2));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ path: getAuditLogPath(), count: entries.length, entries }));
+      }
+    } catch (error: any) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
   // Handle /mcp endpoint - Use Streamable HTTP transport for all requests
   // NOTE: Streamable HTTP is the modern MCP transport (SSE is deprecated)
   // ChatGPT/OpenAI should use this transport, not SSE
-  if (req.url === '/mcp' && (req.method === 'POST' || req.method === 'GET' || req.method === 'DELETE')) {
+  if (pathname === '/mcp' && (req.method === 'POST' || req.method === 'GET' || req.method === 'DELETE')) {
     try {
       // Normalize Accept header to ensure Streamable HTTP transport works correctly
       normalizeMcpAcceptHeader(req);
@@ -236,9 +332,17 @@ const httpServer = createServer(async (req, res) => {
 
   // All other endpoints delegate to resource handler
   if (req.url && req.method === 'GET') {
+    // Resources expose page content and screenshots
+    if (!isAuthorizedRequest(authToken, req)) {
+      rejectUnauthorized(res);
+      return;
+    }
+
     try {
       // Convert HTTP URL to kapture:// URI
-      let kaptureUri = req.url.substring(1); // Remove leading slash
+      const resourceUrl = new URL(req.url, 'http://localhost');
+      resourceUrl.searchParams.delete('token');
+      let kaptureUri = (resourceUrl.pathname + resourceUrl.search).substring(1); // Remove leading slash
       const isScreenshotView = kaptureUri.includes('/screenshot/view')
 
       // Special case for tabs endpoint
@@ -302,6 +406,16 @@ httpServer.on('error', (error) => {
 
 // Handle WebSocket upgrade requests
 httpServer.on('upgrade', (request, socket, head) => {
+  // Refuse unauthenticated MCP clients during the handshake so they see a 401.
+  // Browser tabs authenticate in their register message instead.
+  const pathname = new URL(request.url || '/', 'http://localhost').pathname;
+  if (pathname === '/mcp' && !mcpServerManager.isAuthorized(request)) {
+    logger.warn('Rejected unauthenticated MCP WebSocket connection');
+    socket.end('HTTP/1.1 401 Unauthorized\r\nContent-Type: application/json\r\nConnection: close\r\n\r\n' +
+      JSON.stringify({ error: UNAUTHORIZED_MESSAGE, code: 'UNAUTHORIZED' }));
+    return;
+  }
+
   wss.handleUpgrade(request, socket, head, (ws) => {
     wss.emit('connection', ws, request);
   });
@@ -309,9 +423,9 @@ httpServer.on('upgrade', (request, socket, head) => {
 
 // Route WebSocket connections
 wss.on('connection', (ws, request) => {
-  const url = request.url || '';
+  const pathname = new URL(request.url || '/', 'http://localhost').pathname;
 
-  if (url === '/mcp') {
+  if (pathname === '/mcp') {
     // MCP client connection
     mcpServerManager.connectWebSocket(ws).catch(error => {
       logger.error('Failed to connect MCP WebSocket:', error);
@@ -329,19 +443,46 @@ wss.on('connection', (ws, request) => {
  * Start the HTTP server and log available endpoints
  */
 async function startServer() {
+  if (STDIO) {
+    try {
+      acquireStdioLock(PORT);
+    } catch (error: any) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
   await checkIfPortInUse(PORT);
 
-  httpServer.listen(PORT, () => {
-    console.log('='.repeat(60));
-    console.log('LLM Browser Bot Server Started');
-    console.log('='.repeat(60));
-    console.log();
-    console.log('  MCP Endpoint: http://localhost:' + PORT + '/mcp');
-    console.log();
-    console.log('  For ChatGPT: Use your tunnel URL + /mcp');
-    console.log('  Example: https://your-tunnel.ngrok-free.dev/mcp');
-    console.log();
-    console.log('='.repeat(60));
+  // In stdio mode stdout carries MCP messages, so the banner goes to stderr
+  const print = STDIO ? console.error : console.log;
+
+  httpServer.listen(PORT, async () => {
+    print('='.repeat(60));
+    print('LLM Browser Bot Server Started');
+    print('='.repeat(60));
+    print();
+    print('  MCP Endpoint: http://localhost:' + PORT + '/mcp');
+    print();
+    print('  For ChatGPT: Use your tunnel URL + /mcp');
+    print('  Example: https://your-tunnel.ngrok-free.dev/mcp');
+    print();
+    if (authToken) {
+      print('  Auth: token required (' + (process.env[AUTH_TOKEN_ENV] ? AUTH_TOKEN_ENV : AUTH_TOKEN_PATH) + ')');
+    } else {
+      print('  Auth: disabled (run "llm-browser-bot setup" to generate a token)');
+    }
+    if (STDIO) {
+      print('  MCP over stdio: this process serves the client that started it');
+    }
+    print('  Audit log: ' + (getAuditLogPath() ?? 'disabled'));
+    print('  Downloads: ' + (DOWNLOADS_DIR ?? 'not mirrored'));
+    print();
+    print('='.repeat(60));
+
+    if (STDIO) {
+      await mcpServerManager.connectStdio(() => shutdown('MCP client closed stdin'));
+    }
   });
 }
 
@@ -349,8 +490,8 @@ async function startServer() {
 // Shutdown Handling
 // ========================================================================
 
-process.on('SIGINT', () => {
-  logger.log('\nReceived SIGINT - shutting down gracefully...');
+function shutdown(reason: string): void {
+  logger.log(`\n${reason} - shutting down gracefully...`);
 
   // Clean up in reverse order of initialization
   commandHandler.cleanup();
@@ -366,7 +507,11 @@ process.on('SIGINT', () => {
     logger.error('Shutdown timeout - forcing exit');
     process.exit(0);
   }, 5000);
-});
+}
+
+process.on('SIGINT', () => shutdown('Received SIGINT'));
+// Stdio clients stop the server they started with SIGTERM
+process.on('SIGTERM', () => shutdown('Received SIGTERM'));
 
 // ========================================================================
 // Start the server
@@ -2,6 +2,7 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { WebSocketTransport } from './websocket-transport.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 
 import {
   ListToolsRequestSchema,
@@ -14,6 +15,9 @@ import { WebSocket } from 'ws';
 import { IncomingMessage, ServerResponse } from 'http';
 import { randomUUID } from 'crypto';
 import { logger } from './logger.js';
+import { isAuthorizedRequest, rejectUnauthorized, redactToken } from './auth.js';
+import { auditLog, summarizeResult } from './audit-log.js';
+import { RateLimiter } from './command-queue.js';
 import { TabRegistry } from './tab-registry.js';
 import { BrowserWebSocketManager } from './browser-websocket-manager.js';
 import { BrowserCommandHandler } from './browser-command-handler.js';
@@ -72,7 +76,7 @@ interface HttpSessionInfo {
 interface MCPConnection {
   id: string;
   server: Server;
-  type: 'websocket' | 'sse' | 'http';
+  type: 'websocket' | 'sse' | 'http' | 'stdio';
   transport?: SSEServerTransport | StreamableHTTPServerTransport;
   clientInfo?: { name?: string; version?: string };
   initialized: boolean;
@@ -86,6 +90,7 @@ export class MCPServerManager {
   private dynamicTabResources: Map<string, any> = new Map();
   private httpSessions: Map<string, HttpSessionInfo> = new Map();
   private sseSessions: Map<string, MCPConnection> = new Map();
+  private rateLimiter = new RateLimiter();
   private httpSessionCleanupTimer?: NodeJS.Timeout;
   private readonly defaultHttpSessionTimeoutMs = 30 * 60 * 1000;
 
@@ -94,7 +99,8 @@ export class MCPServerManager {
     private tabRegistry: TabRegistry,
     private commandHandler: BrowserCommandHandler,
     private resourceHandler: ResourceHandler,
-    private toolHandler: ToolHandler
+    private toolHandler: ToolHandler,
+    private authToken: string | null = null
   ) {
     // Set up tab callbacks
     this.setupTabCallbacks();
@@ -171,6 +177,7 @@ export class MCPServerManager {
       // Remove dynamic resources
       this.dynamicTabResources.delete(tabId);
       this.dynamicTabResources.delete(`${tabId}/console`);
+      this.dynamicTabResources.delete(`${tabId}/network`);
       this.dynamicTabResources.delete(`${tabId}/screenshot`);
       this.dynamicTabResources.delete(`${tabId}/elements_from_point`);
       this.dynamicTabResources.delete(`${tabId}/dom`);
@@ -272,7 +279,7 @@ export class MCPServerManager {
 
   private buildRequestContext(req: IncomingMessage) {
     return {
-      url: req.url,
+      url: redactToken(req.url),
       method: req.method,
       remoteAddress: req.socket?.remoteAddress,
       headers: {
@@ -393,7 +400,7 @@ export class MCPServerManager {
     // Call tool handler
     server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
-      return this.toolHandler.callTool(name, args);
+      return this.callToolAudited(connectionId, name, args);
     });
 
     // List resources handler
@@ -423,6 +430,60 @@ export class MCPServerManager {
     return server;
   }
 
+  /**
+   * Run a tool call and append it to the audit log, including calls that throw
+   */
+  private async callToolAudited(connectionId: string, name: string, args: any): Promise<any> {
+    const startTime = Date.now();
+    const clientInfo = this.connections.get(connectionId)?.clientInfo;
+    // Clients without a name are limited and queued per connection
+    const caller = { name: clientInfo?.name || connectionId, connectionId };
+    const tab = args?.tabId ? this.tabRegistry.get(String(args.tabId)) : undefined;
+    const entry = {
+      time: new Date(startTime).toISOString(),
+      tool: name,
+      client: clientInfo ?? null,
+      connectionId,
+      tabId: tab?.tabId ?? args?.tabId,
+      url: tab?.url,
+      browser: tab?.browser,
+      args
+    };
+
+    try {
+      const limited = this.rateLimiter.take(caller.name);
+      const result = limited
+        ? limited.toToolResult()
+        : await this.toolHandler.callTool(name, args, caller);
+      auditLog.record({ ...entry, durationMs: Date.now() - startTime, ...summarizeResult(result) });
+      return result;
+    } catch (error: any) {
+      auditLog.record({
+        ...entry,
+        durationMs: Date.now() - startTime,
+        isError: true,
+        error: { message: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the request carries the configured auth token (always true when auth is disabled)
+   */
+  isAuthorized(req: IncomingMessage): boolean {
+    return isAuthorizedRequest(this.authToken, req);
+  }
+
+  private rejectIfUnauthorized(req: IncomingMessage, res: ServerResponse): boolean {
+    if (this.isAuthorized(req)) {
+      return false;
+    }
+    logger.warn('Rejected unauthenticated MCP request', this.buildRequestContext(req));
+    rejectUnauthorized(res);
+    return true;
+  }
+
   async connectWebSocket(ws: WebSocket): Promise<void> {
     const connectionId = `ws-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const server = this.createMCPServer(connectionId);
@@ -461,7 +522,39 @@ export class MCPServerManager {
     });
   }
 
+  /**
+   * Serve the MCP client that started this process over stdin/stdout (server --stdio).
+   * The client needs no token: it owns the process. onClose runs when it closes stdin.
+   */
+  async connectStdio(onClose: () => void): Promise<void> {
+    const connectionId = `stdio-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const server = this.createMCPServer(connectionId);
+
+    this.connections.set(connectionId, {
+      id: connectionId,
+      server,
+      type: 'stdio',
+      initialized: false,
+      metrics: {
+        createdAt: Date.now(),
+        lastActivityAt: Date.now()
+      }
+    });
+
+    await server.connect(new StdioServerTransport());
+
+    process.stdin.on('end', () => {
+      logger.log(`MCP stdio client disconnected (${connectionId})`);
+      this.connections.delete(connectionId);
+      onClose();
+    });
+  }
+
   async connectSSE(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    if (this.rejectIfUnauthorized(req, res)) {
+      return;
+    }
+
     const connectionId = `sse-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
     logger.log('New SSE connection request', {
@@ -525,6 +618,10 @@ export class MCPServerManager {
   }
 
   async handleSSEMessage(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    if (this.rejectIfUnauthorized(req, res)) {
+      return;
+    }
+
     // For SSE, the transport handles the POST messages
     // The request should contain a sessionId query param or we need to map requests to the right transport
     // The SDK's SSEServerTransport.handlePostMessage handles this if we pass it the request.
@@ -629,7 +726,7 @@ export class MCPServerManager {
     }
   }
 
-  // Used to show the connected MCP clients at http://localhost:61822/
+  // Used to show the connected MCP clients at http://localhost:<port>/
   getConnectionInfo(): Array<{ id: string; type: string; clientInfo?: any; initialized: boolean }> {
     return Array.from(this.connections.values()).map(conn => ({
       id: conn.id,
@@ -676,6 +773,7 @@ export class MCPServerManager {
       connections: {
         total: this.connections.size,
         websocket: connections.filter(conn => conn.type === 'websocket').length,
+        stdio: connections.filter(conn => conn.type === 'stdio').length,
         sse: connections.filter(conn => conn.type === 'sse').length,
         http: connections.filter(conn => conn.type === 'http').length,
         initialized: connections.filter(conn => conn.initialized).length,
@@ -695,7 +793,8 @@ export class MCPServerManager {
       tabs: {
         total: tabs.length,
         details: tabs
-      }
+      },
+      commandQueues: this.commandHandler.getQueueState()
     };
   }
 
@@ -775,6 +874,10 @@ export class MCPServerManager {
    * Handle HTTP requests for Streamable HTTP transport (ChatGPT, etc.)
    */
   async handleHttpRequest(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    if (this.rejectIfUnauthorized(req, res)) {
+      return;
+    }
+
     // Check for existing session
     const sessionId = req.headers['mcp-session-id'] as string | undefined;
 
@@ -7,7 +7,7 @@ const exec = promisify(execCallback);
 /**
  * Check if a port is already in use and get process info
  */
-async function getPortInfo(port: number): Promise<{ inUse: boolean; pid?: string; command?: string }> {
+export async function getPortInfo(port: number): Promise<{ inUse: boolean; pid?: string; command?: string }> {
   const platform = process.platform;
   let command: string;
 
@@ -64,7 +64,8 @@ async function getPortInfo(port: number): Promise<{ inUse: boolean; pid?: string
 }
 
 /**
- * Check if port is in use and exit with helpful message if it is
+ * Check if port is in use and exit with helpful message if it is.
+ * The message goes to stderr, as stdout carries MCP messages in stdio mode.
  */
 export async function checkIfPortInUse(port: number): Promise<void> {
   const portCheck = await getPortInfo(port);
@@ -82,9 +83,9 @@ export async function checkIfPortInUse(port: number): Promise<void> {
       else {
         message = `✅ A server instance is already running!`;
       }
-      console.log(`${GREEN}┌${'─'.repeat(message.length + 3)}┐${RESET}`);
-      console.log(`${GREEN}│${RESET} ${YELLOW}${message}${RESET} ${GREEN}│${RESET}`);
-      console.log(`${GREEN}├${'─'.repeat(message.length + 3)}┤${RESET}`);
+      console.error(`${GREEN}┌${'─'.repeat(message.length + 3)}┐${RESET}`);
+      console.error(`${GREEN}│${RESET} ${YELLOW}${message}${RESET} ${GREEN}│${RESET}`);
+      console.error(`${GREEN}├${'─'.repeat(message.length + 3)}┤${RESET}`);
       if (portCheck.pid) {
         let kill_cmd = '';
         if (process.platform === 'darwin' || process.platform === 'linux') {
@@ -92,13 +93,53 @@ export async function checkIfPortInUse(port: number): Promise<void> {
         } else if (process.platform === 'win32') {
           kill_cmd = `      taskkill /PID ${portCheck.pid} /F`;
         }
-        console.log(`${GREEN}│${RESET} ${GREY}${'   To stop the other instance, run:'.padEnd(message.length + 2)}${GREEN}│${RESET}`);
-        console.log(`${GREEN}│${RESET} ${GREY}${kill_cmd.padEnd(message.length + 2)}${GREEN}│${RESET}`);
-        console.log(`${GREEN}└${'─'.repeat(message.length + 3)}┘${RESET}`);
+        console.error(`${GREEN}│${RESET} ${GREY}${'   To stop the other instance, run:'.padEnd(message.length + 2)}${GREEN}│${RESET}`);
+        console.error(`${GREEN}│${RESET} ${GREY}${kill_cmd.padEnd(message.length + 2)}${GREEN}│${RESET}`);
+        console.error(`${GREEN}└${'─'.repeat(message.length + 3)}┘${RESET}`);
       }
     }
 
-    console.log();
+    console.error();
     process.exit(1);
   }
 }
+
+/**
+ * Whether an LLM Browser Bot server answers its health check on the port.
+ * Another program on the port, or a server still starting, counts as not healthy.
+ */
+export async function isServerHealthy(port: number, timeoutMs = 1000): Promise<boolean> {
+  try {
+    const response = await fetch(`http://localhost:${port}/health`, {
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      return false;
+    }
+    const health: any = await response.json();
+    return health?.status === 'ok';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Poll the health check until the server answers, waiting 100ms, then twice
+ * as long after each miss (up to 2s). Resolves to false after timeoutMs.
+ */
+export async function waitForServer(port: number, timeoutMs = 15000): Promise<boolean> {
+  const deadline = Date.now() + timeoutMs;
+  let delay = 100;
+
+  while (true) {
+    if (await isServerHealthy(port)) {
+      return true;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return false;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(delay, remaining)));
+    delay = Math.min(delay * 2, 2000);
+  }
+}
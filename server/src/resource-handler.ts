@@ -19,6 +19,7 @@ export class ResourceHandler {
     // Check various resource patterns
     const patterns = [
       { regex: /^kapture:\/\/tab\/(.+)\/console(?:\?.*)?$/, tool: 'console_logs' },
+      { regex: /^kapture:\/\/tab\/(.+)\/network(?:\?.*)?$/, tool: 'network_requests' },
       { regex: /^kapture:\/\/tab\/(.+)\/screenshot(?:\?.*)?$/, tool: 'screenshot' },
       { regex: /^kapture:\/\/tab\/(.+)\/elements_from_point(?:\?.*)?$/, tool: 'elements_from_point' },
       { regex: /^kapture:\/\/tab\/(.+)\/dom(?:\?.*)?$/, tool: 'dom' },
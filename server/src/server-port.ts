@@ -0,0 +1,86 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+/**
+ * Port the server listens on, and that bridge, setup and start connect to.
+ *
+ * Taken from the first of: the --port flag, the LLM_BROWSER_BOT_PORT
+ * environment variable, "port" in ~/.llm-browser-bot/config.json, and 61822.
+ * The extension looks for servers on the PORT_SCAN_SIZE ports starting at
+ * 61822, so give side-by-side instances (e.g. dev and CI) ports in that range
+ * to have them show up in the popup.
+ */
+
+export const DEFAULT_PORT = 61822;
+
+export const PORT_ENV = 'LLM_BROWSER_BOT_PORT';
+
+export const CONFIG_PATH = join(homedir(), '.llm-browser-bot', 'config.json');
+
+// The extension scans DEFAULT_PORT up to DEFAULT_PORT + PORT_SCAN_SIZE - 1
+export const PORT_SCAN_SIZE = 10;
+
+export function parsePort(value: unknown, source: string): number {
+  const port = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port from ${source}: ${value}`);
+  }
+  return port;
+}
+
+/**
+ * Value of --port <n>, --port=<n> or -p <n> in a command line, if given
+ */
+export function getPortArg(args: string[]): string | undefined {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' || args[i] === '-p') {
+      return args[i + 1] ?? '';
+    }
+    if (args[i].startsWith('--port=')) {
+      return args[i].slice('--port='.length);
+    }
+  }
+  return undefined;
+}
+
+function readConfigPort(): unknown {
+  if (!existsSync(CONFIG_PATH)) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(readFileSync(CONFIG_PATH, 'utf-8')).port;
+  } catch (error: any) {
+    throw new Error(`Could not read ${CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+export function resolvePort(args: string[] = process.argv.slice(2)): number {
+  const fromArg = getPortArg(args);
+  if (fromArg !== undefined) {
+    return parsePort(fromArg, '--port');
+  }
+
+  const fromEnv = process.env[PORT_ENV]?.trim();
+  if (fromEnv) {
+    return parsePort(fromEnv, PORT_ENV);
+  }
+
+  const fromConfig = readConfigPort();
+  if (fromConfig !== undefined) {
+    return parsePort(fromConfig, CONFIG_PATH);
+  }
+  return DEFAULT_PORT;
+}
+
+/**
+ * resolvePort for command entry points: a bad port ends the process with its message
+ */
+export function resolvePortOrExit(args: string[] = process.argv.slice(2)): number {
+  try {
+    return resolvePort(args);
+  } catch (error: any) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
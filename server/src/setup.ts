@@ -6,18 +6,27 @@ import { dirname, join } from 'path';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { WebSocketClientTransport } from '@modelcontextprotocol/sdk/client/websocket.js';
 import { WebSocket } from 'ws';
+import { ensureAuthToken, AUTH_TOKEN_PATH } from './auth.js';
+import { resolvePortOrExit } from './server-port.js';
 
 process.title = 'LLM Browser Bot Setup';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const localhost_welcome = 'http://localhost:61822/welcome';
+const PORT = resolvePortOrExit();
+const localhost_welcome = `http://localhost:${PORT}/welcome`;
 
 async function setup() {
   console.log('Setup Server...');
+
+  // Create the token before the server starts so it is enforced from the first connection
+  const authToken = ensureAuthToken();
+  console.log(`\n🔑 Auth token (saved in ${AUTH_TOKEN_PATH}):\n\n   ${authToken}\n`);
+  console.log('Paste it into the LLM Browser Bot extension popup, then connect the tab.\n');
+
   // Launch the server silently
   const serverPath = join(__dirname, 'index.js');
-  const serverProcess = spawn(process.execPath, [serverPath], {
+  const serverProcess = spawn(process.execPath, [serverPath, '--port', String(PORT)], {
     detached: true,
     stdio: 'ignore'
   });
@@ -40,7 +49,7 @@ async function setup() {
 
   try {
 
-    const transport = new WebSocketClientTransport(new URL('ws://localhost:61822/mcp'));
+    const transport = new WebSocketClientTransport(new URL(`ws://localhost:${PORT}/mcp?token=${encodeURIComponent(authToken)}`));
     await client.connect(transport);
 
     // Keep looking for the welcome tab
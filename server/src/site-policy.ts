@@ -0,0 +1,378 @@
+import yaml from 'js-yaml';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Per-site automation policy.
+ *
+ * Rules come from a YAML (or JSON) file at LLM_BROWSER_BOT_POLICY or
+ * ~/.llm-browser-bot/policy.yaml and are re-read whenever the file changes:
+ *
+ *   mode: extend            # extend (default) keeps the built-in rules, replace drops them
+ *   sites:
+ *     - hosts: [mybank.com]
+ *       restrictions: [blocked]
+ *     - hosts: [admin.example.com, "*.internal.example.com"]
+ *       restrictions: [read-only]
+ *   approval:               # actions a human must approve on every site
+ *     require: [evaluate, close, submit-click, new-origin-navigate]
+ *     timeoutMs: 60000
+ *
+ * A host matches itself and its subdomains; "*" matches every site. When several
+ * rules match a URL their restrictions are combined.
+ */
+
+export const POLICY_PATH_ENV = 'LLM_BROWSER_BOT_POLICY';
+
+export const DEFAULT_POLICY_PATH = join(homedir(), '.llm-browser-bot', 'policy.yaml');
+
+export const RESTRICTIONS = [
+  'protected',      // Listed as automationSafe=false with a hint to use another tab
+  'blocked',        // No tool may touch the site, and navigating to it is refused
+  'read-only',      // Only tools that observe the page (plus navigation away) are allowed
+  'no-evaluate',    // JavaScript evaluation is refused
+  'no-form-submit', // Submit events raised by commands are cancelled in the page (best effort)
+  'confirm'         // Tools that change the page need a human to approve them
+] as const;
+
+// approval.require entries besides plain tool names
+const SUBMIT_CLICK = 'submit-click';               // click on a button that submits a form
+const NEW_ORIGIN_NAVIGATE = 'new-origin-navigate'; // navigate to a different origin
+
+const DEFAULT_APPROVAL_TIMEOUT_MS = 60000;
+
+export type Restriction = typeof RESTRICTIONS[number];
+
+export interface SiteRule {
+  hosts: string[];
+  restrictions: Restriction[];
+}
+
+export interface ApprovalConfig {
+  require: string[];
+  timeoutMs: number;
+}
+
+/**
+ * Sent to the extension with the command; the extension holds the command until
+ * a human approves it in the DevTools panel or popup, or timeoutMs passes
+ */
+export interface ApprovalRequest {
+  reason: string;
+  timeoutMs: number;
+  onlyIfSubmit?: boolean; // Ask only if the click target would submit a form
+}
+
+interface ParsedPolicy {
+  rules: SiteRule[];
+  approval: ApprovalConfig;
+}
+
+export interface PolicyDenial {
+  code: 'POLICY_DENIED' | 'POLICY_INVALID';
+  message: string;
+  tool: string;
+  host?: string;
+  restriction?: Restriction;
+}
+
+// Rules that apply unless the policy file uses mode: replace
+const BUILT_IN_RULES: SiteRule[] = [
+  { hosts: ['chat.openai.com', 'chatgpt.com'], restrictions: ['protected'] }
+];
+
+const NO_APPROVAL: ApprovalConfig = { require: [], timeoutMs: DEFAULT_APPROVAL_TIMEOUT_MS };
+
+// Tools that only observe the page, so read-only sites still allow them
+const READ_ONLY_TOOLS = new Set([
+  'list_tabs', 'get_active_tab', 'tab_detail',
+  'screenshot', 'scrolling_screenshot', 'labeled_screenshot', 'clear_labels',
+  'dom', 'elements', 'elements_from_point', 'page_structure', 'accessibility_tree',
+  'get_attribute', 'get_computed_style', 'get_text', 'get_selected_text', 'select_text',
+  'wait_for_element', 'wait_for_navigation', 'console_logs', 'network_requests', 'network_request_detail', 'intercept_list',
+  'list_downloads', 'get_download', 'release_handles',
+  'scroll', 'hover', 'highlight', 'show', 'list_frames', 'switch_to_frame'
+]);
+
+// Tools that leave the current page without interacting with it
+const NAVIGATION_TOOLS = new Set(['navigate', 'back', 'forward', 'reload', 'new_tab', 'close']);
+
+// Tools that run other tools; each step is checked on its own
+const SEQUENCE_TOOLS = new Set(['replay_script', 'run_sequence']);
+
+const EVALUATE_TOOLS = new Set(['evaluate']);
+
+// Tools that act on the tab as a whole rather than in the selected frame's document
+const TAB_LEVEL_TOOLS = new Set([
+  ...NAVIGATION_TOOLS, 'list_tabs', 'get_active_tab', 'tab_detail', 'list_frames', 'switch_to_frame'
+]);
+
+// Tools that can submit a form as a side effect
+export const FORM_SUBMIT_TOOLS = new Set(['click', 'keypress', 'type', 'pointer', 'drag']);
+
+// Tools that press a mouse button or tap, so they can hit a submit button; submit-click covers them
+const PRESSING_TOOLS = new Set(['click', 'pointer', 'drag']);
+
+// pointer actions that never press a button or tap
+const NON_PRESSING_POINTER_ACTIONS = new Set(['move', 'wheel', 'pinch']);
+
+export function getHostname(url?: string): string | null {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+function getOrigin(url?: string): string | null {
+  if (!url) return null;
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+function hostMatches(hostname: string, pattern: string): boolean {
+  const normalized = pattern.toLowerCase().replace(/^\*\./, '');
+  return normalized === '*' || hostname === normalized || hostname.endsWith('.' + normalized);
+}
+
+function parseApproval(approval: any, source: string): ApprovalConfig {
+  if (approval === undefined || approval === null) {
+    return NO_APPROVAL;
+  }
+  const require = approval.require ?? [];
+  if (!Array.isArray(require) || !require.every(entry => typeof entry === 'string' && entry)) {
+    throw new Error(`${source}: approval.require must be a list of tool names, "${SUBMIT_CLICK}" or "${NEW_ORIGIN_NAVIGATE}"`);
+  }
+  const timeoutMs = approval.timeoutMs ?? DEFAULT_APPROVAL_TIMEOUT_MS;
+  if (typeof timeoutMs !== 'number' || timeoutMs <= 0) {
+    throw new Error(`${source}: approval.timeoutMs must be a positive number`);
+  }
+  return { require, timeoutMs };
+}
+
+function parsePolicy(document: any, source: string): ParsedPolicy {
+  if (document === null || document === undefined) {
+    return { rules: BUILT_IN_RULES, approval: NO_APPROVAL };
+  }
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`${source}: expected an object with "mode", "sites" and "approval"`);
+  }
+
+  const mode = document.mode ?? 'extend';
+  if (mode !== 'extend' && mode !== 'replace') {
+    throw new Error(`${source}: mode must be "extend" or "replace", got "${mode}"`);
+  }
+
+  const sites = document.sites ?? [];
+  if (!Array.isArray(sites)) {
+    throw new Error(`${source}: sites must be a list`);
+  }
+
+  const rules = sites.map((site: any, index: number): SiteRule => {
+    const hosts = typeof site?.hosts === 'string' ? [site.hosts] : site?.hosts;
+    if (!Array.isArray(hosts) || hosts.length === 0 || !hosts.every(host => typeof host === 'string' && host)) {
+      throw new Error(`${source}: sites[${index}].hosts must be a non-empty list of host names`);
+    }
+    const restrictions = site.restrictions ?? [];
+    if (!Array.isArray(restrictions)) {
+      throw new Error(`${source}: sites[${index}].restrictions must be a list`);
+    }
+    for (const restriction of restrictions) {
+      if (!RESTRICTIONS.includes(restriction)) {
+        throw new Error(`${source}: sites[${index}] has unknown restriction "${restriction}" (expected one of ${RESTRICTIONS.join(', ')})`);
+      }
+    }
+    return { hosts, restrictions };
+  });
+
+  return {
+    rules: mode === 'replace' ? rules : [...BUILT_IN_RULES, ...rules],
+    approval: parseApproval(document.approval, source)
+  };
+}
+
+export class SitePolicy {
+  private rules: SiteRule[] = BUILT_IN_RULES;
+  private approval: ApprovalConfig = NO_APPROVAL;
+  private loadError: string | null = null;
+  private loadedMtimeMs: number | null = null;
+
+  constructor(private policyPath: string = process.env[POLICY_PATH_ENV] || DEFAULT_POLICY_PATH) {
+    this.reloadIfChanged();
+  }
+
+  /**
+   * Re-read the policy file when it was created, edited or removed since the last check.
+   * An unreadable or invalid file fails closed: every tool call is refused until it is fixed.
+   */
+  private reloadIfChanged(): void {
+    const mtimeMs = existsSync(this.policyPath) ? statSync(this.policyPath).mtimeMs : null;
+    if (mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+    this.loadedMtimeMs = mtimeMs;
+
+    if (mtimeMs === null) {
+      this.rules = BUILT_IN_RULES;
+      this.approval = NO_APPROVAL;
+      this.loadError = null;
+      return;
+    }
+
+    try {
+      ({ rules: this.rules, approval: this.approval } = parsePolicy(yaml.load(readFileSync(this.policyPath, 'utf8')), this.policyPath));
+      this.loadError = null;
+      logger.log(`Loaded site policy from ${this.policyPath} (${this.rules.length} rules)`);
+    } catch (error: any) {
+      this.loadError = error.message;
+      logger.error(`Invalid site policy, refusing all tool calls until it is fixed: ${error.message}`);
+    }
+  }
+
+  getRestrictions(url?: string): Set<Restriction> {
+    this.reloadIfChanged();
+    const restrictions = new Set<Restriction>();
+    const hostname = getHostname(url);
+    if (!hostname) {
+      return restrictions;
+    }
+    for (const rule of this.rules) {
+      if (rule.hosts.some(pattern => hostMatches(hostname, pattern))) {
+        rule.restrictions.forEach(restriction => restrictions.add(restriction));
+      }
+    }
+    return restrictions;
+  }
+
+  /**
+   * Whether agents should steer clear of this site (shown as automationSafe=false)
+   */
+  isProtected(url?: string): boolean {
+    const restrictions = this.getRestrictions(url);
+    return restrictions.has('protected') || restrictions.has('blocked');
+  }
+
+  /**
+   * Check a tool call against the policy for the tab's current URL and, for
+   * commands that run in a selected frame, the frame's URL.
+   * Returns null when the call may proceed.
+   */
+  check(tool: string, args: any, tabUrl?: string, frameUrl?: string): PolicyDenial | null {
+    this.reloadIfChanged();
+    if (this.loadError) {
+      return {
+        code: 'POLICY_INVALID',
+        message: `Site policy file is invalid, so all automation is paused: ${this.loadError}`,
+        tool
+      };
+    }
+
+    // Refuse to take a tab to a blocked site
+    if ((tool === 'navigate' || tool === 'new_tab') && args?.url) {
+      const destination = getHostname(args.url);
+      if (this.getRestrictions(args.url).has('blocked')) {
+        return this.deny(tool, destination, 'blocked', `Navigation to ${destination} is blocked by site policy`);
+      }
+    }
+
+    if (SEQUENCE_TOOLS.has(tool)) {
+      return null;
+    }
+
+    for (const url of this.targetUrls(tool, tabUrl, frameUrl)) {
+      const denial = this.checkUrl(tool, url);
+      if (denial) {
+        return denial;
+      }
+    }
+    return null;
+  }
+
+  private checkUrl(tool: string, url?: string): PolicyDenial | null {
+    const restrictions = this.getRestrictions(url);
+    const host = getHostname(url) ?? undefined;
+
+    if (restrictions.has('blocked') && tool !== 'close') {
+      return this.deny(tool, host, 'blocked', `Automation of ${host} is blocked by site policy`);
+    }
+
+    const observesOnly = READ_ONLY_TOOLS.has(tool) || NAVIGATION_TOOLS.has(tool);
+
+    if (restrictions.has('read-only') && !observesOnly) {
+      return this.deny(tool, host, 'read-only', `${host} is read-only under site policy; ${tool} is not allowed`);
+    }
+
+    if (restrictions.has('no-evaluate') && EVALUATE_TOOLS.has(tool)) {
+      return this.deny(tool, host, 'no-evaluate', `JavaScript evaluation on ${host} is not allowed by site policy`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Pages whose rules apply to a call: the tab's page, and the selected
+   * frame's document when the command runs inside it
+   */
+  private targetUrls(tool: string, tabUrl?: string, frameUrl?: string): Array<string | undefined> {
+    return frameUrl && !TAB_LEVEL_TOOLS.has(tool) ? [tabUrl, frameUrl] : [tabUrl];
+  }
+
+  /**
+   * Whether a human has to approve this call before the browser runs it.
+   * Call after check(); returns null when the call can run straight away.
+   */
+  approvalFor(tool: string, args: any, tabUrl?: string, frameUrl?: string): ApprovalRequest | null {
+    this.reloadIfChanged();
+    if (SEQUENCE_TOOLS.has(tool)) {
+      return null;
+    }
+
+    const { require, timeoutMs } = this.approval;
+
+    if (require.includes(tool)) {
+      return { reason: `Site policy requires approval for ${tool}`, timeoutMs };
+    }
+
+    const observesOnly = READ_ONLY_TOOLS.has(tool) || NAVIGATION_TOOLS.has(tool);
+    const confirmUrl = this.targetUrls(tool, tabUrl, frameUrl).find(url => this.getRestrictions(url).has('confirm'));
+    if (!observesOnly && confirmUrl) {
+      return { reason: `Site policy requires approval for changes on ${getHostname(confirmUrl)}`, timeoutMs };
+    }
+
+    if (tool === 'navigate' && require.includes(NEW_ORIGIN_NAVIGATE)) {
+      const destination = getOrigin(args?.url);
+      if (destination && destination !== getOrigin(tabUrl)) {
+        return { reason: `Navigation to a new origin (${destination})`, timeoutMs };
+      }
+    }
+
+    const presses = PRESSING_TOOLS.has(tool) && !(tool === 'pointer' && NON_PRESSING_POINTER_ACTIONS.has(args?.action));
+    if (presses && require.includes(SUBMIT_CLICK)) {
+      const action = tool === 'pointer' ? `Pointer ${args?.action}` : tool === 'drag' ? 'Drag' : 'Click';
+      return { reason: `${action} would submit a form`, timeoutMs, onlyIfSubmit: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether commands for this tab (or its selected frame) must be stopped from submitting forms
+   */
+  blocksFormSubmit(tool: string, tabUrl?: string, frameUrl?: string): boolean {
+    return FORM_SUBMIT_TOOLS.has(tool) &&
+      this.targetUrls(tool, tabUrl, frameUrl).some(url => this.getRestrictions(url).has('no-form-submit'));
+  }
+
+  private deny(tool: string, host: string | null | undefined, restriction: Restriction, message: string): PolicyDenial {
+    return { code: 'POLICY_DENIED', message, tool, host: host ?? undefined, restriction };
+  }
+}
+
+// Shared instance used by the tool handler
+export const sitePolicy = new SitePolicy();
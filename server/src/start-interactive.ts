@@ -4,13 +4,19 @@ import { spawn, ChildProcess } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import * as readline from 'readline';
+import { ensureAuthToken, AUTH_TOKEN_PATH } from './auth.js';
+import { resolvePortOrExit } from './server-port.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 process.title = 'LLM Browser Bot';
 
-const PORT = 61822;
+// --port, LLM_BROWSER_BOT_PORT or ~/.llm-browser-bot/config.json; passed on to the server
+const PORT = resolvePortOrExit();
+
+// Created on first run and reused after that; the server reads the same file
+const AUTH_TOKEN = ensureAuthToken();
 
 // ANSI colors
 const colors = {
@@ -67,7 +73,7 @@ async function startServer(): Promise<ChildProcess> {
 
   log('Starting LLM Browser Bot server...', colors.yellow);
 
-  const serverProcess = spawn(process.execPath, [serverPath], {
+  const serverProcess = spawn(process.execPath, [serverPath, '--port', String(PORT)], {
     stdio: 'inherit'
   });
 
@@ -82,7 +88,7 @@ async function startServerBackground(): Promise<void> {
 
   log('Starting LLM Browser Bot server...', colors.yellow);
 
-  const serverProcess = spawn(process.execPath, [serverPath], {
+  const serverProcess = spawn(process.execPath, [serverPath, '--port', String(PORT)], {
     stdio: 'pipe',
     detached: true
   });
@@ -198,12 +204,22 @@ async function startLocaltunnel(): Promise<string | null> {
   });
 }
 
+function logAuthToken() {
+  logInfo('Auth Token', AUTH_TOKEN);
+  log(`  Paste it into the extension popup. MCP clients send it as "Authorization: Bearer <token>".`, colors.dim);
+  log(`  Stored in ${AUTH_TOKEN_PATH}`, colors.dim);
+}
+
 function showChatGPTInstructions(publicUrl: string) {
+  // ChatGPT connectors cannot set headers, so the token goes in the URL
+  const mcpUrl = `${publicUrl}/mcp?token=${AUTH_TOKEN}`;
+
   logHeader('ChatGPT Setup Ready!');
 
   logInfo('Local Server', `http://localhost:${PORT}`);
   logInfo('Public URL', publicUrl);
-  logInfo('MCP Endpoint', `${publicUrl}/mcp`);
+  logInfo('MCP Endpoint', mcpUrl);
+  logAuthToken();
 
   console.log();
   log('To connect ChatGPT:', colors.bright);
@@ -212,7 +228,7 @@ function showChatGPTInstructions(publicUrl: string) {
   log('  2. Go to Settings → Developer Mode → MCP Connectors', colors.dim);
   log('  3. Add a new connector with this URL:', colors.dim);
   console.log();
-  log(`     ${publicUrl}/mcp`, colors.green + colors.bright);
+  log(`     ${mcpUrl}`, colors.green + colors.bright);
   console.log();
   log('Press Ctrl+C to stop.', colors.yellow);
 }
@@ -247,7 +263,7 @@ async function handleChatGPTSetup() {
       await new Promise(() => {});
     } else {
       log('Failed to start localtunnel.', colors.red);
-      log('Try running manually: npx localtunnel --port 61822', colors.dim);
+      log(`Try running manually: npx localtunnel --port ${PORT}`, colors.dim);
       process.exit(1);
     }
 
@@ -290,12 +306,14 @@ async function handleChatGPTSetup() {
     logInfo('WebSocket', `ws://localhost:${PORT}/mcp`);
     console.log();
 
-    log('Set up your own tunnel to expose port 61822, then use:', colors.bright);
-    log('  https://YOUR-TUNNEL-URL/mcp', colors.cyan);
+    log(`Set up your own tunnel to expose port ${PORT}, then use:`, colors.bright);
+    log(`  https://YOUR-TUNNEL-URL/mcp?token=${AUTH_TOKEN}`, colors.cyan);
+    console.log();
+    logAuthToken();
     console.log();
 
     log('Example with SSH tunnel:', colors.dim);
-    log('  ssh -R 80:localhost:61822 serveo.net', colors.dim);
+    log(`  ssh -R 80:localhost:${PORT} serveo.net`, colors.dim);
     console.log();
 
     log('Press Ctrl+C to stop the server.', colors.yellow);
@@ -346,6 +364,7 @@ async function main() {
     console.log();
     logInfo('Local Server', `http://localhost:${PORT}`);
     logInfo('MCP WebSocket', `ws://localhost:${PORT}/mcp`);
+    logAuthToken();
     console.log();
 
     log('Starting server...', colors.yellow);
@@ -360,6 +379,7 @@ async function main() {
     log('Configure Gemini CLI to use this MCP server:', colors.bright);
     console.log();
     logInfo('MCP WebSocket', `ws://localhost:${PORT}/mcp`);
+    logAuthToken();
     console.log();
     log('See: https://geminicli.com/docs/tools/mcp-server/', colors.dim);
     console.log();
@@ -374,6 +394,7 @@ async function main() {
 
     logInfo('Server', `http://localhost:${PORT}`);
     logInfo('MCP WebSocket', `ws://localhost:${PORT}/mcp`);
+    logAuthToken();
     console.log();
 
     await startServer();
@@ -0,0 +1,135 @@
+import { mkdirSync, openSync, readFileSync, unlinkSync, writeSync, closeSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+/**
+ * Lock files that keep processes from starting two servers on one port.
+ *
+ * Each stdio client (Claude Desktop, Cursor, ...) starts its own server, so a
+ * second client would otherwise start a server that loses the race for the
+ * port, or takes it over when the first one restarts. Bridges that start
+ * together take the spawn lock, so only one of them starts the server. A lock
+ * file holds the owner's PID and is removed on exit. A lock whose process is
+ * gone is stale and taken over.
+ */
+
+export const LOCK_DIR = join(homedir(), '.llm-browser-bot');
+
+export function getStdioLockPath(port: number): string {
+  return join(LOCK_DIR, `stdio-${port}.lock`);
+}
+
+function isRunning(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error: any) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+function readOwner(path: string): number | null {
+  try {
+    const pid = JSON.parse(readFileSync(path, 'utf-8')).pid;
+    return Number.isInteger(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+// Locks this process holds, released when it exits
+const heldLocks = new Set<string>();
+process.on('exit', () => heldLocks.forEach(releaseLock));
+
+export function getSpawnLockPath(port: number): string {
+  return join(LOCK_DIR, `spawn-${port}.lock`);
+}
+
+/**
+ * Create the lock file for this process. Returns the PID of the live process
+ * that holds it instead, if there is one.
+ */
+function takeLock(path: string, port: number): number | null {
+  mkdirSync(LOCK_DIR, { recursive: true });
+
+  // Two attempts: the second after clearing a stale lock
+  for (let attempt = 0; attempt < 2; attempt++) {
+    let fd: number;
+    try {
+      // 'wx' fails if the file exists, so only one process can create it
+      fd = openSync(path, 'wx');
+    } catch (error: any) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const owner = readOwner(path);
+      if (owner !== null && owner !== process.pid && isRunning(owner)) {
+        return owner;
+      }
+      try {
+        unlinkSync(path);
+      } catch {
+        // Another process cleared it first
+      }
+      continue;
+    }
+
+    writeSync(fd, JSON.stringify({ pid: process.pid, port, startedAt: new Date().toISOString() }));
+    closeSync(fd);
+    heldLocks.add(path);
+    return null;
+  }
+  throw new Error(`Could not take the lock ${path}`);
+}
+
+/**
+ * Remove the lock if this process holds it
+ */
+function releaseLock(path: string): void {
+  heldLocks.delete(path);
+  if (readOwner(path) === process.pid) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Take the lock for the port, or throw if a live process holds it.
+ * The lock is released when this process exits.
+ */
+export function acquireStdioLock(port: number): void {
+  const owner = takeLock(getStdioLockPath(port), port);
+  if (owner !== null) {
+    throw new Error(
+      `Another stdio server (PID ${owner}) is already using port ${port}. ` +
+      `Connect further clients with "llm-browser-bot bridge --port ${port}", ` +
+      'or give this one its own port with --port.'
+    );
+  }
+}
+
+/**
+ * Remove the lock if this process holds it
+ */
+export function releaseStdioLock(port: number): void {
+  releaseLock(getStdioLockPath(port));
+}
+
+/**
+ * Take the lock for starting a server on the port. Returns false while
+ * another live process is starting one.
+ */
+export function tryAcquireSpawnLock(port: number): boolean {
+  return takeLock(getSpawnLockPath(port), port) === null;
+}
+
+/**
+ * Remove the spawn lock once the server answers, or failed to start
+ */
+export function releaseSpawnLock(port: number): void {
+  releaseLock(getSpawnLockPath(port));
+}
@@ -16,6 +16,14 @@ export interface TabConnection {
   scrollPosition?: { x: number; y: number };
   pageVisibility?: { visible: boolean; visibilityState: string };
   active?: boolean;  // Whether this tab is the currently focused tab in the browser
+  frame?: FrameContext;  // Frame selected with switch_to_frame; undefined is the top document
+  emulation?: Record<string, any>;  // Settings applied with emulate, as the extension reported them
+}
+
+export interface FrameContext {
+  frameId: number;
+  selector?: string;
+  url?: string;
 }
 
 export class TabRegistry {
@@ -134,6 +142,48 @@ export class TabRegistry {
     }
   }
 
+  /**
+   * Select the frame commands for this tab run in, or the top document when frame is undefined
+   */
+  setFrame(tabId: string, frame?: FrameContext): void {
+    const connection = this.tabs.get(tabId);
+    if (!connection || (connection.frame?.frameId === frame?.frameId && connection.frame?.url === frame?.url)) return;
+
+    connection.frame = frame;
+    logger.log(`Tab ${tabId} frame context: ${frame ? `${frame.selector ?? frame.frameId} (${frame.url})` : 'main'}`);
+    if (this.updateCallback) {
+      this.updateCallback(tabId).catch(err => {
+        logger.error(`Error in update callback for tab ${tabId}:`, err);
+      });
+    }
+  }
+
+  /**
+   * Follow the selected frame to the page it navigated to, so the site policy
+   * checks the frame's current host. Other frames are ignored.
+   */
+  updateFrameUrl(tabId: string, frameId: number, url: string): void {
+    const frame = this.tabs.get(tabId)?.frame;
+    if (frame?.frameId === frameId && url) {
+      this.setFrame(tabId, { ...frame, url });
+    }
+  }
+
+  /**
+   * Record the tab's emulation settings after emulate or reset_emulation
+   */
+  setEmulation(tabId: string, emulation: Record<string, any>): void {
+    const connection = this.tabs.get(tabId);
+    if (!connection) return;
+
+    connection.emulation = Object.keys(emulation).length > 0 ? emulation : undefined;
+    if (this.updateCallback) {
+      this.updateCallback(tabId).catch(err => {
+        logger.error(`Error in update callback for tab ${tabId}:`, err);
+      });
+    }
+  }
+
   // Set a tab as active and clear active status from all other tabs
   setActiveTab(tabId: string): void {
     let hadChange = false;
@@ -16,6 +16,8 @@ export function formatTabDetail(tab: TabConnection): any {
     fullPageDimensions: tab.fullPageDimensions,
     viewportDimensions: tab.viewportDimensions,
     scrollPosition: tab.scrollPosition,
-    pageVisibility: tab.pageVisibility
+    pageVisibility: tab.pageVisibility,
+    frame: tab.frame ?? 'main',  // Where element commands run; see switch_to_frame
+    emulation: tab.emulation ?? 'none'  // Device and environment overrides; see emulate
   };
 }
\ No newline at end of file
@@ -3,29 +3,37 @@ import { TabRegistry } from './tab-registry.js';
 import { allTools } from './yaml-loader.js';
 import { formatTabDetail } from './tab-utils.js';
 import { TabConnection } from './tab-registry.js';
+import { sitePolicy, getHostname, PolicyDenial } from './site-policy.js';
+import { CommandRejectedError, CommandCaller } from './command-queue.js';
+import { resolveUploadFiles, UploadError } from './file-upload.js';
+import { DownloadMirror, DEFAULT_MAX_CONTENT_BYTES } from './download-mirror.js';
+import { DEFAULT_PORT } from './server-port.js';
+import { REDACTED_VALUE } from './audit-log.js';
 
-const PROTECTED_HOSTS = new Set([
-  'chat.openai.com',
-  'chatgpt.com'
-]);
-
-function isProtectedChatTab(url?: string): boolean {
-  if (!url) return false;
-  try {
-    const hostname = new URL(url).hostname.replace(/^www\./, '');
-    return PROTECTED_HOSTS.has(hostname);
-  } catch {
-    return false;
-  }
+// Sites the policy marks as off-limits (ChatGPT by default, see site-policy.ts)
+function isProtectedTab(url?: string): boolean {
+  return sitePolicy.isProtected(url);
 }
 
 function getProtectedTabHint(url?: string): string | null {
-  if (!isProtectedChatTab(url)) return null;
-  return 'Active tab appears to be ChatGPT. To avoid hijacking the user chat, open a fresh automation tab with new_tab and use that tabId instead.';
+  if (!isProtectedTab(url)) return null;
+  return `Active tab (${getHostname(url)}) is protected by site policy. To avoid hijacking the user's session, open a fresh automation tab with new_tab and use that tabId instead.`;
+}
+
+function policyDeniedResult(denial: PolicyDenial) {
+  return {
+    isError: true,
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({ error: denial }, null, 2)
+      }
+    ]
+  };
 }
 
 function findFallbackTab(tabs: TabConnection[], activeTab?: TabConnection): TabConnection | undefined {
-  const safeTabs = tabs.filter(tab => !isProtectedChatTab(tab.url));
+  const safeTabs = tabs.filter(tab => !isProtectedTab(tab.url));
   if (!activeTab?.browserInstanceId) {
     return safeTabs[0];
   }
@@ -34,17 +42,56 @@ function findFallbackTab(tabs: TabConnection[], activeTab?: TabConnection): TabC
 }
 
 function getProtectedTabHintWithFallback(activeTab?: TabConnection, fallbackTab?: TabConnection): string | null {
-  if (!activeTab || !isProtectedChatTab(activeTab.url)) return null;
+  if (!activeTab || !isProtectedTab(activeTab.url)) return null;
   if (fallbackTab) {
-    return `Active tab appears to be ChatGPT. Use tab ${fallbackTab.tabId} (${fallbackTab.title || fallbackTab.url || 'untitled'}) for automation, or open a fresh tab with new_tab.`;
+    return `Active tab (${getHostname(activeTab.url)}) is protected by site policy. Use tab ${fallbackTab.tabId} (${fallbackTab.title || fallbackTab.url || 'untitled'}) for automation, or open a fresh tab with new_tab.`;
   }
   return getProtectedTabHint(activeTab.url);
 }
 
+// Tools that run other tools and so cannot appear as a step
+const SEQUENCE_TOOLS = new Set(['replay_script', 'run_sequence']);
+
+// {{stepRef.path}} where stepRef is a step index or id, e.g. {{0.url}} or {{search.elements[0].selector}}
+const STEP_REFERENCE_PATTERN = /\{\{\s*([\w-]+)((?:\.[\w-]+|\[\d+\])*)\s*\}\}/g;
+const WHOLE_STEP_REFERENCE_PATTERN = /^\{\{\s*([\w-]+)((?:\.[\w-]+|\[\d+\])*)\s*\}\}$/;
+
+function lookupStepOutput(outputs: Map<string, any>, step: string, path: string): any {
+  if (!outputs.has(step)) {
+    throw new Error(`Reference {{${step}${path}}} points to a step that has not run`);
+  }
+  let current = outputs.get(step);
+  for (const [, key, index] of path.matchAll(/\.([\w-]+)|\[(\d+)\]/g)) {
+    current = current?.[key ?? Number(index)];
+  }
+  if (current === undefined) {
+    throw new Error(`Reference {{${step}${path}}} did not resolve to a value`);
+  }
+  return current;
+}
+
+// Replace step references in string values. A string that is only a reference keeps the referenced type.
+function resolveStepReferences(value: any, outputs: Map<string, any>): any {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_STEP_REFERENCE_PATTERN);
+    if (whole) return lookupStepOutput(outputs, whole[1], whole[2]);
+    return value.replace(STEP_REFERENCE_PATTERN, (_, step, path) => String(lookupStepOutput(outputs, step, path)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveStepReferences(item, outputs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveStepReferences(item, outputs)]));
+  }
+  return value;
+}
+
 export class ToolHandler {
   constructor(
     private commandHandler: BrowserCommandHandler,
-    private tabRegistry: TabRegistry
+    private tabRegistry: TabRegistry,
+    private downloadMirror: DownloadMirror = new DownloadMirror(null),
+    private port: number = DEFAULT_PORT
   ) { }
 
 
@@ -56,7 +103,84 @@ export class ToolHandler {
     }));
   }
 
-  public async callTool(name: string, args: any): Promise<any> {
+  /**
+   * Run tool calls against one tab in order, collecting per-step results.
+   * Used by replay_script and run_sequence. The sequence holds the tab's queue
+   * slot from the first step to the last, so other clients' commands wait
+   * instead of landing between steps.
+   */
+  private async runSteps(name: string, tabId: string, steps: any, { continueOnError = false, stepDelay = 0, resolveReferences = false }, caller?: CommandCaller) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('steps must be a non-empty array of { tool, args }');
+    }
+
+    // Parsed output of each finished step, by index and by step id
+    const outputs = new Map<string, any>();
+    const results: any[] = [];
+
+    const { queued } = await this.commandHandler.holdTab(tabId, name, caller, async (stepCaller) => {
+      for (let index = 0; index < steps.length; index++) {
+        const { id, tool, args, needsInput } = steps[index] || {};
+        const startTime = Date.now();
+        let stepResult: any;
+        const missingInput = Array.isArray(needsInput)
+          ? needsInput.filter((name: string) => args?.[name] === undefined || args[name] === REDACTED_VALUE)
+          : [];
+
+        if (!tool) {
+          stepResult = { index, id, tool, success: false, error: { message: 'Step is missing a tool name' } };
+        } else if (missingInput.length > 0) {
+          stepResult = {
+            index, id, tool, success: false,
+            error: { code: 'NEEDS_INPUT', message: `Add ${missingInput.join(', ')} to the step's args: the audit log does not record typed text` }
+          };
+        } else if (SEQUENCE_TOOLS.has(tool)) {
+          stepResult = { index, id, tool, success: false, error: { message: `${tool} cannot be nested inside a sequence` } };
+        } else {
+          try {
+            const stepArgs = resolveReferences ? resolveStepReferences(args || {}, outputs) : args;
+            const response = await this.callTool(tool, { ...stepArgs, tabId }, stepCaller);
+            let data: any;
+            try {
+              data = JSON.parse(response.content[0].text);
+            } catch {
+              data = {};
+            }
+            const error = data.error || (response.isError ? { message: 'Tool call failed' } : undefined);
+            stepResult = { index, id, tool, success: !error, result: error ? undefined : data, error };
+            outputs.set(String(index), data);
+            if (id) outputs.set(String(id), data);
+          } catch (error: any) {
+            stepResult = { index, id, tool, success: false, error: { message: error.message } };
+          }
+        }
+
+        stepResult.args = args;
+        stepResult.durationMs = Date.now() - startTime;
+        results.push(stepResult);
+
+        if (!stepResult.success && !continueOnError) break;
+        if (stepDelay && index < steps.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, stepDelay));
+        }
+      }
+    });
+
+    const failed = results.filter(step => !step.success).length;
+    return {
+      success: failed === 0 && results.length === steps.length,
+      total: steps.length,
+      completed: results.length,
+      failed,
+      results,
+      ...(queued ? { queued } : {})
+    };
+  }
+
+  /**
+   * Validate and run a tool. caller identifies the MCP client, for the per-tab command queue.
+   */
+  public async callTool(name: string, args: any, caller?: CommandCaller): Promise<any> {
     const tool = allTools.find(t => t.name === name);
     if (!tool) {
       throw new Error(`Unknown tool: ${name}`);
@@ -68,7 +192,26 @@ export class ToolHandler {
 
       // Check for invalid :contains() pseudo-selector
       if (validatedArgs.selector && validatedArgs.selector.includes(':contains(')) {
-        throw new Error('The :contains() pseudo-selector is not valid CSS and is not supported by browsers. Use contains() selector with the `xpath` property instead!');
+        throw new Error('The :contains() pseudo-selector is not valid CSS and is not supported by browsers. Use contains() selector with the `xpath` property instead, or a `locator` such as "text=Sign in"!');
+      }
+
+      // Enforce the site policy for the tab's current page, and the frame commands run in, before anything reaches the browser
+      const tab = validatedArgs.tabId ? this.tabRegistry.get(validatedArgs.tabId) : undefined;
+      const tabUrl = tab?.url;
+      const frameUrl = tab?.frame?.url;
+      const denial = sitePolicy.check(name, validatedArgs, tabUrl, frameUrl);
+      if (denial) {
+        return policyDeniedResult(denial);
+      }
+      if (sitePolicy.blocksFormSubmit(name, tabUrl, frameUrl)) {
+        validatedArgs._blockFormSubmit = true;
+      }
+      const approval = sitePolicy.approvalFor(name, validatedArgs, tabUrl, frameUrl);
+      if (approval) {
+        validatedArgs._approval = approval;
+      }
+      if (caller) {
+        validatedArgs._caller = caller;
       }
 
       // Handle special cases that don't go through the command handler
@@ -83,14 +226,14 @@ export class ToolHandler {
             if (browserTabs && Array.isArray(browserTabs)) {
               const connectedTabIds = new Set(this.tabRegistry.getAll().map(t => t.tabId));
               const allTabs = browserTabs.map((t: any) => {
-                const isChatGPT = isProtectedChatTab(t.url);
+                const isProtected = isProtectedTab(t.url);
                 return {
                   tabId: t.id.toString(),
                   title: t.title,
                   url: t.url,
                   active: t.active,
                   connected: connectedTabIds.has(t.id.toString()),
-                  automationSafe: !isChatGPT && connectedTabIds.has(t.id.toString())
+                  automationSafe: !isProtected && connectedTabIds.has(t.id.toString())
                 };
               });
 
@@ -105,9 +248,9 @@ export class ToolHandler {
                 result.hint = 'No tabs are connected to the server. Use new_tab to create an automation tab.';
               } else if (safeTabs.length === 0) {
                 result.hint = 'No safe automation tabs available. Use new_tab to create one.';
-              } else if (isProtectedChatTab(activeTab?.url)) {
+              } else if (isProtectedTab(activeTab?.url)) {
                 const recommended = safeTabs[0];
-                result.hint = `Active tab is ChatGPT - do NOT automate it. Use tabId "${recommended.tabId}" (${recommended.title || recommended.url}) for automation.`;
+                result.hint = `Active tab (${getHostname(activeTab?.url)}) is protected by site policy - do NOT automate it. Use tabId "${recommended.tabId}" (${recommended.title || recommended.url}) for automation.`;
                 result.recommendedTabId = recommended.tabId;
               } else {
                 const connectedCount = allTabs.filter((t: any) => t.connected).length;
@@ -118,7 +261,7 @@ export class ToolHandler {
               const tabs = this.tabRegistry.getAll().map(tab => ({
                 ...formatTabDetail(tab),
                 connected: true,
-                automationSafe: !isProtectedChatTab(tab.url)
+                automationSafe: !isProtectedTab(tab.url)
               }));
               result = { tabs };
             }
@@ -127,7 +270,7 @@ export class ToolHandler {
             const tabs = this.tabRegistry.getAll().map(tab => ({
               ...formatTabDetail(tab),
               connected: true,
-              automationSafe: !isProtectedChatTab(tab.url)
+              automationSafe: !isProtectedTab(tab.url)
             }));
             result = { tabs };
           }
@@ -167,8 +310,19 @@ export class ToolHandler {
           break;
         case 'click':
           // Extend timeout for click to allow for animation and navigation
-          // Use user-provided timeout if available, otherwise default to 8s
-          validatedArgs._commandTimeout = validatedArgs.timeout || 8000;
+          // Use user-provided timeout if available, otherwise default to 8s (30s when waiting for a navigation)
+          validatedArgs._commandTimeout = validatedArgs.timeout || (validatedArgs.waitUntil ? 30000 : 8000);
+          result = await this.commandHandler.callTool(name, validatedArgs);
+          break;
+        case 'drag':
+        case 'pointer':
+          // Gestures move the mouse in steps and may hold a button for holdMs
+          validatedArgs._commandTimeout = validatedArgs.timeout || 10000 + (validatedArgs.holdMs || 0);
+          result = await this.commandHandler.callTool(name, validatedArgs);
+          break;
+        case 'evaluate':
+          // The extension stops waiting after timeout and reports it; leave it time to do so
+          validatedArgs._commandTimeout = (validatedArgs.timeout || 5000) + 2000;
           result = await this.commandHandler.callTool(name, validatedArgs);
           break;
         case 'wait_for_element':
@@ -192,6 +346,44 @@ export class ToolHandler {
           }
           result = await this.commandHandler.callTool(name, validatedArgs);
           break;
+        case 'upload_file':
+          // Read server-local paths here; the extension only gets base64 content (and the paths, if any)
+          validatedArgs.files = resolveUploadFiles(validatedArgs.files, validatedArgs.paths);
+          delete validatedArgs.paths;
+          result = await this.commandHandler.callTool(name, validatedArgs);
+          break;
+        case 'list_downloads':
+          result = await this.commandHandler.callTool(name, validatedArgs);
+          if (Array.isArray(result?.downloads)) {
+            result.downloads = await Promise.all(result.downloads.map((download: any) => this.downloadMirror.describe(download)));
+          }
+          break;
+        case 'get_download':
+          // The extension knows about the download; the server reads the file
+          result = await this.commandHandler.callTool(name, validatedArgs);
+          if (result?.download) {
+            result.download = await this.downloadMirror.describe(result.download);
+            if (String(validatedArgs.includeContent) !== 'false') {
+              Object.assign(result.download, await this.downloadMirror.readContent(
+                result.download,
+                validatedArgs.maxContentBytes ?? DEFAULT_MAX_CONTENT_BYTES
+              ));
+            }
+          }
+          break;
+        case 'replay_script':
+          result = await this.runSteps(name, validatedArgs.tabId, validatedArgs.steps, {
+            continueOnError: validatedArgs.continueOnError,
+            stepDelay: validatedArgs.stepDelay ?? 500
+          }, caller);
+          break;
+        case 'run_sequence':
+          result = await this.runSteps(name, validatedArgs.tabId, validatedArgs.steps, {
+            continueOnError: validatedArgs.continueOnError,
+            stepDelay: validatedArgs.stepDelay,
+            resolveReferences: true
+          }, caller);
+          break;
         default:
           // All other tools go through the generic callTool method
           result = await this.commandHandler.callTool(name, validatedArgs);
@@ -204,12 +396,14 @@ export class ToolHandler {
         const screenshotArgs = validatedArgs as any;
         if (screenshotArgs?.selector) params.append('selector', String(screenshotArgs.selector));
         if (screenshotArgs?.xpath) params.append('xpath', String(screenshotArgs.xpath));
+        if (screenshotArgs?.locator) params.append('locator', String(screenshotArgs.locator));
+        if (screenshotArgs?.ref) params.append('ref', String(screenshotArgs.ref));
         if (screenshotArgs?.scale) params.append('scale', String(screenshotArgs.scale));
         if (screenshotArgs?.format) params.append('format', String(screenshotArgs.format));
         if (screenshotArgs?.quality) params.append('quality', String(screenshotArgs.quality));
 
         const queryString = params.toString();
-        const screenshotUrl = `http://localhost:61822/tab/${screenshotArgs?.tabId}/screenshot/view${queryString ? '?' + queryString : ''}`;
+        const screenshotUrl = `http://localhost:${this.port}/tab/${screenshotArgs?.tabId}/screenshot/view${queryString ? '?' + queryString : ''}`;
 
         const enhancedResult = {
           preview: screenshotUrl,
@@ -247,6 +441,9 @@ export class ToolHandler {
         const issues = error.issues.map((issue: any) => issue.message).join(', ');
         throw new Error(issues);
       }
+      if (error instanceof CommandRejectedError || error instanceof UploadError) {
+        return error.toToolResult();
+      }
       return {
         isError: true,
         content: [
@@ -108,6 +108,11 @@ function jsonSchemaToZod(schema: any): z.ZodType<any> {
   }
 
   if (schema.type === 'object') {
+    // Free-form maps (e.g. HTTP headers) keep their keys instead of being stripped
+    if (!schema.properties && schema.additionalProperties) {
+      return z.record(schema.additionalProperties === true ? z.any() : jsonSchemaToZod(schema.additionalProperties));
+    }
+
     const shape: Record<string, z.ZodType<any>> = {};
 
     if (schema.properties) {
@@ -130,9 +135,9 @@ function jsonSchemaToZod(schema: any): z.ZodType<any> {
 
     let objectSchema: any = z.object(shape);
 
-    // Handle oneOf validation (e.g., selector or xpath required)
+    // Handle oneOf validation (e.g., selector, xpath, locator or ref required)
     if (schema.oneOf) {
-      // For selector/xpath pattern
+      // For selector/xpath/locator/ref pattern
       const hasSelector = schema.oneOf.some((s: any) =>
         s.required && s.required.includes('selector')
       );
@@ -142,8 +147,8 @@ function jsonSchemaToZod(schema: any): z.ZodType<any> {
 
       if (hasSelector && hasXpath) {
         objectSchema = objectSchema.refine(
-          (data: any) => data.selector || data.xpath,
-          { message: 'Either selector or xpath must be provided' }
+          (data: any) => data.selector || data.xpath || data.locator || data.ref,
+          { message: 'Either selector, xpath, locator or ref must be provided' }
         );
       }
     }
@@ -221,8 +226,8 @@ export const listTabsTool = convertedTools.list_tabsTool;
 export const tabDetailTool = convertedTools.tab_detailTool;
 export const consoleLogsTool = convertedTools.console_logsTool;
 
-// Export all tools array - dynamically from convertedTools, excluding evaluate
-export const allTools = Object.values(convertedTools).filter(tool => tool && tool.name && tool.name !== 'evaluate');
+// Export all tools array - dynamically from convertedTools
+export const allTools = Object.values(convertedTools).filter(tool => tool && tool.name);
 
 // Export resources
 export const baseResources = resourcesConfig.baseResources;
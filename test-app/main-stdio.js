@@ -247,7 +247,7 @@ ipcMain.handle('mcp-connect', async () => {
     // Build node arguments
     const nodeArgs = isDebugging ? ['--inspect=localhost:9030'] : [];
     nodeArgs.push(serverPath);
-    nodeArgs.push('--port', wsPort.toString());
+    nodeArgs.push('--port', wsPort.toString(), '--stdio');
 
     mcpProcess = spawn('node', nodeArgs, {
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -14,27 +14,37 @@ const pendingRequests = new Map();
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
+  let port = parseInt(process.env.LLM_BROWSER_BOT_PORT, 10) || 61822;
   let dev = false;
 
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--dev') {
+    if ((args[i] === '--port' || args[i] === '-p') && args[i + 1]) {
+      const parsedPort = parseInt(args[i + 1], 10);
+      if (!isNaN(parsedPort) && parsedPort >= 1 && parsedPort <= 65535) {
+        port = parsedPort;
+        i++; // Skip next argument
+      } else {
+        console.error(`Invalid port number: ${args[i + 1]}`);
+        process.exit(1);
+      }
+    } else if (args[i] === '--dev') {
       dev = true;
     } else if (args[i] === '--help' || args[i] === '-h') {
       console.log('LLM Browser Bot Test App (WebSocket Mode)');
       console.log('Usage: npm start -- [options]');
       console.log('');
       console.log('Options:');
+      console.log('  -p, --port <number>  Server port (default: LLM_BROWSER_BOT_PORT or 61822)');
       console.log('  --dev               Open DevTools on startup');
       console.log('  -h, --help          Show this help message');
       process.exit(0);
     }
   }
 
-  return { dev };
+  return { port, dev };
 }
 
-const { dev: isDev } = parseArgs();
-const wsPort = 61822; // Fixed port
+const { port: wsPort, dev: isDev } = parseArgs();
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -1545,7 +1545,7 @@ window.electronAPI.onMCPDisconnected((data) => {
 window.electronAPI.onMCPError((data) => {
   if (data.type === 'PORT_IN_USE') {
     log(data.message, 'error');
-    alert('Port 61822 is already in use!\n\nPlease stop any running LLM Browser Bot server instances:\n- Check for other terminal windows running "npm start"\n- Check for other Electron test app instances\n- Use "lsof -i :61822" to find the process');
+    alert(`Port ${serverPort} is already in use!\n\nPlease stop any running LLM Browser Bot server instances:\n- Check for other terminal windows running "npm start"\n- Check for other Electron test app instances\n- Use "lsof -i :${serverPort}" to find the process`);
     connected = false;
     statusEl.classList.remove('connected');
     statusTextEl.textContent = 'Port In Use';